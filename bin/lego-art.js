@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+// ================================
+// LEGO Art Creator - Command Line Tool
+// Converts images to mosaics without a browser, e.g. to batch-convert
+// photos on a server. Uses the same conversion code as the page.
+// ================================
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, extname, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import {
+    runConversionJob, PALETTE_PRESETS, buildPresetColors, parsePaletteFile, framePixels,
+    buildPartsList, partsListToCsv, createProjectFile, renderMosaicPixels,
+    DEFAULT_TRANSPARENCY, MAX_GRID_SIZE
+} from '../lego-core-node.js';
+
+// ================================
+// Options
+// ================================
+
+const USAGE = `Usage: lego-art convert <image...> [options]
+
+Converts PNG or JPEG images to LEGO Art mosaics.
+
+Options:
+  --size <WxH|N>          Mosaic size in studs (default 48x48)
+  --palette <id|file>     ${PALETTE_PRESETS.map(preset => preset.id).join(', ')},
+                          or a palette exported from the page (.json/.csv)
+                          (default classic20)
+  --metric <name>         rgb, redmean, cie76 or ciede2000 (default ciede2000)
+  --dither <name>         none, floyd-steinberg, atkinson or bayer (default none)
+  --dither-strength <n>   0-100 (default 100)
+  --framing <mode>        fill (crop), fit or letterbox (default fill)
+  --background <hex>      Letterbox bar color (default #F2F3F2)
+  --plate <n>             Studs per baseplate side, saved in the project (default 32)
+  --out <file>            Write a project file (opens in the page)
+  --png <file>            Write a PNG picture of the mosaic
+  --stud-size <n>         Pixels per stud in the PNG (default 20)
+  --bom <file>            Write a CSV parts list
+  --part <number>         BrickLink part number in the parts list (default 98138)
+  -h, --help              Show this help
+
+Output names may contain {name}, the image name without extension.
+It is required when converting more than one image, e.g.
+  lego-art convert photos/*.jpg --size 48 --out out/{name}.json --png out/{name}.png`;
+
+const OPTIONS = {
+    size: { type: 'string', default: '48x48' },
+    palette: { type: 'string', default: 'classic20' },
+    metric: { type: 'string', default: 'ciede2000' },
+    dither: { type: 'string', default: 'none' },
+    'dither-strength': { type: 'string', default: '100' },
+    framing: { type: 'string', default: 'fill' },
+    background: { type: 'string', default: '#F2F3F2' },
+    plate: { type: 'string', default: '32' },
+    out: { type: 'string' },
+    png: { type: 'string' },
+    'stud-size': { type: 'string', default: '20' },
+    bom: { type: 'string' },
+    part: { type: 'string', default: '98138' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const METRICS = ['rgb', 'redmean', 'cie76', 'ciede2000'];
+const DITHERS = ['none', 'floyd-steinberg', 'atkinson', 'bayer'];
+const FRAMING_MODES = ['fill', 'fit', 'letterbox'];
+const OUTPUTS = ['out', 'png', 'bom'];
+
+/**
+ * Reads a whole number option
+ * @param {string} text - Option value
+ * @param {string} option - Option name (for the error message)
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} The number
+ */
+function parseInteger(text, option, min, max) {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`--${option} must be a whole number from ${min} to ${max} (got "${text}").`);
+    }
+    return value;
+}
+
+/**
+ * Reads --size: "48x32" or "48" (square)
+ * @param {string} text - Option value
+ * @returns {object} { width, height }
+ */
+function parseSize(text) {
+    const match = /^(\d+)(?:x(\d+))?$/i.exec(text);
+    if (!match) {
+        throw new Error(`--size must look like 48x48 or 48 (got "${text}").`);
+    }
+    return {
+        width: parseInteger(match[1], 'size', 1, MAX_GRID_SIZE),
+        height: parseInteger(match[2] || match[1], 'size', 1, MAX_GRID_SIZE)
+    };
+}
+
+/**
+ * Reads a value that must be one of a list
+ * @param {string} value - Option value
+ * @param {string} option - Option name (for the error message)
+ * @param {Array<string>} choices - Allowed values
+ * @returns {string} The value
+ */
+function parseChoice(value, option, choices) {
+    if (!choices.includes(value)) {
+        throw new Error(`--${option} must be one of ${choices.join(', ')} (got "${value}").`);
+    }
+    return value;
+}
+
+/**
+ * Loads --palette: a built-in preset id or a palette file
+ * Only the enabled colors of a palette file are used, as on the page.
+ * @param {string} value - Preset id or file path
+ * @returns {object} { name, colors }
+ */
+function loadPalette(value) {
+    const preset = PALETTE_PRESETS.find(p => p.id === value.toLowerCase());
+    if (preset) {
+        return { name: preset.name, colors: buildPresetColors(preset) };
+    }
+    
+    if (!/\.(json|csv|txt)$/i.test(value)) {
+        throw new Error(`Unknown palette "${value}". Use one of ${PALETTE_PRESETS.map(p => p.id).join(', ')} or a .json/.csv file.`);
+    }
+    
+    const palette = parsePaletteFile(readFileSync(value, 'utf8'), basename(value));
+    if (!palette.colors.some(color => color.enabled)) {
+        throw new Error(`The palette ${value} has no enabled colors.`);
+    }
+    return palette;
+}
+
+/**
+ * Checks the command line and turns it into conversion options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {object|null} { images, options }, or null when only help was asked for
+ */
+function parseCommandLine(args) {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    
+    if (values.help || positionals.length === 0) return null;
+    
+    const [command, ...images] = positionals;
+    if (command !== 'convert') {
+        throw new Error(`Unknown command "${command}". Try: lego-art convert photo.png --out project.json`);
+    }
+    if (images.length === 0) {
+        throw new Error('No images given. Try: lego-art convert photo.png --out project.json');
+    }
+    
+    const outputs = OUTPUTS.filter(output => values[output]);
+    if (outputs.length === 0) {
+        throw new Error('Nothing to write - add --out, --png and/or --bom.');
+    }
+    if (images.length > 1) {
+        outputs.forEach(output => {
+            if (!values[output].includes('{name}')) {
+                throw new Error(`--${output} needs {name} in the file name when converting several images.`);
+            }
+        });
+        
+        // Images with the same name in different folders would overwrite each other's files
+        const targets = new Map();
+        images.forEach(image => {
+            const name = basename(image, extname(image));
+            outputs.forEach(output => {
+                const target = resolve(values[output].replaceAll('{name}', name));
+                if (targets.has(target)) {
+                    throw new Error(`${targets.get(target)} and ${image} would both be written to ${target}.`);
+                }
+                targets.set(target, image);
+            });
+        });
+    }
+    
+    if (!/^#[0-9A-F]{6}$/i.test(values.background)) {
+        throw new Error(`--background must be a hex color like #F2F3F2 (got "${values.background}").`);
+    }
+    
+    return {
+        images,
+        options: {
+            size: parseSize(values.size),
+            palette: loadPalette(values.palette),
+            settings: {
+                matchMetric: parseChoice(values.metric, 'metric', METRICS),
+                dither: parseChoice(values.dither, 'dither', DITHERS),
+                ditherStrength: parseInteger(values['dither-strength'], 'dither-strength', 0, 100),
+                useInventory: false
+            },
+            framing: {
+                mode: parseChoice(values.framing, 'framing', FRAMING_MODES),
+                zoom: 1,
+                centerX: 0.5,
+                centerY: 0.5,
+                background: values.background.toUpperCase()
+            },
+            plateSize: parseInteger(values.plate, 'plate', 1, MAX_GRID_SIZE),
+            studSize: parseInteger(values['stud-size'], 'stud-size', 1, 100),
+            partNumber: values.part,
+            out: values.out,
+            png: values.png,
+            bom: values.bom
+        }
+    };
+}
+
+// ================================
+// Images
+// ================================
+
+/**
+ * Decodes a PNG or JPEG file (told apart by its first bytes)
+ * @param {string} path - Image file
+ * @returns {object} { width, height, pixels } with RGBA pixels, row by row
+ */
+function readImage(path) {
+    const data = readFileSync(path);
+    
+    if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        const png = PNG.sync.read(data);
+        return { width: png.width, height: png.height, pixels: new Uint8ClampedArray(png.data) };
+    }
+    
+    if (data[0] === 0xFF && data[1] === 0xD8) {
+        const image = jpeg.decode(data, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+        return { width: image.width, height: image.height, pixels: new Uint8ClampedArray(image.data) };
+    }
+    
+    throw new Error('Only PNG and JPEG images are supported.');
+}
+
+/**
+ * Encodes RGBA pixels as a PNG file
+ * @param {object} image - { width, height, pixels }
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(image) {
+    const png = new PNG({ width: image.width, height: image.height });
+    png.data = Buffer.from(image.pixels.buffer, image.pixels.byteOffset, image.pixels.length);
+    return PNG.sync.write(png);
+}
+
+// ================================
+// Conversion
+// ================================
+
+/**
+ * Writes an output file, creating its folder if needed
+ * @param {string} path - Output file
+ * @param {string|Buffer} data - File contents
+ */
+function writeOutput(path, data) {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, data);
+}
+
+/**
+ * Converts one image and writes the requested files
+ * @param {string} path - Image file
+ * @param {object} options - From parseCommandLine
+ * @param {Array<string>} images - All input images, which must not be overwritten
+ */
+function convertImage(path, options, images) {
+    const name = basename(path, extname(path));
+    const outputPath = template => template.replaceAll('{name}', name);
+    const { width, height } = options.size;
+    
+    const inputs = new Set(images.map(image => resolve(image)));
+    OUTPUTS.filter(output => options[output]).forEach(output => {
+        if (inputs.has(resolve(outputPath(options[output])))) {
+            throw new Error(`--${output} would overwrite the input image ${outputPath(options[output])}.`);
+        }
+    });
+    
+    const image = readImage(path);
+    const { grid } = runConversionJob({
+        pixels: framePixels(image, width, height, options.framing),
+        width,
+        height,
+        settings: options.settings,
+        transparency: { ...DEFAULT_TRANSPARENCY },
+        adjustments: null,
+        colors: options.palette.colors.filter(color => color.enabled),
+        inventory: null
+    });
+    
+    const parts = buildPartsList(grid, options.palette.colors);
+    const bricks = parts.reduce((total, part) => total + part.count, 0);
+    console.log(`🧱 ${path}: ${width}x${height} studs, ${bricks} bricks in ${parts.length} colors`);
+    
+    if (options.out) {
+        const project = createProjectFile({
+            name,
+            grid,
+            plateSize: options.plateSize,
+            paletteName: options.palette.name,
+            palette: options.palette.colors,
+            settings: options.settings,
+            framing: options.framing,
+            transparency: { ...DEFAULT_TRANSPARENCY },
+            referenceImage: null
+        });
+        writeOutput(outputPath(options.out), JSON.stringify(project, null, 2));
+        console.log(`   💾 ${outputPath(options.out)}`);
+    }
+    
+    if (options.png) {
+        writeOutput(outputPath(options.png), encodePng(renderMosaicPixels(grid, options.studSize)));
+        console.log(`   🖼️  ${outputPath(options.png)}`);
+    }
+    
+    if (options.bom) {
+        writeOutput(outputPath(options.bom), partsListToCsv(parts, options.partNumber));
+        console.log(`   📋 ${outputPath(options.bom)}`);
+    }
+}
+
+/**
+ * Runs the command line tool
+ * Images that fail are reported and skipped; the exit code is 1 if any did
+ * (2 for a bad command line).
+ * @param {Array<string>} args - Arguments after the script name
+ */
+function main(args) {
+    let command;
+    try {
+        command = parseCommandLine(args);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 2;
+        return;
+    }
+    
+    if (!command) {
+        console.log(USAGE);
+        return;
+    }
+    
+    command.images.forEach(path => {
+        try {
+            convertImage(path, command.options, command.images);
+        } catch (error) {
+            console.error(`❌ ${path}: ${error.message}`);
+            process.exitCode = 1;
+        }
+    });
+}
+
+main(process.argv.slice(2));
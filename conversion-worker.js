@@ -0,0 +1,31 @@
+// ================================
+// LEGO Art Creator - Conversion Worker
+// Turns pixels into bricks off the main thread, so the page
+// stays responsive while large mosaics are generated
+// ================================
+
+importScripts('lego-core.js');
+
+/**
+ * Handles one conversion job from script.js
+ * Message in:  { pixels, width, height, settings, transparency, adjustments, colors, inventory }
+ * Messages out: { type: 'progress', progress }, then
+ *               { type: 'done', grid, idealGrid } or { type: 'error', message }
+ */
+self.onmessage = function(event) {
+    try {
+        // Only report whole percents - thousands of messages would slow the page down
+        let lastPercent = -1;
+        const onProgress = fraction => {
+            const percent = Math.floor(fraction * 100);
+            if (percent === lastPercent) return;
+            lastPercent = percent;
+            self.postMessage({ type: 'progress', progress: fraction });
+        };
+        
+        const result = runConversionJob(event.data, onProgress);
+        self.postMessage({ type: 'done', grid: result.grid, idealGrid: result.idealGrid });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
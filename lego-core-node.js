@@ -0,0 +1,52 @@
+// ================================
+// LEGO Art Creator - Conversion Core for Node.js
+// lego-core.js is a plain script (so index.html works from disk);
+// this module runs it and exports its public API, for the
+// command line tool and `import ... from 'lego-art-creator'`
+// ================================
+
+import './lego-core.js';
+
+export const {
+    runConversionJob,
+    convertPixels,
+    allocateWithInventory,
+    findClosestLegoEntry,
+    hexToRgb,
+    buildColorCache,
+    rgbToLab,
+    redmeanDistance,
+    deltaE76,
+    deltaE2000,
+    DEFAULT_ADJUSTMENTS,
+    isNeutralAdjustments,
+    adjustPixels,
+    DEFAULT_TRANSPARENCY,
+    applyTransparency,
+    fillTransparentCells,
+    LEGO_COLOR_CATALOG,
+    PALETTE_PRESETS,
+    PALETTE_FORMAT,
+    PALETTE_FORMAT_VERSION,
+    normalizePaletteColor,
+    lookupColorInfo,
+    buildPresetColors,
+    parsePaletteFile,
+    getFramingViewRect,
+    framePixels,
+    countColors,
+    buildPartsList,
+    partsListToCsv,
+    PROJECT_FORMAT,
+    PROJECT_FORMAT_VERSION,
+    MAX_GRID_SIZE,
+    createProjectFile,
+    EMPTY_BRICK_COLOR,
+    renderMosaicPixels,
+    SHARE_FORMAT_VERSION,
+    SHARE_LINK_PREFIX,
+    encodeShareCode,
+    decodeShareCode,
+    pickBestColors,
+    findRareColorMerges
+} = globalThis.LegoCore;
@@ -0,0 +1,1879 @@
+// ================================
+// LEGO Art Creator - Conversion Core
+// Image-to-brick code shared by the page (script.js), the conversion
+// worker (conversion-worker.js) and the command line tool (bin/lego-art.js).
+// No DOM access and no state: everything it needs comes in as arguments.
+// A plain script, so the page also works when opened from disk; Node.js
+// imports it through lego-core-node.js.
+// ================================
+
+// ================================
+// Dithering Patterns
+// ================================
+
+// Error diffusion kernels: [dx, dy, share of the error]
+const DIFFUSION_KERNELS = {
+    'floyd-steinberg': [
+        [1, 0, 7 / 16],
+        [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]
+    ],
+    // Atkinson only passes on 6/8 of the error, which keeps contrast higher
+    'atkinson': [
+        [1, 0, 1 / 8], [2, 0, 1 / 8],
+        [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8],
+        [0, 2, 1 / 8]
+    ]
+};
+
+// 8x8 Bayer threshold matrix for ordered dithering
+const BAYER_MATRIX = buildBayerMatrix(8);
+
+// How far (in 0-255 RGB units) ordered dithering may push a pixel at 100%
+// The LEGO palette is sparse, so the offset has to be fairly large
+const BAYER_SPREAD = 64;
+
+// ================================
+// 1. PIXELS TO BRICKS
+// ================================
+
+/**
+ * Runs a whole generation job: cut out the background, adjust the image,
+ * then convert it to bricks
+ * @param {object} job - { pixels, width, height, settings, transparency, adjustments, colors, inventory }
+ *   colors = the palette colors to match with ({ name, hex, ... })
+ * @param {function} [onProgress] - Called with the finished fraction (0-1)
+ * @returns {object} { grid, idealGrid } - see convertPixels
+ */
+function runConversionJob(job, onProgress = null) {
+    let pixels = job.transparency
+        ? applyTransparency(job.pixels, job.width, job.height, job.transparency)
+        : job.pixels;
+    
+    if (job.adjustments && !isNeutralAdjustments(job.adjustments)) {
+        pixels = adjustPixels(pixels, job.width, job.height, job.adjustments);
+    }
+    
+    const palette = buildColorCache(job.colors);
+    const result = convertPixels(pixels, job.width, job.height, palette, job.settings, job.inventory, onProgress);
+    
+    // Transparent cells get the backdrop color instead of staying empty
+    const fill = job.transparency && job.transparency.fill;
+    if (fill) {
+        fillTransparentCells(result.grid, pixels, fill);
+        if (result.idealGrid) fillTransparentCells(result.idealGrid, pixels, fill);
+    }
+    
+    return result;
+}
+
+/**
+ * Converts pixels to bricks, optionally within a brick inventory
+ * With an inventory the image is converted twice: once with unlimited
+ * bricks (what the image wants) and once within the stock (what we can build)
+ * 
+ * @param {Uint8ClampedArray} pixels - RGBA values, 4 per pixel, row by row
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {Array<object>} palette - Colors to match with, from buildColorCache
+ * @param {object} settings - { matchMetric, dither, ditherStrength }
+ * @param {object|null} [inventory] - Hex -> pieces owned, or null for unlimited bricks
+ * @param {function} [onProgress] - Called with the finished fraction (0-1)
+ * @returns {object} { grid, idealGrid } - idealGrid is the unlimited result (null without inventory)
+ */
+function convertPixels(pixels, width, height, palette, settings, inventory = null, onProgress = null) {
+    const passes = inventory ? 2 : 1;
+    const reportPass = pass => onProgress
+        ? fraction => onProgress((pass + fraction) / passes)
+        : null;
+    
+    const idealGrid = quantizePixels(pixels, width, height, palette, settings, null, reportPass(0));
+    if (!inventory) {
+        return { grid: idealGrid, idealGrid: null };
+    }
+    
+    const grid = quantizePixels(pixels, width, height, palette, settings, { ...inventory }, reportPass(1));
+    return { grid, idealGrid };
+}
+
+/**
+ * Converts RGBA pixel data into a grid of LEGO colors
+ * Each pixel is matched with findClosestLegoEntry; dithering nudges the
+ * pixels first so that gradients turn into mixes of bricks instead of bands
+ * 
+ * @param {Uint8ClampedArray} pixels - RGBA values, 4 per pixel, row by row
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {Array<object>} palette - Colors to match with, from buildColorCache
+ * @param {object} settings - { matchMetric, dither, ditherStrength }
+ * @param {object} [stock] - Optional hex -> pieces left; used up as bricks are placed
+ *   (with dithering, a budget from allocateWithInventory is used up instead)
+ * @param {function} [onProgress] - Called with the finished fraction (0-1) after each row
+ * @returns {Array<Array<string|null>>} 2D array of hex colors (null = out of bricks)
+ */
+function quantizePixels(pixels, width, height, palette, settings, stock = null, onProgress = null) {
+    const strength = settings.ditherStrength / 100;
+    const kernel = DIFFUSION_KERNELS[settings.dither] || null;
+    const useBayer = settings.dither === 'bayer';
+    
+    // Without dithering, pixels don't affect each other, so the limited
+    // bricks can be shared out across the whole image at once
+    if (stock && !kernel && !useBayer) {
+        return allocateWithInventory(pixels, width, height, palette, settings.matchMetric, stock, onProgress);
+    }
+    
+    // With dithering, share them out first anyway and dither only with the
+    // bricks each color got: otherwise the top rows would use up a scarce color
+    // and the error of the fallbacks would pull unrelated colors into the rest
+    let reportRows = onProgress;
+    if (stock) {
+        stock = getInventoryBudget(pixels, width, height, palette, settings.matchMetric, stock,
+            onProgress ? fraction => onProgress(fraction / 2) : null);
+        palette = palette.filter(entry => stock[entry.hex] > 0);
+        reportRows = onProgress ? fraction => onProgress(0.5 + fraction / 2) : null;
+    }
+    
+    // Working copy of the RGB values as floats
+    // Error diffusion pushes values past 0-255, so Uint8 would clip the error
+    const work = new Float32Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+        work[i * 3] = pixels[i * 4];         // Red
+        work[i * 3 + 1] = pixels[i * 4 + 1]; // Green
+        work[i * 3 + 2] = pixels[i * 4 + 2]; // Blue
+        // pixels[i * 4 + 3] is Alpha - fully transparent pixels stay empty
+    }
+    
+    const grid = [];
+    for (let row = 0; row < height; row++) {
+        const gridRow = [];
+        
+        for (let col = 0; col < width; col++) {
+            // Nothing to match where the image doesn't reach (e.g. "fit" bars)
+            if (pixels[(row * width + col) * 4 + 3] === 0) {
+                gridRow.push(null);
+                continue;
+            }
+            
+            const index = (row * width + col) * 3;
+            let r = work[index];
+            let g = work[index + 1];
+            let b = work[index + 2];
+            
+            // Ordered dithering: add a fixed, position-based offset
+            if (useBayer) {
+                const size = BAYER_MATRIX.length;
+                const threshold = (BAYER_MATRIX[row % size][col % size] + 0.5) / (size * size) - 0.5;
+                const offset = threshold * BAYER_SPREAD * strength;
+                r += offset;
+                g += offset;
+                b += offset;
+            }
+            
+            r = clampChannel(r);
+            g = clampChannel(g);
+            b = clampChannel(b);
+            
+            // Find the closest LEGO color to this (adjusted) pixel's color
+            // With a stock, that's the closest color we still have bricks for -
+            // dithering then spreads the extra error of the fallback around
+            const entry = findClosestLegoEntry(palette, r, g, b, settings.matchMetric, stock);
+            if (!entry) {
+                gridRow.push(null); // Out of bricks altogether
+                continue;
+            }
+            gridRow.push(entry.hex);
+            if (stock) stock[entry.hex]--;
+            
+            // Error diffusion: hand the rounding error on to unvisited neighbours
+            if (kernel) {
+                const errR = (r - entry.rgb.r) * strength;
+                const errG = (g - entry.rgb.g) * strength;
+                const errB = (b - entry.rgb.b) * strength;
+                
+                kernel.forEach(([dx, dy, weight]) => {
+                    const x = col + dx;
+                    const y = row + dy;
+                    if (x < 0 || x >= width || y >= height) return;
+                    
+                    const target = (y * width + x) * 3;
+                    work[target] += errR * weight;
+                    work[target + 1] += errG * weight;
+                    work[target + 2] += errB * weight;
+                });
+            }
+        }
+        
+        grid.push(gridRow);
+        if (reportRows) reportRows((row + 1) / height);
+    }
+    
+    return grid;
+}
+
+/**
+ * Keeps a color channel inside 0-255
+ * @param {number} value - Channel value
+ * @returns {number} Clamped value
+ */
+function clampChannel(value) {
+    return Math.min(255, Math.max(0, value));
+}
+
+/**
+ * Finds the closest palette color to a given RGB color
+ * @param {Array<object>} palette - Colors to match with, from buildColorCache
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @param {string} metric - 'rgb', 'redmean', 'cie76' or 'ciede2000'
+ * @param {object} [stock] - Optional hex -> pieces left; colors at 0 are skipped
+ * @returns {object|null} The cached color entry ({ name, hex, rgb, lab })
+ */
+function findClosestLegoEntry(palette, r, g, b, metric, stock = null) {
+    const pixel = { r, g, b };
+    
+    // Lab metrics need the pixel in Lab too - convert it once, not once per color
+    const pixelLab = (metric === 'cie76' || metric === 'ciede2000') ? rgbToLab(r, g, b) : null;
+    
+    let closest = null;
+    let smallestDistance = Infinity; // Start with a very large number
+    
+    palette.forEach(entry => {
+        // Skip colors we've run out of
+        if (stock && !(stock[entry.hex] > 0)) return;
+        
+        const distance = colorDistance(metric, pixel, pixelLab, entry);
+        
+        // If this color is closer than previous best, save it
+        if (distance < smallestDistance) {
+            smallestDistance = distance;
+            closest = entry;
+        }
+    });
+    
+    return closest;
+}
+
+/**
+ * Measures how different a pixel looks from a cached LEGO color
+ * @param {string} metric - 'rgb', 'redmean', 'cie76' or 'ciede2000'
+ * @param {object} pixel - { r, g, b } of the pixel
+ * @param {object|null} pixelLab - { l, a, b } of the pixel (required for Lab metrics)
+ * @param {object} entry - Cached color entry with rgb and lab
+ * @returns {number} Distance (smaller = more similar)
+ */
+function colorDistance(metric, pixel, pixelLab, entry) {
+    switch (metric) {
+        case 'redmean':
+            return redmeanDistance(pixel, entry.rgb);
+        case 'cie76':
+            return deltaE76(pixelLab, entry.lab);
+        case 'ciede2000':
+            return deltaE2000(pixelLab, entry.lab);
+        default:
+            // Plain Euclidean distance in RGB space
+            // Formula: distance = √[(r1-r2)² + (g1-g2)² + (b1-b2)²]
+            return Math.sqrt(
+                Math.pow(pixel.r - entry.rgb.r, 2) +
+                Math.pow(pixel.g - entry.rgb.g, 2) +
+                Math.pow(pixel.b - entry.rgb.b, 2)
+            );
+    }
+}
+
+/**
+ * Converts hex color to RGB object
+ * @param {string} hex - Hex color code (e.g., '#FF0000')
+ * @returns {object} Object with r, g, b properties
+ */
+function hexToRgb(hex) {
+    // Remove the # if present
+    hex = hex.replace('#', '');
+    
+    // Parse hex string to integers
+    // For #FF0000: FF (255), 00 (0), 00 (0)
+    return {
+        r: parseInt(hex.substring(0, 2), 16), // First 2 characters
+        g: parseInt(hex.substring(2, 4), 16), // Middle 2 characters
+        b: parseInt(hex.substring(4, 6), 16)  // Last 2 characters
+    };
+}
+
+// ================================
+// 2. COLOR SCIENCE
+// RGB is how screens store color, not how eyes see it.
+// CIELAB is built so that equal distances look like equal differences.
+// ================================
+
+/**
+ * Pre-converts palette colors to RGB and CIELAB for matching
+ * @param {Array<object>} colors - Palette colors ({ name, hex, ... })
+ * @returns {Array<object>} Copies with rgb and lab added
+ */
+function buildColorCache(colors) {
+    return colors.map(color => {
+        const rgb = hexToRgb(color.hex);
+        return { ...color, rgb, lab: rgbToLab(rgb.r, rgb.g, rgb.b) };
+    });
+}
+
+/**
+ * Converts an sRGB channel (0-255) to linear light (0-1)
+ * @param {number} value - Channel value (0-255)
+ * @returns {number} Linear channel value
+ */
+function srgbToLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Converts an sRGB color to CIELAB (D65 white point)
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {object} Object with l, a, b properties
+ */
+function rgbToLab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+    
+    // Linear RGB -> XYZ, normalised by the D65 reference white
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+    const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) / 1.00000;
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+    
+    // XYZ -> Lab
+    const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+    
+    return {
+        l: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+/**
+ * "Redmean" weighted RGB distance
+ * A cheap approximation that weights channels by how sensitive eyes are to them
+ * @param {object} c1 - { r, g, b }
+ * @param {object} c2 - { r, g, b }
+ * @returns {number} Distance
+ */
+function redmeanDistance(c1, c2) {
+    const rMean = (c1.r + c2.r) / 2;
+    const dr = c1.r - c2.r;
+    const dg = c1.g - c2.g;
+    const db = c1.b - c2.b;
+    
+    return Math.sqrt(
+        (2 + rMean / 256) * dr * dr +
+        4 * dg * dg +
+        (2 + (255 - rMean) / 256) * db * db
+    );
+}
+
+/**
+ * CIE76 color difference: straight-line distance in Lab space
+ * @param {object} lab1 - { l, a, b }
+ * @param {object} lab2 - { l, a, b }
+ * @returns {number} ΔE76
+ */
+function deltaE76(lab1, lab2) {
+    return Math.sqrt(
+        Math.pow(lab1.l - lab2.l, 2) +
+        Math.pow(lab1.a - lab2.a, 2) +
+        Math.pow(lab1.b - lab2.b, 2)
+    );
+}
+
+/**
+ * CIEDE2000 color difference
+ * Corrects Lab for the way eyes judge lightness, chroma and hue,
+ * which matters most for skin tones, dark blues and pastels
+ * @param {object} lab1 - { l, a, b }
+ * @param {object} lab2 - { l, a, b }
+ * @returns {number} ΔE00
+ */
+function deltaE2000(lab1, lab2) {
+    const toRadians = Math.PI / 180;
+    const toDegrees = 180 / Math.PI;
+    
+    const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const cMean7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+    
+    const a1 = (1 + g) * lab1.a;
+    const a2 = (1 + g) * lab2.a;
+    const c1p = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+    const c2p = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+    
+    const hueAngle = (bValue, aValue) => {
+        if (bValue === 0 && aValue === 0) return 0;
+        const angle = Math.atan2(bValue, aValue) * toDegrees;
+        return angle < 0 ? angle + 360 : angle;
+    };
+    const h1p = hueAngle(lab1.b, a1);
+    const h2p = hueAngle(lab2.b, a2);
+    
+    const deltaL = lab2.l - lab1.l;
+    const deltaC = c2p - c1p;
+    
+    let deltah = 0;
+    if (c1p * c2p !== 0) {
+        deltah = h2p - h1p;
+        if (deltah > 180) deltah -= 360;
+        else if (deltah < -180) deltah += 360;
+    }
+    const deltaH = 2 * Math.sqrt(c1p * c2p) * Math.sin(deltah / 2 * toRadians);
+    
+    const lMean = (lab1.l + lab2.l) / 2;
+    const cMeanP = (c1p + c2p) / 2;
+    
+    let hMean = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hMean = (h1p + h2p) / 2;
+        else if (h1p + h2p < 360) hMean = (h1p + h2p + 360) / 2;
+        else hMean = (h1p + h2p - 360) / 2;
+    }
+    
+    const t = 1 -
+        0.17 * Math.cos((hMean - 30) * toRadians) +
+        0.24 * Math.cos((2 * hMean) * toRadians) +
+        0.32 * Math.cos((3 * hMean + 6) * toRadians) -
+        0.20 * Math.cos((4 * hMean - 63) * toRadians);
+    
+    const deltaTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+    const cMeanP7 = Math.pow(cMeanP, 7);
+    const rc = 2 * Math.sqrt(cMeanP7 / (cMeanP7 + Math.pow(25, 7)));
+    const lMean50 = Math.pow(lMean - 50, 2);
+    const sl = 1 + (0.015 * lMean50) / Math.sqrt(20 + lMean50);
+    const sc = 1 + 0.045 * cMeanP;
+    const sh = 1 + 0.015 * cMeanP * t;
+    const rt = -Math.sin(2 * deltaTheta * toRadians) * rc;
+    
+    return Math.sqrt(
+        Math.pow(deltaL / sl, 2) +
+        Math.pow(deltaC / sc, 2) +
+        Math.pow(deltaH / sh, 2) +
+        rt * (deltaC / sc) * (deltaH / sh)
+    );
+}
+
+/**
+ * Builds a Bayer threshold matrix (values 0 to size²-1)
+ * Each step doubles the size: M(2n) = [[4M, 4M+2], [4M+3, 4M+1]]
+ * @param {number} size - Matrix size (power of two)
+ * @returns {number[][]} The matrix
+ */
+function buildBayerMatrix(size) {
+    let matrix = [[0]];
+    
+    while (matrix.length < size) {
+        const n = matrix.length;
+        const next = Array(n * 2).fill(null).map(() => Array(n * 2).fill(0));
+        
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const value = matrix[y][x] * 4;
+                next[y][x] = value;
+                next[y][x + n] = value + 2;
+                next[y + n][x] = value + 3;
+                next[y + n][x + n] = value + 1;
+            }
+        }
+        matrix = next;
+    }
+    
+    return matrix;
+}
+
+// ================================
+// 3. BRICK INVENTORY
+// Generate only with the bricks we actually own
+// ================================
+
+/**
+ * Shares limited bricks out across the image
+ * Pixels that would suffer most from getting their second choice pick first,
+ * so when a color runs out, it's the pixels where the fallback is least
+ * visible that switch to the next-best color
+ * 
+ * @param {Uint8ClampedArray} pixels - RGBA values, 4 per pixel, row by row
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {Array<object>} palette - Colors to match with, from buildColorCache
+ * @param {string} metric - Distance metric
+ * @param {object} stock - Hex -> pieces left (used up as bricks are placed)
+ * @param {function} [onProgress] - Called with the finished fraction (0-1) after each row
+ * @returns {Array<Array<string|null>>} 2D array of hex colors (null = out of bricks)
+ */
+function allocateWithInventory(pixels, width, height, palette, metric, stock, onProgress = null) {
+    const pixelCount = width * height;
+    const candidates = []; // Per pixel: cache entries ordered best -> worst
+    const regrets = new Float32Array(pixelCount);
+    
+    for (let i = 0; i < pixelCount; i++) {
+        // Transparent pixels stay empty and don't use up bricks
+        if (pixels[i * 4 + 3] === 0) {
+            candidates.push([]);
+            continue;
+        }
+        
+        const pixel = { r: pixels[i * 4], g: pixels[i * 4 + 1], b: pixels[i * 4 + 2] };
+        const pixelLab = (metric === 'cie76' || metric === 'ciede2000')
+            ? rgbToLab(pixel.r, pixel.g, pixel.b)
+            : null;
+        
+        const ranked = palette
+            .map(entry => ({ entry, distance: colorDistance(metric, pixel, pixelLab, entry) }))
+            .sort((a, b) => a.distance - b.distance);
+        
+        candidates.push(ranked);
+        // "Regret" = how much worse the second choice would look
+        regrets[i] = ranked.length > 1 ? ranked[1].distance - ranked[0].distance : 0;
+        
+        // Ranking is the slow part; handing out the bricks is quick
+        if (onProgress && (i + 1) % width === 0) onProgress((i + 1) / pixelCount);
+    }
+    
+    // Highest regret first
+    const order = Array.from({ length: pixelCount }, (_, i) => i)
+        .sort((a, b) => regrets[b] - regrets[a]);
+    
+    const grid = Array(height).fill(null).map(() => Array(width).fill(null));
+    
+    order.forEach(i => {
+        const choice = candidates[i].find(c => stock[c.entry.hex] > 0);
+        if (!choice) return; // Nothing left at all - leave the cell empty
+        
+        stock[choice.entry.hex]--;
+        grid[Math.floor(i / width)][i % width] = choice.entry.hex;
+    });
+    
+    return grid;
+}
+
+/**
+ * Works out how many bricks of each color the image gets from a limited stock
+ * (the colors allocateWithInventory picks, counted)
+ * @param {Uint8ClampedArray} pixels - RGBA values, 4 per pixel, row by row
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {Array<object>} palette - Colors to match with, from buildColorCache
+ * @param {string} metric - Distance metric
+ * @param {object} stock - Hex -> pieces owned (not changed)
+ * @param {function} [onProgress] - Called with the finished fraction (0-1)
+ * @returns {object} Hex -> pieces to use
+ */
+function getInventoryBudget(pixels, width, height, palette, metric, stock, onProgress = null) {
+    const grid = allocateWithInventory(pixels, width, height, palette, metric, { ...stock }, onProgress);
+    
+    const budget = {};
+    grid.forEach(row => row.forEach(hex => {
+        if (hex) budget[hex] = (budget[hex] || 0) + 1;
+    }));
+    return budget;
+}
+
+// ================================
+// 4. IMAGE ADJUSTMENTS
+// Tone and color tweaks applied before matching
+// ================================
+
+// Neutral settings - applying these changes nothing
+const DEFAULT_ADJUSTMENTS = {
+    brightness: 0, // -100 to 100
+    contrast: 0, // -100 to 100
+    saturation: 0, // -100 (gray) to 100
+    gamma: 1, // 0.2 to 3 (above 1 lightens midtones)
+    hue: 0, // Hue shift in degrees, -180 to 180
+    sharpen: 0, // Unsharp mask amount in %, 0 to 200
+    sharpenRadius: 1, // Blur radius of the unsharp mask in pixels
+    posterize: 0 // Levels per channel, 2 to 16 (0 = off)
+};
+
+/**
+ * Checks whether adjustments would leave the image unchanged
+ * @param {object} adjustments - See DEFAULT_ADJUSTMENTS
+ * @returns {boolean} true if nothing would change
+ */
+function isNeutralAdjustments(adjustments) {
+    return Object.keys(DEFAULT_ADJUSTMENTS)
+        .filter(key => key !== 'sharpenRadius')
+        .every(key => adjustments[key] === undefined || adjustments[key] === DEFAULT_ADJUSTMENTS[key]);
+}
+
+/**
+ * Applies brightness, contrast, gamma, saturation, hue, sharpening and posterizing
+ * Alpha is left alone.
+ * @param {Uint8ClampedArray} pixels - RGBA values, 4 per pixel, row by row
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {object} adjustments - See DEFAULT_ADJUSTMENTS (missing keys = neutral)
+ * @returns {Uint8ClampedArray} Adjusted copy of the pixels
+ */
+function adjustPixels(pixels, width, height, adjustments) {
+    const settings = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+    const result = new Uint8ClampedArray(pixels);
+    if (isNeutralAdjustments(settings)) return result;
+    
+    // Brightness, contrast and gamma act on each channel alone: one lookup table
+    const toneCurve = buildToneCurve(settings.brightness, settings.contrast, settings.gamma);
+    const saturation = 1 + settings.saturation / 100;
+    const hueMatrix = settings.hue !== 0 ? buildHueMatrix(settings.hue) : null;
+    
+    for (let i = 0; i < result.length; i += 4) {
+        let r = toneCurve[result[i]];
+        let g = toneCurve[result[i + 1]];
+        let b = toneCurve[result[i + 2]];
+        
+        if (saturation !== 1) {
+            // Push channels away from (or towards) the pixel's gray value
+            const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+            r = luma + (r - luma) * saturation;
+            g = luma + (g - luma) * saturation;
+            b = luma + (b - luma) * saturation;
+        }
+        
+        if (hueMatrix) {
+            const [m0, m1, m2, m3, m4, m5, m6, m7, m8] = hueMatrix;
+            const rotatedR = m0 * r + m1 * g + m2 * b;
+            const rotatedG = m3 * r + m4 * g + m5 * b;
+            const rotatedB = m6 * r + m7 * g + m8 * b;
+            r = rotatedR;
+            g = rotatedG;
+            b = rotatedB;
+        }
+        
+        // Uint8ClampedArray rounds and clamps to 0-255 for us
+        result[i] = r;
+        result[i + 1] = g;
+        result[i + 2] = b;
+    }
+    
+    if (settings.sharpen > 0) {
+        unsharpMask(result, width, height, settings.sharpen / 100, Math.max(1, Math.round(settings.sharpenRadius)));
+    }
+    
+    if (settings.posterize >= 2) {
+        const steps = settings.posterize - 1;
+        for (let i = 0; i < result.length; i += 4) {
+            result[i] = Math.round(result[i] / 255 * steps) * 255 / steps;
+            result[i + 1] = Math.round(result[i + 1] / 255 * steps) * 255 / steps;
+            result[i + 2] = Math.round(result[i + 2] / 255 * steps) * 255 / steps;
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Builds a 256-entry lookup table for brightness, contrast and gamma
+ * @param {number} brightness - -100 to 100
+ * @param {number} contrast - -100 to 100
+ * @param {number} gamma - 0.2 to 3
+ * @returns {Float32Array} Output value for every input value
+ */
+function buildToneCurve(brightness, contrast, gamma) {
+    const curve = new Float32Array(256);
+    
+    // Standard contrast correction factor (128 stays put)
+    const c = contrast * 2.55;
+    const contrastFactor = (259 * (c + 255)) / (255 * (259 - c));
+    
+    for (let value = 0; value < 256; value++) {
+        let v = value + brightness * 2.55;
+        v = contrastFactor * (v - 128) + 128;
+        v = clampChannel(v);
+        v = 255 * Math.pow(v / 255, 1 / gamma);
+        curve[value] = v;
+    }
+    
+    return curve;
+}
+
+/**
+ * Builds a 3x3 matrix that rotates hue while keeping luminance
+ * (the same matrix as CSS hue-rotate())
+ * @param {number} degrees - Hue shift
+ * @returns {number[]} Row-major 3x3 matrix
+ */
+function buildHueMatrix(degrees) {
+    const angle = degrees * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    
+    return [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ];
+}
+
+/**
+ * Sharpens pixels in place with an unsharp mask
+ * Each pixel moves away from its blurred surroundings by `amount`.
+ * @param {Uint8ClampedArray} pixels - RGBA values (changed in place)
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {number} amount - Strength, 1 = 100%
+ * @param {number} radius - Blur radius in pixels
+ */
+function unsharpMask(pixels, width, height, amount, radius) {
+    const blurred = boxBlur(pixels, width, height, radius);
+    
+    for (let i = 0; i < pixels.length; i += 4) {
+        pixels[i] = pixels[i] + (pixels[i] - blurred[i]) * amount;
+        pixels[i + 1] = pixels[i + 1] + (pixels[i + 1] - blurred[i + 1]) * amount;
+        pixels[i + 2] = pixels[i + 2] + (pixels[i + 2] - blurred[i + 2]) * amount;
+    }
+}
+
+/**
+ * Blurs RGB with a box filter (one horizontal and one vertical pass)
+ * Edges repeat the outermost pixels.
+ * @param {Uint8ClampedArray} pixels - RGBA values
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {number} radius - Blur radius in pixels
+ * @returns {Float32Array} Blurred RGBA values (alpha is not blurred)
+ */
+function boxBlur(pixels, width, height, radius) {
+    const horizontal = new Float32Array(pixels.length);
+    const result = new Float32Array(pixels.length);
+    const size = radius * 2 + 1;
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let channel = 0; channel < 3; channel++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sampleX = Math.min(width - 1, Math.max(0, x + k));
+                    sum += pixels[(y * width + sampleX) * 4 + channel];
+                }
+                horizontal[(y * width + x) * 4 + channel] = sum / size;
+            }
+        }
+    }
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let channel = 0; channel < 3; channel++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sampleY = Math.min(height - 1, Math.max(0, y + k));
+                    sum += horizontal[(sampleY * width + x) * 4 + channel];
+                }
+                result[(y * width + x) * 4 + channel] = sum / size;
+            }
+        }
+    }
+    
+    return result;
+}
+
+// ================================
+// 5. TRANSPARENCY & BACKGROUND REMOVAL
+// Decides which pixels become empty cells
+// ================================
+
+// Default settings - only fully transparent pixels are dropped
+const DEFAULT_TRANSPARENCY = {
+    alphaThreshold: 128, // Pixels less opaque than this (0-255) count as transparent
+    fill: null, // Hex color for transparent cells, or null to leave them empty
+    removal: 'none', // 'none', 'edges' (flood from the border) or 'chroma' (key color)
+    tolerance: 15, // How different a color may be and still count as background (0-100%)
+    keyColor: '#00FF00' // Chroma key color
+};
+
+// Largest possible RGB distance: black to white
+const MAX_RGB_DISTANCE = Math.sqrt(3 * 255 * 255);
+
+/**
+ * Makes pixels fully transparent or fully opaque
+ * Pixels below the alpha threshold and removed background become
+ * transparent (alpha 0), which the matching turns into empty cells.
+ * 
+ * @param {Uint8ClampedArray} pixels - RGBA values, 4 per pixel, row by row
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {object} transparency - See DEFAULT_TRANSPARENCY
+ * @returns {Uint8ClampedArray} Copy of the pixels with alpha 0 or 255
+ */
+function applyTransparency(pixels, width, height, transparency) {
+    const settings = { ...DEFAULT_TRANSPARENCY, ...transparency };
+    const result = new Uint8ClampedArray(pixels);
+    
+    for (let i = 3; i < result.length; i += 4) {
+        result[i] = result[i] < settings.alphaThreshold ? 0 : 255;
+    }
+    
+    const maxDistance = settings.tolerance / 100 * MAX_RGB_DISTANCE;
+    let background = null;
+    
+    if (settings.removal === 'edges') {
+        background = findEdgeBackground(result, width, height, maxDistance);
+    } else if (settings.removal === 'chroma') {
+        background = findKeyColor(result, hexToRgb(settings.keyColor), maxDistance);
+    }
+    
+    if (background) {
+        background.forEach((isBackground, i) => {
+            if (isBackground) result[i * 4 + 3] = 0;
+        });
+    }
+    
+    return result;
+}
+
+/**
+ * Flood-selects the background from the image border
+ * The outline of the image (border pixels, or the first opaque pixels
+ * inside transparent "fit" bars) gives the backdrop color: the median of
+ * the outline. Outline pixels close to it start floods that spread to
+ * neighbours (4 sides) close to their starting color, so a plain or
+ * gently shaded backdrop is found, while a subject touching the border
+ * is not used as a starting point.
+ * 
+ * @param {Uint8ClampedArray} pixels - RGBA values, alpha 0 or 255
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {number} maxDistance - Largest RGB distance that still counts as background
+ * @returns {Uint8Array} 1 for background pixels, 0 for the rest
+ */
+function findEdgeBackground(pixels, width, height, maxDistance) {
+    const background = new Uint8Array(width * height);
+    const isOpaque = i => pixels[i * 4 + 3] !== 0;
+    const colorAt = i => ({ r: pixels[i * 4], g: pixels[i * 4 + 1], b: pixels[i * 4 + 2] });
+    const neighboursOf = i => {
+        const x = i % width;
+        const neighbours = [];
+        if (x > 0) neighbours.push(i - 1);
+        if (x < width - 1) neighbours.push(i + 1);
+        if (i >= width) neighbours.push(i - width);
+        if (i < width * (height - 1)) neighbours.push(i + width);
+        return neighbours;
+    };
+    
+    // 1. Walk in from the border through transparent areas to find the outline
+    const visited = new Uint8Array(width * height);
+    const outline = [];
+    const queue = [];
+    for (let x = 0; x < width; x++) {
+        queue.push(x, (height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        queue.push(y * width, y * width + width - 1);
+    }
+    
+    for (let head = 0; head < queue.length; head++) {
+        const i = queue[head];
+        if (visited[i]) continue;
+        visited[i] = 1;
+        
+        if (isOpaque(i)) {
+            outline.push(i);
+        } else {
+            neighboursOf(i).forEach(next => {
+                if (!visited[next]) queue.push(next);
+            });
+        }
+    }
+    if (outline.length === 0) return background;
+    
+    // 2. The backdrop color is the median of the outline, channel by channel
+    const median = channel => {
+        const values = outline.map(i => pixels[i * 4 + channel]).sort((a, b) => a - b);
+        return values[Math.floor(values.length / 2)];
+    };
+    const backdrop = { r: median(0), g: median(1), b: median(2) };
+    
+    // 3. Flood from the outline pixels that look like the backdrop
+    // Each pixel remembers the outline pixel its flood started from
+    const seedOf = new Int32Array(width * height).fill(-1);
+    const floodQueue = outline.filter(i => rgbDistance(colorAt(i), backdrop) <= maxDistance);
+    floodQueue.forEach(i => {
+        seedOf[i] = i;
+    });
+    
+    for (let head = 0; head < floodQueue.length; head++) {
+        const i = floodQueue[head];
+        background[i] = 1;
+        const seedColor = colorAt(seedOf[i]);
+        
+        neighboursOf(i).forEach(next => {
+            if (seedOf[next] !== -1 || !isOpaque(next)) return;
+            if (rgbDistance(colorAt(next), seedColor) > maxDistance) return;
+            seedOf[next] = seedOf[i];
+            floodQueue.push(next);
+        });
+    }
+    
+    return background;
+}
+
+/**
+ * Selects every pixel close to a key color (like a green screen)
+ * @param {Uint8ClampedArray} pixels - RGBA values
+ * @param {object} key - { r, g, b } of the key color
+ * @param {number} maxDistance - Largest RGB distance that still counts as background
+ * @returns {Uint8Array} 1 for background pixels, 0 for the rest
+ */
+function findKeyColor(pixels, key, maxDistance) {
+    const background = new Uint8Array(pixels.length / 4);
+    
+    for (let i = 0; i < background.length; i++) {
+        const color = { r: pixels[i * 4], g: pixels[i * 4 + 1], b: pixels[i * 4 + 2] };
+        if (rgbDistance(color, key) <= maxDistance) background[i] = 1;
+    }
+    
+    return background;
+}
+
+/**
+ * Plain Euclidean distance between two RGB colors
+ * @param {object} a - { r, g, b }
+ * @param {object} b - { r, g, b }
+ * @returns {number} Distance (0 to MAX_RGB_DISTANCE)
+ */
+function rgbDistance(a, b) {
+    return Math.sqrt(
+        Math.pow(a.r - b.r, 2) +
+        Math.pow(a.g - b.g, 2) +
+        Math.pow(a.b - b.b, 2)
+    );
+}
+
+/**
+ * Gives every cell of a transparent pixel a backdrop color
+ * @param {Array<Array<string|null>>} grid - Converted grid (changed in place)
+ * @param {Uint8ClampedArray} pixels - The RGBA values the grid was made from
+ * @param {string} fill - Hex color for the transparent cells
+ */
+function fillTransparentCells(grid, pixels, fill) {
+    const width = grid.length > 0 ? grid[0].length : 0;
+    
+    grid.forEach((row, y) => {
+        row.forEach((cell, x) => {
+            if (pixels[(y * width + x) * 4 + 3] === 0) row[x] = fill;
+        });
+    });
+}
+
+// ================================
+// 6. COLOR CATALOG & PALETTES
+// Based on actual LEGO brick colors
+// ================================
+
+// legoId = official LEGO color number, bricklinkId = BrickLink color ID,
+// ldrawId = LDraw color code (for .ldr models)
+const LEGO_COLOR_CATALOG = [
+    { name: 'Bright Red', hex: '#C91A09', legoId: 21, bricklinkId: 5, ldrawId: 4 },
+    { name: 'Bright Blue', hex: '#0055BF', legoId: 23, bricklinkId: 7, ldrawId: 1 },
+    { name: 'Bright Yellow', hex: '#F2CD37', legoId: 24, bricklinkId: 3, ldrawId: 14 },
+    { name: 'Dark Green', hex: '#287F46', legoId: 28, bricklinkId: 6, ldrawId: 2 },
+    { name: 'Bright Orange', hex: '#FE8A18', legoId: 106, bricklinkId: 4, ldrawId: 25 },
+    { name: 'Medium Lavender', hex: '#AC78BA', legoId: 324, bricklinkId: 157, ldrawId: 30 },
+    { name: 'White', hex: '#F2F3F2', legoId: 1, bricklinkId: 1, ldrawId: 15 },
+    { name: 'Black', hex: '#05131D', legoId: 26, bricklinkId: 11, ldrawId: 0 },
+    { name: 'Dark Tan', hex: '#958A73', legoId: 138, bricklinkId: 69, ldrawId: 28 },
+    { name: 'Medium Blue', hex: '#5A93DB', legoId: 102, bricklinkId: 42, ldrawId: 73 },
+    { name: 'Bright Green', hex: '#4B9F4A', legoId: 37, bricklinkId: 36, ldrawId: 10 },
+    { name: 'Dark Orange', hex: '#A95500', legoId: 38, bricklinkId: 68, ldrawId: 484 },
+    { name: 'Light Purple', hex: '#E4ADC8', legoId: 222, bricklinkId: 104, ldrawId: 29 },
+    { name: 'Sand Blue', hex: '#6074A1', legoId: 135, bricklinkId: 55, ldrawId: 379 },
+    { name: 'Dark Red', hex: '#720E0F', legoId: 154, bricklinkId: 59, ldrawId: 320 },
+    { name: 'Lime', hex: '#BBE90B', legoId: 119, bricklinkId: 34, ldrawId: 27 },
+    { name: 'Medium Azur', hex: '#36AEBF', legoId: 322, bricklinkId: 156, ldrawId: 322 },
+    { name: 'Dark Brown', hex: '#352100', legoId: 308, bricklinkId: 120, ldrawId: 308 },
+    { name: 'Light Bluish Gray', hex: '#A0A5A9', legoId: 194, bricklinkId: 86, ldrawId: 71 },
+    { name: 'Dark Bluish Gray', hex: '#6C6E68', legoId: 199, bricklinkId: 85, ldrawId: 72 },
+    { name: 'Tan', hex: '#E4CD9E', legoId: 5, bricklinkId: 2, ldrawId: 19 },
+    { name: 'Reddish Brown', hex: '#582A12', legoId: 192, bricklinkId: 88, ldrawId: 70 },
+    { name: 'Medium Nougat', hex: '#AA7D55', legoId: 312, bricklinkId: 150, ldrawId: 84 },
+    { name: 'Nougat', hex: '#D09168', legoId: 18, bricklinkId: 28, ldrawId: 92 },
+    { name: 'Light Nougat', hex: '#F6D7B3', legoId: 283, bricklinkId: 90, ldrawId: 78 },
+    { name: 'Earth Blue', hex: '#0A3463', legoId: 140, bricklinkId: 63, ldrawId: 272 },
+    { name: 'Earth Green', hex: '#184632', legoId: 141, bricklinkId: 80, ldrawId: 288 },
+    { name: 'Sand Green', hex: '#A0BCAC', legoId: 151, bricklinkId: 48, ldrawId: 378 },
+    { name: 'Olive Green', hex: '#9B9A5A', legoId: 330, bricklinkId: 155, ldrawId: 330 },
+    { name: 'Dark Turquoise', hex: '#008F9B', legoId: 107, bricklinkId: 39, ldrawId: 3 },
+    { name: 'Light Aqua', hex: '#ADC3C0', legoId: 323, bricklinkId: 152, ldrawId: 323 },
+    { name: 'Dark Azur', hex: '#078BC9', legoId: 321, bricklinkId: 153, ldrawId: 321 },
+    { name: 'Lavender', hex: '#E1D5ED', legoId: 325, bricklinkId: 154, ldrawId: 31 },
+    { name: 'Medium Lilac', hex: '#3F3691', legoId: 268, bricklinkId: 89, ldrawId: 85 },
+    { name: 'Bright Purple', hex: '#C870A0', legoId: 221, bricklinkId: 47, ldrawId: 5 },
+    { name: 'Bright Reddish Violet', hex: '#923978', legoId: 124, bricklinkId: 71, ldrawId: 26 },
+    { name: 'Vibrant Coral', hex: '#FF698F', legoId: 353, bricklinkId: 220, ldrawId: 353 },
+    { name: 'Flame Yellowish Orange', hex: '#F8BB3D', legoId: 191, bricklinkId: 110, ldrawId: 191 },
+    { name: 'Cool Yellow', hex: '#FFF03A', legoId: 226, bricklinkId: 103, ldrawId: 226 },
+    { name: 'Spring Yellowish Green', hex: '#DFEEA5', legoId: 326, bricklinkId: 158, ldrawId: 326 },
+];
+
+// Built-in palettes (color names from LEGO_COLOR_CATALOG)
+// id = short name for the command line (--palette art31197)
+const PALETTE_PRESETS = [
+    {
+        id: 'classic20',
+        name: 'Classic 20',
+        colors: LEGO_COLOR_CATALOG.slice(0, 20).map(color => color.name)
+    },
+    {
+        // Round 1x1 tile colors of the Andy Warhol's Marilyn Monroe set
+        id: 'art31197',
+        name: 'LEGO Art 31197 set',
+        colors: [
+            'Black', 'White', 'Light Purple', 'Bright Purple', 'Vibrant Coral',
+            'Bright Red', 'Bright Orange', 'Flame Yellowish Orange', 'Bright Yellow',
+            'Cool Yellow', 'Medium Azur', 'Dark Turquoise', 'Light Aqua',
+            'Lavender', 'Medium Lavender', 'Lime', 'Light Nougat'
+        ]
+    },
+    {
+        id: 'grayscale',
+        name: 'Grayscale',
+        colors: ['White', 'Light Bluish Gray', 'Dark Bluish Gray', 'Black']
+    },
+    {
+        id: 'full',
+        name: 'Full solid colors',
+        colors: LEGO_COLOR_CATALOG.map(color => color.name)
+    }
+];
+
+const PALETTE_FORMAT = 'lego-art-palette';
+const PALETTE_FORMAT_VERSION = 1;
+
+/**
+ * Checks and tidies one palette color
+ * Throws an Error describing the problem if the color is unusable
+ * @param {object} color - { name, hex, legoId?, bricklinkId?, ldrawId?, enabled? }
+ * @returns {object} { name, hex, legoId, bricklinkId, ldrawId, enabled }
+ */
+function normalizePaletteColor(color) {
+    if (!color || typeof color.hex !== 'string' || !/^#?[0-9A-F]{6}$/i.test(color.hex.trim())) {
+        throw new Error('has no valid hex code');
+    }
+    
+    const hex = '#' + color.hex.trim().replace('#', '').toUpperCase();
+    const toId = value => {
+        const id = parseInt(value);
+        return Number.isInteger(id) && id >= 0 ? id : null;
+    };
+    
+    return {
+        name: typeof color.name === 'string' && color.name.trim() ? color.name.trim() : hex,
+        hex,
+        legoId: toId(color.legoId),
+        bricklinkId: toId(color.bricklinkId),
+        ldrawId: toId(color.ldrawId),
+        enabled: color.enabled !== false
+    };
+}
+
+/**
+ * Finds the details of a color by hex code
+ * Checks the given palette first, then the full catalog
+ * @param {string} hex - Hex color code
+ * @param {Array<object>} [colors] - Palette colors to check first
+ * @returns {object} { name, hex, legoId, bricklinkId, ldrawId } (name = hex if unknown)
+ */
+function lookupColorInfo(hex, colors = []) {
+    return colors.find(color => color.hex === hex) ||
+        LEGO_COLOR_CATALOG.find(color => color.hex === hex) ||
+        { name: hex, hex, legoId: null, bricklinkId: null, ldrawId: null };
+}
+
+/**
+ * Builds the colors of a built-in palette
+ * @param {object} preset - Entry of PALETTE_PRESETS
+ * @returns {Array<object>} Palette colors
+ */
+function buildPresetColors(preset) {
+    return preset.colors.map(name => {
+        const color = LEGO_COLOR_CATALOG.find(c => c.name === name);
+        return normalizePaletteColor(color);
+    });
+}
+
+/**
+ * Reads a palette from JSON or CSV text
+ * Throws an Error with a message for the user if the file can't be used
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to tell JSON from CSV and as a fallback name
+ * @returns {object} { name, colors }
+ */
+function parsePaletteFile(text, fileName) {
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    let name = baseName;
+    let rawColors;
+    
+    if (/\.json$/i.test(fileName) || text.trim().startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not valid JSON.');
+        }
+        if (!data || data.format !== PALETTE_FORMAT || !Array.isArray(data.colors)) {
+            throw new Error('This file is not a LEGO Art palette.');
+        }
+        if (data.version > PALETTE_FORMAT_VERSION) {
+            throw new Error(`This palette was saved by a newer version of LEGO Art Creator (format v${data.version}).`);
+        }
+        name = typeof data.name === 'string' && data.name ? data.name : baseName;
+        rawColors = data.colors;
+    } else {
+        // CSV: name,hex[,legoId,bricklinkId,enabled,ldrawId] - header row optional
+        rawColors = [];
+        text.split(/\r?\n/).forEach(line => {
+            if (!line.trim()) return;
+            const [colorName, hex, legoId, bricklinkId, enabled, ldrawId] = line.split(/[,;\t]/)
+                .map(part => part.trim().replace(/^"|"$/g, ''));
+            if (!/^#?[0-9A-F]{6}$/i.test(hex || '')) return; // Header or comment line
+            rawColors.push({ name: colorName, hex, legoId, bricklinkId, ldrawId, enabled: enabled !== 'false' });
+        });
+    }
+    
+    const colors = rawColors.map((color, index) => {
+        try {
+            return normalizePaletteColor(color);
+        } catch (error) {
+            throw new Error(`Color ${index + 1} ${error.message}.`);
+        }
+    });
+    
+    if (colors.length === 0) {
+        throw new Error('The palette has no colors. Expected lines like "Dark Bluish Gray,#6C6E68,199,85".');
+    }
+    
+    return { name, colors };
+}
+
+// ================================
+// 7. FRAMING
+// Which part of an image becomes the mosaic
+// ================================
+
+/**
+ * Works out which rectangle of the image is shown on the grid
+ * The rectangle always has the grid's aspect ratio, so nothing is stretched.
+ * In 'fill' mode it stays inside the image; in 'fit'/'letterbox' it may
+ * extend past the edges, which become bars.
+ * 
+ * @param {number} imageWidth - Image width in pixels
+ * @param {number} imageHeight - Image height in pixels
+ * @param {number} gridWidth - Grid width in studs
+ * @param {number} gridHeight - Grid height in studs
+ * @param {object} framing - { mode, zoom, centerX, centerY }
+ * @returns {object} { x, y, width, height } in image pixels
+ */
+function getFramingViewRect(imageWidth, imageHeight, gridWidth, gridHeight, framing) {
+    const gridAspect = gridWidth / gridHeight;
+    const imageIsWider = imageWidth / imageHeight > gridAspect;
+    let width;
+    let height;
+    
+    if (framing.mode === 'fill') {
+        // Largest grid-shaped rectangle inside the image
+        height = imageIsWider ? imageHeight : imageWidth / gridAspect;
+        width = height * gridAspect;
+    } else {
+        // Smallest grid-shaped rectangle around the whole image
+        width = imageIsWider ? imageWidth : imageHeight * gridAspect;
+        height = width / gridAspect;
+    }
+    
+    width /= framing.zoom;
+    height /= framing.zoom;
+    
+    let centerX = framing.centerX * imageWidth;
+    let centerY = framing.centerY * imageHeight;
+    
+    if (framing.mode === 'fill') {
+        // Keep the crop inside the image
+        centerX = Math.min(imageWidth - width / 2, Math.max(width / 2, centerX));
+        centerY = Math.min(imageHeight - height / 2, Math.max(height / 2, centerY));
+    }
+    
+    return { x: centerX - width / 2, y: centerY - height / 2, width, height };
+}
+
+/**
+ * Scales the framed part of an image down (or up) to one pixel per stud
+ * Every cell gets the average of the image pixels it covers, weighted by
+ * how much of each pixel falls inside it. The page lets the browser do
+ * this with a canvas; this is the same for places without one (Node).
+ * 
+ * @param {object} image - { width, height, pixels } with RGBA pixels, row by row
+ * @param {number} gridWidth - Grid width in studs
+ * @param {number} gridHeight - Grid height in studs
+ * @param {object} framing - { mode, zoom, centerX, centerY, background }
+ * @returns {Uint8ClampedArray} RGBA values, gridWidth x gridHeight
+ */
+function framePixels(image, gridWidth, gridHeight, framing) {
+    const view = getFramingViewRect(image.width, image.height, gridWidth, gridHeight, framing);
+    const bar = framing.mode === 'letterbox' ? hexToRgb(framing.background) : null;
+    const result = new Uint8ClampedArray(gridWidth * gridHeight * 4);
+    const cellWidth = view.width / gridWidth;
+    const cellHeight = view.height / gridHeight;
+    
+    // Pixels [start, end) that a cell covers along one axis, with their coverage
+    const spans = (start, size) => {
+        const weights = [];
+        for (let p = Math.floor(start); p < start + size; p++) {
+            const weight = Math.min(p + 1, start + size) - Math.max(p, start);
+            if (weight > 0) weights.push([p, weight]);
+        }
+        return weights;
+    };
+    
+    for (let row = 0; row < gridHeight; row++) {
+        const rowSpans = spans(view.y + row * cellHeight, cellHeight);
+        
+        for (let col = 0; col < gridWidth; col++) {
+            const colSpans = spans(view.x + col * cellWidth, cellWidth);
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            let alpha = 0;
+            let total = 0;
+            
+            rowSpans.forEach(([y, rowWeight]) => {
+                colSpans.forEach(([x, colWeight]) => {
+                    const weight = rowWeight * colWeight;
+                    total += weight;
+                    
+                    if (x < 0 || x >= image.width || y < 0 || y >= image.height) {
+                        // Outside the image: a colored bar, or nothing
+                        if (!bar) return;
+                        r += bar.r * weight;
+                        g += bar.g * weight;
+                        b += bar.b * weight;
+                        alpha += weight;
+                        return;
+                    }
+                    
+                    // Weigh colors by alpha, so transparent pixels don't darken the average
+                    const index = (y * image.width + x) * 4;
+                    const pixelWeight = weight * image.pixels[index + 3] / 255;
+                    r += image.pixels[index] * pixelWeight;
+                    g += image.pixels[index + 1] * pixelWeight;
+                    b += image.pixels[index + 2] * pixelWeight;
+                    alpha += pixelWeight;
+                });
+            });
+            
+            const index = (row * gridWidth + col) * 4;
+            if (alpha > 0) {
+                result[index] = Math.round(r / alpha);
+                result[index + 1] = Math.round(g / alpha);
+                result[index + 2] = Math.round(b / alpha);
+            }
+            result[index + 3] = total > 0 ? Math.round(alpha / total * 255) : 0;
+        }
+    }
+    
+    return result;
+}
+
+// ================================
+// 8. PARTS LIST
+// How many bricks of each color a mosaic needs
+// ================================
+
+/**
+ * Counts how many cells use each color
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @returns {object} Hex -> number of cells (empty cells are not counted)
+ */
+function countColors(grid) {
+    const counts = {};
+    grid.forEach(row => {
+        row.forEach(color => {
+            if (color !== null) counts[color] = (counts[color] || 0) + 1;
+        });
+    });
+    return counts;
+}
+
+/**
+ * Counts the bricks needed for each color in a grid
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @param {Array<object>} [colors] - Palette the names and IDs are looked up in first
+ * @returns {Array<object>} One row per color used, most-used first:
+ *   { name, hex, legoId, bricklinkId, count }
+ */
+function buildPartsList(grid, colors = []) {
+    const counts = countColors(grid);
+    
+    return Object.keys(counts)
+        .map(hex => {
+            const color = lookupColorInfo(hex, colors);
+            return {
+                name: color.name,
+                hex,
+                legoId: color.legoId ?? null,
+                bricklinkId: color.bricklinkId ?? null,
+                count: counts[hex]
+            };
+        })
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Builds a CSV parts list
+ * @param {Array<object>} parts - Result of buildPartsList (or optimized parts with a partId)
+ * @param {string} partNumber - Part number for rows without a partId
+ * @returns {string} CSV text
+ */
+function partsListToCsv(parts, partNumber) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = [['Part', 'Color', 'LEGO Color ID', 'BrickLink Color ID', 'Hex', 'Quantity'].join(',')];
+    parts.forEach(part => {
+        lines.push([part.partId || partNumber, part.name, part.legoId, part.bricklinkId, part.hex, part.count].map(escape).join(','));
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+// ================================
+// 9. PROJECT FILES
+// The JSON written by "Save Project" (and by the command line tool)
+// ================================
+
+const PROJECT_FORMAT = 'lego-art-project';
+const PROJECT_FORMAT_VERSION = 1;
+const MAX_GRID_SIZE = 256; // Largest width/height a project file may have
+
+/**
+ * Builds the contents of a project file
+ * Colors are stored once in a palette and cells refer to them by index
+ * (-1 = empty). The palette is the given one plus any other color found
+ * on the grid, which is added disabled.
+ * 
+ * @param {object} project - { name, grid, plateSize, paletteName, palette,
+ *   settings, framing, transparency, referenceImage }
+ * @returns {object} Project data, ready for JSON.stringify
+ */
+function createProjectFile(project) {
+    const palette = project.palette.map(color => ({ ...color }));
+    const paletteIndex = {};
+    palette.forEach((color, index) => {
+        paletteIndex[color.hex] = index;
+    });
+    
+    const cells = [];
+    project.grid.forEach(row => {
+        row.forEach(color => {
+            if (color === null) {
+                cells.push(-1);
+                return;
+            }
+            if (paletteIndex[color] === undefined) {
+                paletteIndex[color] = palette.length;
+                palette.push({ ...lookupColorInfo(color), enabled: false });
+            }
+            cells.push(paletteIndex[color]);
+        });
+    });
+    
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_FORMAT_VERSION,
+        name: project.name,
+        savedAt: new Date().toISOString(),
+        width: project.grid.length > 0 ? project.grid[0].length : 0,
+        height: project.grid.length,
+        plateSize: project.plateSize,
+        paletteName: project.paletteName,
+        palette,
+        cells,
+        settings: project.settings,
+        framing: project.framing,
+        transparency: project.transparency,
+        referenceImage: project.referenceImage
+    };
+}
+
+// ================================
+// 10. MOSAIC IMAGE
+// Plain RGBA rendering of a grid, for places without a canvas
+// ================================
+
+const EMPTY_BRICK_COLOR = '#C0C0C0'; // Same as --bg-secondary
+const STUD_OUTLINE_MIN_SIZE = 10; // Smaller studs aren't outlined (same as on the page)
+
+/**
+ * Renders a grid as flat bricks with a faint stud outline on each
+ * Looks like the page's "Flat" brick style.
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @param {number} pixelsPerStud - Size of one brick in pixels
+ * @returns {object} { width, height, pixels } with RGBA pixels, row by row
+ */
+function renderMosaicPixels(grid, pixelsPerStud) {
+    const rows = grid.length;
+    const cols = rows > 0 ? grid[0].length : 0;
+    const width = cols * pixelsPerStud;
+    const height = rows * pixelsPerStud;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    
+    // Darkening of each pixel of one stud: 30% along a ring at 0.2 of the brick size
+    const shade = new Float32Array(pixelsPerStud * pixelsPerStud);
+    if (pixelsPerStud >= STUD_OUTLINE_MIN_SIZE) {
+        const center = pixelsPerStud / 2;
+        const radius = pixelsPerStud * 0.2;
+        for (let y = 0; y < pixelsPerStud; y++) {
+            for (let x = 0; x < pixelsPerStud; x++) {
+                const distance = Math.hypot(x + 0.5 - center, y + 0.5 - center);
+                shade[y * pixelsPerStud + x] = 0.3 * Math.max(0, 1 - Math.abs(distance - radius));
+            }
+        }
+    }
+    
+    const colorCache = {};
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const hex = grid[row][col] || EMPTY_BRICK_COLOR;
+            const rgb = colorCache[hex] || (colorCache[hex] = hexToRgb(hex));
+            
+            for (let y = 0; y < pixelsPerStud; y++) {
+                let index = ((row * pixelsPerStud + y) * width + col * pixelsPerStud) * 4;
+                for (let x = 0; x < pixelsPerStud; x++) {
+                    const keep = 1 - shade[y * pixelsPerStud + x];
+                    pixels[index] = rgb.r * keep;
+                    pixels[index + 1] = rgb.g * keep;
+                    pixels[index + 2] = rgb.b * keep;
+                    pixels[index + 3] = 255;
+                    index += 4;
+                }
+            }
+        }
+    }
+    
+    return { width, height, pixels };
+}
+
+// ================================
+// 11. SHARE LINKS
+// A whole design packed into a URL: #design=<code>
+// ================================
+
+// Layout of the bytes behind a share code (numbers are varints, text is UTF-8
+// with a varint length in front):
+//   version, width, height, plateSize, name,
+//   color count, then per color: red, green, blue (1 byte each) and a name
+//   ('' = the catalog name), then runs of cells, row by row:
+//   (run length - 1) * (color count + 1) + color (0 = empty, n = color n - 1)
+const SHARE_FORMAT_VERSION = 1;
+const SHARE_LINK_PREFIX = '#design=';
+
+/**
+ * Appends a whole number to a byte list, 7 bits per byte (LEB128)
+ * @param {Array<number>} bytes - Byte list to add to
+ * @param {number} value - Whole number, 0 or more
+ */
+function writeVarint(bytes, value) {
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+}
+
+/**
+ * Appends text to a byte list, length first
+ * @param {Array<number>} bytes - Byte list to add to
+ * @param {string} text - Text to add
+ */
+function writeText(bytes, text) {
+    const encoded = new TextEncoder().encode(text);
+    writeVarint(bytes, encoded.length);
+    encoded.forEach(byte => bytes.push(byte));
+}
+
+/**
+ * Reads bytes written by writeVarint/writeText, front to back
+ * Every read throws if the bytes run out, so a cut-off link is caught.
+ * @param {Uint8Array} bytes - Bytes to read
+ * @returns {object} { byte(), varint(), text(), isDone() }
+ */
+function createByteReader(bytes) {
+    let position = 0;
+    
+    const byte = () => {
+        if (position >= bytes.length) throw new Error('The link is incomplete - it may have been cut off when it was copied.');
+        return bytes[position++];
+    };
+    
+    const varint = () => {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const next = byte();
+            value += (next & 0x7F) * scale;
+            if (next < 0x80) return value;
+            scale *= 0x80;
+            if (scale > 2 ** 35) throw new Error('The link is damaged.');
+        }
+    };
+    
+    const text = () => {
+        const length = varint();
+        if (position + length > bytes.length) throw new Error('The link is incomplete - it may have been cut off when it was copied.');
+        const value = new TextDecoder().decode(bytes.subarray(position, position + length));
+        position += length;
+        return value;
+    };
+    
+    return { byte, varint, text, isDone: () => position === bytes.length };
+}
+
+/**
+ * Encodes bytes as base64url (base64 with - and _, without = padding)
+ * @param {Array<number>} bytes - Bytes to encode
+ * @returns {string} URL-safe text
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url text
+ * @param {string} text - Text from toBase64Url
+ * @returns {Uint8Array} The bytes
+ */
+function fromBase64Url(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('The link is damaged: it contains characters that don\'t belong there.');
+    
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Packs a design into a share code
+ * Only the colors on the grid are included, and identical neighbouring
+ * cells are stored as one run, so typical mosaics stay a few kB long.
+ * 
+ * @param {object} design - { name, grid, plateSize, colors }
+ *   colors = palette the color names are taken from
+ * @returns {string} Code for SHARE_LINK_PREFIX + code
+ */
+function encodeShareCode(design) {
+    const { grid } = design;
+    const height = grid.length;
+    const width = height > 0 ? grid[0].length : 0;
+    const colors = design.colors || [];
+    
+    const used = Object.keys(countColors(grid));
+    const colorIndex = {};
+    used.forEach((hex, index) => {
+        colorIndex[hex] = index + 1;
+    });
+    
+    const bytes = [];
+    writeVarint(bytes, SHARE_FORMAT_VERSION);
+    writeVarint(bytes, width);
+    writeVarint(bytes, height);
+    writeVarint(bytes, design.plateSize || Math.max(width, height));
+    writeText(bytes, design.name || '');
+    
+    writeVarint(bytes, used.length);
+    used.forEach(hex => {
+        const rgb = hexToRgb(hex);
+        bytes.push(rgb.r, rgb.g, rgb.b);
+        // Catalog colors get their name back when the link is opened
+        const name = lookupColorInfo(hex, colors).name;
+        writeText(bytes, name === lookupColorInfo(hex).name ? '' : name);
+    });
+    
+    const cells = grid.flat();
+    for (let start = 0; start < cells.length;) {
+        let end = start + 1;
+        while (end < cells.length && cells[end] === cells[start]) end++;
+        
+        const color = cells[start] === null ? 0 : colorIndex[cells[start]];
+        writeVarint(bytes, (end - start - 1) * (used.length + 1) + color);
+        start = end;
+    }
+    
+    return toBase64Url(bytes);
+}
+
+/**
+ * Unpacks a share code into a project
+ * Throws an Error with a message meant for the user if the code is
+ * damaged, cut off or from a newer version.
+ * 
+ * @param {string} code - Result of encodeShareCode
+ * @returns {object} Project data, as createProjectFile makes it
+ */
+function decodeShareCode(code) {
+    let bytes;
+    try {
+        bytes = fromBase64Url(code);
+    } catch (error) {
+        throw new Error(error.message.startsWith('The link') ? error.message : 'The link is damaged.');
+    }
+    const reader = createByteReader(bytes);
+    
+    const version = reader.varint();
+    if (version < 1) throw new Error('The link is damaged: it has no valid format version.');
+    if (version > SHARE_FORMAT_VERSION) {
+        throw new Error(
+            `This link was made by a newer version of LEGO Art Creator (format v${version}). ` +
+            `This version can only open format v${SHARE_FORMAT_VERSION} and older - please update the app.`
+        );
+    }
+    
+    const width = reader.varint();
+    const height = reader.varint();
+    const plateSize = reader.varint();
+    if (width < 1 || height < 1 || width > MAX_GRID_SIZE || height > MAX_GRID_SIZE || plateSize < 1) {
+        throw new Error(`The link is damaged: invalid grid size ${width} x ${height}.`);
+    }
+    const name = reader.text();
+    
+    const colorCount = reader.varint();
+    if (colorCount > width * height) throw new Error('The link is damaged: it has more colors than cells.');
+    const palette = [];
+    for (let i = 0; i < colorCount; i++) {
+        const hex = '#' + [reader.byte(), reader.byte(), reader.byte()]
+            .map(value => value.toString(16).padStart(2, '0'))
+            .join('')
+            .toUpperCase();
+        const colorName = reader.text();
+        palette.push({ ...lookupColorInfo(hex), ...(colorName ? { name: colorName } : {}), enabled: true });
+    }
+    
+    const cells = [];
+    while (cells.length < width * height) {
+        const run = reader.varint();
+        const color = run % (colorCount + 1);
+        const length = Math.floor(run / (colorCount + 1)) + 1;
+        if (cells.length + length > width * height) throw new Error('The link is damaged: it has too many cells.');
+        for (let i = 0; i < length; i++) {
+            cells.push(color === 0 ? null : palette[color - 1].hex);
+        }
+    }
+    if (!reader.isDone()) throw new Error('The link is damaged: it has data after the last cell.');
+    
+    const grid = [];
+    for (let row = 0; row < height; row++) {
+        grid.push(cells.slice(row * width, (row + 1) * width));
+    }
+    
+    return createProjectFile({
+        name,
+        grid,
+        plateSize,
+        paletteName: 'Shared design',
+        palette,
+        settings: null,
+        framing: null,
+        transparency: null,
+        referenceImage: null
+    });
+}
+
+// ================================
+// 12. COLOR REDUCTION
+// Fewer colors for a cheaper, simpler mosaic
+// ================================
+
+const COLOR_REDUCTION_MAX_ITERATIONS = 20;
+
+/**
+ * Finds the index of the closest color in CIELAB (CIE76)
+ * @param {object} lab - { l, a, b }
+ * @param {Array<object>} labs - Colors to choose from ({ l, a, b })
+ * @returns {number} Index into labs
+ */
+function findNearestLab(lab, labs) {
+    let nearest = 0;
+    let smallestDistance = Infinity;
+    labs.forEach((candidate, index) => {
+        const distance = deltaE76(lab, candidate);
+        if (distance < smallestDistance) {
+            smallestDistance = distance;
+            nearest = index;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Picks the palette colors that best represent an image
+ * k-means in CIELAB where every cluster center has to be a palette color:
+ * start with the colors plain matching uses most, then move each center to
+ * the palette color closest to the average of its pixels (which is the one
+ * with the smallest total error) until the choice stops changing.
+ * 
+ * @param {Uint8ClampedArray} pixels - RGBA values; pixels with alpha < 128 are skipped
+ * @param {Array<object>} palette - Colors to choose from, from buildColorCache
+ * @param {number} count - How many colors to pick
+ * @returns {Array<string>} Hex codes, most-used first (fewer if the image needs fewer)
+ */
+function pickBestColors(pixels, palette, count) {
+    // Each distinct color once, with its number of pixels
+    const pixelCounts = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] < 128) continue;
+        const key = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+        pixelCounts.set(key, (pixelCounts.get(key) || 0) + 1);
+    }
+    const samples = Array.from(pixelCounts, ([key, weight]) => ({
+        lab: rgbToLab(key >> 16, (key >> 8) & 0xFF, key & 0xFF),
+        weight
+    }));
+    if (samples.length === 0 || palette.length === 0 || count < 1) return [];
+    
+    const paletteLabs = palette.map(color => color.lab);
+    const usage = new Array(palette.length).fill(0);
+    samples.forEach(sample => {
+        usage[findNearestLab(sample.lab, paletteLabs)] += sample.weight;
+    });
+    let centers = palette
+        .map((color, index) => index)
+        .filter(index => usage[index] > 0)
+        .sort((a, b) => usage[b] - usage[a])
+        .slice(0, count);
+    
+    for (let iteration = 0; iteration < COLOR_REDUCTION_MAX_ITERATIONS; iteration++) {
+        const centerLabs = centers.map(index => paletteLabs[index]);
+        const sums = centers.map(() => ({ l: 0, a: 0, b: 0, weight: 0 }));
+        samples.forEach(sample => {
+            const sum = sums[findNearestLab(sample.lab, centerLabs)];
+            sum.l += sample.lab.l * sample.weight;
+            sum.a += sample.lab.a * sample.weight;
+            sum.b += sample.lab.b * sample.weight;
+            sum.weight += sample.weight;
+        });
+        
+        // Biggest clusters choose first, so two clusters never end up on one color
+        const taken = new Set();
+        const next = [];
+        sums
+            .map((sum, cluster) => cluster)
+            .filter(cluster => sums[cluster].weight > 0)
+            .sort((a, b) => sums[b].weight - sums[a].weight)
+            .forEach(cluster => {
+                const sum = sums[cluster];
+                const mean = { l: sum.l / sum.weight, a: sum.a / sum.weight, b: sum.b / sum.weight };
+                const free = paletteLabs.map((lab, index) => index).filter(index => !taken.has(index));
+                const center = free[findNearestLab(mean, free.map(index => paletteLabs[index]))];
+                taken.add(center);
+                next.push(center);
+            });
+        
+        const changed = next.length !== centers.length || next.some(index => !centers.includes(index));
+        centers = next;
+        if (!changed) break;
+    }
+    
+    return centers.map(index => palette[index].hex);
+}
+
+/**
+ * Decides where rarely used colors go
+ * Every color on fewer than minCount cells becomes the closest (CIEDE2000)
+ * of the colors that stay.
+ * 
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @param {number} minCount - Colors used less often than this are merged
+ * @returns {object} Hex -> replacement hex (empty if nothing is rare, or everything is)
+ */
+function findRareColorMerges(grid, minCount) {
+    const counts = countColors(grid);
+    const colors = Object.keys(counts);
+    const kept = colors.filter(hex => counts[hex] >= minCount);
+    const merges = {};
+    if (kept.length === 0) return merges;
+    
+    const keptLabs = buildColorCache(kept.map(hex => ({ hex })));
+    colors
+        .filter(hex => counts[hex] < minCount)
+        .forEach(hex => {
+            const rgb = hexToRgb(hex);
+            const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
+            let closest = keptLabs[0];
+            let smallestDistance = Infinity;
+            keptLabs.forEach(entry => {
+                const distance = deltaE2000(lab, entry.lab);
+                if (distance < smallestDistance) {
+                    smallestDistance = distance;
+                    closest = entry;
+                }
+            });
+            merges[hex] = closest.hex;
+        });
+    
+    return merges;
+}
+
+// ================================
+// PUBLIC API
+// In the page and the worker the functions above are globals;
+// lego-core-node.js re-exports this object as an ES module
+// ================================
+
+globalThis.LegoCore = {
+    runConversionJob,
+    convertPixels,
+    allocateWithInventory,
+    findClosestLegoEntry,
+    hexToRgb,
+    buildColorCache,
+    rgbToLab,
+    redmeanDistance,
+    deltaE76,
+    deltaE2000,
+    DEFAULT_ADJUSTMENTS,
+    isNeutralAdjustments,
+    adjustPixels,
+    DEFAULT_TRANSPARENCY,
+    applyTransparency,
+    fillTransparentCells,
+    LEGO_COLOR_CATALOG,
+    PALETTE_PRESETS,
+    PALETTE_FORMAT,
+    PALETTE_FORMAT_VERSION,
+    normalizePaletteColor,
+    lookupColorInfo,
+    buildPresetColors,
+    parsePaletteFile,
+    getFramingViewRect,
+    framePixels,
+    countColors,
+    buildPartsList,
+    partsListToCsv,
+    PROJECT_FORMAT,
+    PROJECT_FORMAT_VERSION,
+    MAX_GRID_SIZE,
+    createProjectFile,
+    EMPTY_BRICK_COLOR,
+    renderMosaicPixels,
+    SHARE_FORMAT_VERSION,
+    SHARE_LINK_PREFIX,
+    encodeShareCode,
+    decodeShareCode,
+    pickBestColors,
+    findRareColorMerges
+};
@@ -0,0 +1,236 @@
+// ================================
+// LEGO Art Creator - Conversion Core Tests
+// Run with `npm test` (node:test, no dependencies)
+// ================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    deltaE2000, buildColorCache, convertPixels, allocateWithInventory,
+    LEGO_COLOR_CATALOG, PALETTE_PRESETS, PALETTE_FORMAT, buildPresetColors, parsePaletteFile,
+    createProjectFile, encodeShareCode, decodeShareCode, SHARE_FORMAT_VERSION
+} from './lego-core-node.js';
+
+// ================================
+// Helpers
+// ================================
+
+/**
+ * Looks up catalog colors by name, as enabled palette colors
+ * @param {...string} names - LEGO color names
+ * @returns {Array<object>} Palette colors
+ */
+function catalogColors(...names) {
+    return names.map(name => {
+        const color = LEGO_COLOR_CATALOG.find(c => c.name === name);
+        assert.ok(color, `${name} is in the catalog`);
+        return { ...color, enabled: true };
+    });
+}
+
+/**
+ * Makes an opaque image of one color
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {Array<number>} rgb - [r, g, b]
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function solidPixels(width, height, rgb) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        pixels.set([...rgb, 255], i * 4);
+    }
+    return pixels;
+}
+
+/**
+ * Counts the bricks of each color in a grid
+ * @param {Array<Array<string|null>>} grid - Hex colors
+ * @returns {object} Hex -> count
+ */
+function countGrid(grid) {
+    const counts = {};
+    grid.flat().filter(Boolean).forEach(hex => {
+        counts[hex] = (counts[hex] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Turns the cells of a project file back into a grid
+ * @param {object} project - From createProjectFile
+ * @returns {Array<Array<string|null>>} Hex colors
+ */
+function projectGrid(project) {
+    const grid = [];
+    for (let row = 0; row < project.height; row++) {
+        grid.push(project.cells
+            .slice(row * project.width, (row + 1) * project.width)
+            .map(index => index === -1 ? null : project.palette[index].hex));
+    }
+    return grid;
+}
+
+// ================================
+// Color difference
+// ================================
+
+// Reference pairs from Sharma, Wu & Dalal, "The CIEDE2000 Color-Difference Formula" (2005)
+const SHARMA_PAIRS = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, 3.1571, -77.2803], [50, 0, -82.7485], 2.8615],
+    [[50, 2.8361, -74.0200], [50, 0, -82.7485], 3.4412],
+    [[50, 0, 0], [50, -1, 2], 2.3669],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0009], 7.1792],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[50, 2.5, 0], [61, -5, 29], 22.8977],
+    [[50, 2.5, 0], [56, -27, -3], 31.9030],
+    [[50, 2.5, 0], [58, 24, 15], 19.4535],
+    [[50, 2.5, 0], [50, 3.1736, 0.5854], 1.0000],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+    [[22.7233, 20.0904, -46.6940], [23.0331, 14.9730, -42.5619], 2.0373]
+];
+
+test('deltaE2000 matches the Sharma reference pairs', () => {
+    SHARMA_PAIRS.forEach(([[l1, a1, b1], [l2, a2, b2], expected]) => {
+        const lab1 = { l: l1, a: a1, b: b1 };
+        const lab2 = { l: l2, a: a2, b: b2 };
+        assert.ok(Math.abs(deltaE2000(lab1, lab2) - expected) < 1e-4,
+            `${JSON.stringify([lab1, lab2])}: got ${deltaE2000(lab1, lab2)}, expected ${expected}`);
+        assert.ok(Math.abs(deltaE2000(lab2, lab1) - expected) < 1e-4, 'symmetric');
+    });
+});
+
+// ================================
+// Brick inventory
+// ================================
+
+const GRAYS = catalogColors('Dark Bluish Gray', 'Light Bluish Gray', 'Black', 'Bright Red');
+const [DARK_GRAY, LIGHT_GRAY, BLACK, RED] = GRAYS.map(color => color.hex);
+
+test('allocateWithInventory never uses more bricks than the stock', () => {
+    const stock = { [DARK_GRAY]: 10, [LIGHT_GRAY]: 100, [BLACK]: 100, [RED]: 100 };
+    const grid = allocateWithInventory(solidPixels(8, 8, [100, 100, 100]), 8, 8,
+        buildColorCache(GRAYS), 'ciede2000', stock);
+    
+    assert.deepEqual(countGrid(grid), { [DARK_GRAY]: 10, [LIGHT_GRAY]: 54 });
+    assert.equal(stock[DARK_GRAY], 0, 'the stock is used up as bricks are placed');
+});
+
+test('allocateWithInventory leaves cells empty when the bricks run out', () => {
+    const grid = allocateWithInventory(solidPixels(4, 4, [100, 100, 100]), 4, 4,
+        buildColorCache(GRAYS), 'ciede2000', { [DARK_GRAY]: 5 });
+    
+    assert.deepEqual(countGrid(grid), { [DARK_GRAY]: 5 });
+    assert.equal(grid.flat().filter(hex => hex === null).length, 11);
+});
+
+test('convertPixels with stock keeps the fallback close, with and without dithering', () => {
+    const inventory = { [DARK_GRAY]: 10, [LIGHT_GRAY]: 100, [BLACK]: 100, [RED]: 100 };
+    
+    ['none', 'floyd-steinberg', 'atkinson', 'bayer'].forEach(dither => {
+        const settings = { matchMetric: 'ciede2000', dither, ditherStrength: 100 };
+        const { grid, idealGrid } = convertPixels(solidPixels(8, 8, [100, 100, 100]), 8, 8,
+            buildColorCache(GRAYS), settings, inventory);
+        
+        assert.equal(idealGrid.flat().length, 64, `${dither}: unlimited result`);
+        assert.deepEqual(countGrid(grid), { [DARK_GRAY]: 10, [LIGHT_GRAY]: 54 }, `${dither}: within stock`);
+    });
+    assert.equal(inventory[DARK_GRAY], 10, 'the inventory itself is not changed');
+});
+
+test('convertPixels leaves transparent pixels empty', () => {
+    const pixels = solidPixels(2, 1, [201, 26, 9]);
+    pixels[7] = 0;
+    const { grid, idealGrid } = convertPixels(pixels, 2, 1, buildColorCache(GRAYS),
+        { matchMetric: 'rgb', dither: 'none', ditherStrength: 100 });
+    
+    assert.deepEqual(grid, [[RED, null]]);
+    assert.equal(idealGrid, null);
+});
+
+// ================================
+// Project files
+// ================================
+
+test('createProjectFile stores cells as palette indexes', () => {
+    const palette = catalogColors('Bright Red', 'White');
+    const grid = [[RED, null, RED], [null, '#123456', palette[1].hex]];
+    const project = createProjectFile({ name: 'Test', grid, plateSize: 16, paletteName: 'Mine', palette });
+    
+    assert.equal(project.width, 3);
+    assert.equal(project.height, 2);
+    assert.deepEqual(project.cells, [0, -1, 0, -1, 2, 1]);
+    assert.deepEqual(project.palette[2], { ...project.palette[2], hex: '#123456', enabled: false },
+        'colors missing from the palette are added, disabled');
+    assert.deepEqual(projectGrid(project), grid);
+});
+
+// ================================
+// Share links
+// ================================
+
+test('share codes round-trip a design', () => {
+    const colors = buildPresetColors(PALETTE_PRESETS[0]);
+    const white = colors.find(color => color.name === 'White').hex;
+    const grid = [
+        [RED, RED, RED, null],
+        [null, white, '#ABCDEF', RED]
+    ];
+    const code = encodeShareCode({ name: 'Tiny ✨', grid, plateSize: 32, colors });
+    assert.match(code, /^[A-Za-z0-9_-]+$/, 'URL-safe');
+    
+    const project = decodeShareCode(code);
+    assert.equal(project.name, 'Tiny ✨');
+    assert.equal(project.plateSize, 32);
+    assert.deepEqual(projectGrid(project), grid);
+    assert.equal(project.palette.find(color => color.hex === RED).name, 'Bright Red');
+});
+
+test('decodeShareCode rejects malformed codes', () => {
+    const code = encodeShareCode({ name: 'x', grid: [[RED, null], [null, RED]], plateSize: 2, colors: GRAYS });
+    
+    assert.throws(() => decodeShareCode('!!!'), /damaged/);
+    assert.throws(() => decodeShareCode(code.slice(0, -2)), /damaged|cut off/);
+    assert.throws(() => decodeShareCode(code + 'AAAA'), /damaged/);
+    assert.throws(() => decodeShareCode(''), /damaged|cut off/);
+    
+    // A code from a newer format version
+    const newer = Buffer.from([SHARE_FORMAT_VERSION + 1, 1, 1, 1, 0, 0, 0]).toString('base64url');
+    assert.throws(() => decodeShareCode(newer), /newer version/);
+});
+
+// ================================
+// Palette files
+// ================================
+
+test('parsePaletteFile reads the JSON format', () => {
+    const text = JSON.stringify({
+        format: PALETTE_FORMAT,
+        version: 1,
+        name: 'Grays',
+        colors: [{ name: 'Dark Bluish Gray', hex: '#6c6e68', legoId: 199, enabled: false }]
+    });
+    const palette = parsePaletteFile(text, 'grays.json');
+    
+    assert.equal(palette.name, 'Grays');
+    assert.equal(palette.colors.length, 1);
+    assert.equal(palette.colors[0].hex, '#6C6E68');
+    assert.equal(palette.colors[0].enabled, false);
+});
+
+test('parsePaletteFile reads CSV with or without a header', () => {
+    const palette = parsePaletteFile('name,hex,legoId\nBright Red,#C91A09,21\nWhite;F2F3F2\n', 'my colors.csv');
+    
+    assert.equal(palette.name, 'my colors');
+    assert.deepEqual(palette.colors.map(color => [color.name, color.hex, color.enabled]),
+        [['Bright Red', '#C91A09', true], ['White', '#F2F3F2', true]]);
+});
+
+test('parsePaletteFile rejects files that are not palettes', () => {
+    assert.throws(() => parsePaletteFile('{ nope', 'x.json'), /not valid JSON/);
+    assert.throws(() => parsePaletteFile('{"format":"other","colors":[]}', 'x.json'), /not a LEGO Art palette/);
+    assert.throws(() => parsePaletteFile(`{"format":"${PALETTE_FORMAT}","version":99,"colors":[]}`, 'x.json'),
+        /newer version/);
+    assert.throws(() => parsePaletteFile('just text', 'x.csv'), /no colors/);
+});
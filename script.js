@@ -2,42 +2,78 @@
 // LEGO Art Creator - Main JavaScript
 // ================================
 
+// The conversion core (lego-core.js) is loaded first and defines its
+// functions as globals: runConversionJob, hexToRgb, PALETTE_PRESETS, ...
+
 // ================================
 // Global State Variables
 // ================================
 let currentColor = '#FF0000'; // Currently selected color (default: red)
-let canvasSize = 32; // Grid size (32x32 by default)
+let canvasWidth = 32; // Grid width in studs (32x32 by default)
+let canvasHeight = 32; // Grid height in studs
+let plateSize = 32; // Studs per baseplate side (for multi-plate mosaics)
 let legoGrid = []; // 2D array to store brick colors
-let undoStack = []; // Array to store previous states for undo
-let isEraserMode = false; // Track if eraser tool is active
+let undoStack = []; // History steps that can be undone, oldest first
+let redoStack = []; // Undone steps that can be redone, most recently undone last
+let currentTool = 'brush'; // 'brush', 'eraser', 'fill', 'line', 'rect', 'ellipse', 'eyedropper', 'select' or 'lasso'
 let referenceImageData = null; // Store reference image for color picking
 
-// ================================
-// LEGO Color Palette
-// Based on actual LEGO brick colors
-// ================================
-const legoColors = [
-    { name: 'Bright Red', hex: '#C91A09' },
-    { name: 'Bright Blue', hex: '#0055BF' },
-    { name: 'Bright Yellow', hex: '#F2CD37' },
-    { name: 'Dark Green', hex: '#287F46' },
-    { name: 'Bright Orange', hex: '#FE8A18' },
-    { name: 'Medium Lavender', hex: '#AC78BA' },
-    { name: 'White', hex: '#F2F3F2' },
-    { name: 'Black', hex: '#05131D' },
-    { name: 'Dark Tan', hex: '#958A73' },
-    { name: 'Medium Blue', hex: '#5A93DB' },
-    { name: 'Bright Green', hex: '#4B9F4A' },
-    { name: 'Dark Orange', hex: '#A95500' },
-    { name: 'Light Purple', hex: '#E4ADC8' },
-    { name: 'Sand Blue', hex: '#6074A1' },
-    { name: 'Dark Red', hex: '#720E0F' },
-    { name: 'Lime', hex: '#BBE90B' },
-    { name: 'Medium Azur', hex: '#36AEBF' },
-    { name: 'Dark Brown', hex: '#352100' },
-    { name: 'Light Bluish Gray', hex: '#A0A5A9' },
-    { name: 'Dark Bluish Gray', hex: '#6C6E68' },
-];
+// Which part of the reference image becomes the mosaic
+const DEFAULT_FRAMING = {
+    mode: 'fill', // 'fill' (crop), 'fit' (empty bars) or 'letterbox' (colored bars)
+    zoom: 1, // 1 = whole image (fit) or largest crop (fill)
+    centerX: 0.5, // Focus point, as a fraction of image width
+    centerY: 0.5, // Focus point, as a fraction of image height
+    background: '#F2F3F2' // Letterbox bar color
+};
+let imageFraming = { ...DEFAULT_FRAMING };
+
+// Options of the drawing tools
+let toolOptions = {
+    shapeFilled: false, // Rectangles and ellipses: filled or outline only
+    fillConnectivity: 4, // Bucket fill: 4 (sides) or 8 (sides + corners)
+    eyedropperSource: 'grid' // 'grid' or 'reference' (the uploaded image)
+};
+
+// Which pixels become empty (or backdrop) cells (see DEFAULT_TRANSPARENCY)
+let imageTransparency = { ...DEFAULT_TRANSPARENCY };
+
+// Tone/color adjustments applied to the image before matching (see DEFAULT_ADJUSTMENTS)
+let imageAdjustments = { ...DEFAULT_ADJUSTMENTS };
+const ADJUSTMENTS_STORAGE_KEY = 'legoArtCreator.adjustments';
+
+// Settings used when converting an image into bricks
+const MATCH_METRICS = ['rgb', 'redmean', 'cie76', 'ciede2000'];
+const DITHER_MODES = ['none', 'floyd-steinberg', 'atkinson', 'bayer'];
+const DEFAULT_GENERATION_SETTINGS = {
+    matchMetric: 'ciede2000', // One of MATCH_METRICS
+    dither: 'none', // One of DITHER_MODES
+    ditherStrength: 100, // 0-100 (%)
+    useInventory: false // Only use bricks listed in brickInventory
+};
+let generationSettings = { ...DEFAULT_GENERATION_SETTINGS };
+
+// Bricks we own: hex color -> number of pieces (missing = none)
+let brickInventory = {};
+const INVENTORY_STORAGE_KEY = 'legoArtCreator.inventory';
+
+// Part used for every stud in the parts list (BrickLink part number)
+let bomPartNumber = '98138';
+const PART_NUMBER_STORAGE_KEY = 'legoArtCreator.partNumber';
+
+// Autosave: the gallery entry we're editing (null = not saved yet)
+let currentProjectId = null;
+let autosaveTimer = null;
+let isRestoringProject = false; // Don't autosave while a project is being loaded
+let projectLoadCount = 0; // Counts applyProject calls, so a generation that outlives its project is dropped
+
+// Active palette: the colors shown in the sidebar and used for generation
+// Each entry: { name, hex, legoId, bricklinkId, ldrawId, enabled }
+let legoColors = [];
+let activePaletteName = 'Classic 20';
+let paletteChangeCount = 0; // Counts onPaletteChanged calls (see projectLoadCount)
+const PALETTES_STORAGE_KEY = 'legoArtCreator.palettes';
+const ACTIVE_PALETTE_STORAGE_KEY = 'legoArtCreator.activePalette';
 
 // ================================
 // Initialize App When Page Loads
@@ -46,12 +82,24 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('🧱 LEGO Art Creator Initialized!');
     
     // Set up all initial components
-    initializeColorPalette();
+    loadSymbolSetting();
+    loadActivePalette();
+    loadInventory();
+    loadHistoryDepth();
+    loadImageAdjustments();
+    loadOptimizerSettings();
+    loadRenderStyle();
+    loadReferenceOverlay();
     initializeCanvas();
     setupEventListeners();
     
     // Select first color by default
     selectColor(legoColors[0].hex);
+    
+    // Open a shared design from the link, or pick up where we left off
+    openSharedDesign().then(opened => {
+        if (!opened) restoreLastSession();
+    });
 });
 
 // ================================
@@ -64,19 +112,43 @@ document.addEventListener('DOMContentLoaded', function() {
  */
 function initializeColorPalette() {
     const palette = document.getElementById('colorPalette');
+    palette.innerHTML = ''; // Clear swatches of a previous palette
     
     // Loop through each LEGO color and create a swatch
-    legoColors.forEach(color => {
-        const swatch = document.createElement('div');
+    legoColors.forEach((color, index) => {
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
         swatch.className = 'color-swatch';
+        swatch.dataset.hex = color.hex;
         swatch.style.backgroundColor = color.hex;
         swatch.title = color.name; // Tooltip showing color name
+        swatch.setAttribute('aria-pressed', 'false');
+        
+        // The first ten colors have number keys (1-9, 0)
+        if (index < 10) {
+            swatch.title += ` (key ${(index + 1) % 10})`;
+        }
+        
+        if (showSymbols) {
+            swatch.classList.add('has-symbol');
+            swatch.textContent = getColorSymbol(color.hex);
+            swatch.style.color = getContrastTextColor(color.hex);
+        }
+        
+        // Disabled colors can still be painted, but generation skips them
+        if (!color.enabled) {
+            swatch.classList.add('disabled');
+            swatch.title += ' (not used for generation)';
+        }
+        swatch.setAttribute('aria-label', swatch.title);
         
         // When clicked, select this color
         swatch.addEventListener('click', () => {
             selectColor(color.hex);
-            isEraserMode = false; // Turn off eraser when selecting color
-            updateToolButtons();
+            // Picking a color means you want to paint with it
+            if (currentTool === 'eraser' || currentTool === 'eyedropper') {
+                setTool('brush');
+            }
         });
         
         palette.appendChild(swatch);
@@ -92,576 +164,6641 @@ function selectColor(colorHex) {
     
     // Update visual indicator showing which color is selected
     document.querySelectorAll('.color-swatch').forEach(swatch => {
-        if (swatch.style.backgroundColor === rgbToHex(swatch.style.backgroundColor)) {
-            swatch.classList.remove('selected');
-        }
-        if (rgbToHex(swatch.style.backgroundColor) === colorHex.toUpperCase()) {
-            swatch.classList.add('selected');
-        }
+        const selected = swatch.dataset.hex === colorHex.toUpperCase();
+        swatch.classList.toggle('selected', selected);
+        swatch.setAttribute('aria-pressed', String(selected));
     });
 }
 
+// ================================
+// 1.1 PALETTE MANAGER
+// Presets, custom colors and saved palettes
+// ================================
+
 /**
- * Converts RGB color to Hex format
- * Helper function for color comparison
+ * Finds the details of a color by hex code
+ * Checks the active palette first, then the full catalog
+ * @param {string} hex - Hex color code
+ * @returns {object} { name, hex, legoId, bricklinkId, ldrawId } (name = hex if unknown)
  */
-function rgbToHex(rgb) {
-    // Extract rgb values
-    const result = rgb.match(/\d+/g);
-    if (!result) return rgb;
-    
-    // Convert to hex
-    const r = parseInt(result[0]).toString(16).padStart(2, '0');
-    const g = parseInt(result[1]).toString(16).padStart(2, '0');
-    const b = parseInt(result[2]).toString(16).padStart(2, '0');
-    
-    return `#${r}${g}${b}`.toUpperCase();
+function findColorInfo(hex) {
+    return lookupColorInfo(hex, legoColors);
 }
 
-// ================================
-// 2. CANVAS/GRID FUNCTIONS
-// ================================
+/**
+ * Makes a palette the active one
+ * @param {string} name - Palette name
+ * @param {Array<object>} colors - Palette colors (copied)
+ */
+function setActivePalette(name, colors) {
+    activePaletteName = name;
+    legoColors = colors.map(color => normalizePaletteColor(color));
+    onPaletteChanged();
+}
 
 /**
- * Creates the LEGO building grid
- * Grid size is determined by canvasSize variable
+ * Refreshes everything that depends on the active palette
  */
-function initializeCanvas() {
-    const canvas = document.getElementById('legoCanvas');
-    canvas.innerHTML = ''; // Clear existing grid
-    
-    // Initialize 2D array to track brick colors
-    legoGrid = Array(canvasSize).fill(null).map(() => 
-        Array(canvasSize).fill(null)
-    );
-    
-    // Set CSS grid layout
-    canvas.style.gridTemplateColumns = `repeat(${canvasSize}, 1fr)`;
+function onPaletteChanged() {
+    paletteChangeCount++;
+    buildLegoColorCache();
+    initializeColorPalette();
+    renderFramingBackgroundOptions();
+    renderTransparentFillOptions();
+    updatePartsList();
+    updateColorUsePanel();
+    updatePartOptimizer();
+    saveActivePalette();
     
-    // Create individual brick cells
-    for (let row = 0; row < canvasSize; row++) {
-        for (let col = 0; col < canvasSize; col++) {
-            const brick = createBrick(row, col);
-            canvas.appendChild(brick);
+    // Keep the selected color if it's still in the palette
+    const stillThere = legoColors.some(color => color.hex === currentColor.toUpperCase());
+    if (legoColors.length > 0) {
+        selectColor(stillThere ? currentColor : legoColors[0].hex);
+    }
+}
+
+/**
+ * Loads the active palette saved last time (or the Classic 20 preset)
+ */
+function loadActivePalette() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ACTIVE_PALETTE_STORAGE_KEY));
+        if (saved && Array.isArray(saved.colors) && saved.colors.length > 0) {
+            setActivePalette(saved.name, saved.colors);
+            return;
         }
+    } catch (error) {
+        console.error('❌ Could not read saved palette:', error);
     }
     
-    updateProgress();
+    setActivePalette(PALETTE_PRESETS[0].name, buildPresetColors(PALETTE_PRESETS[0]));
 }
 
 /**
- * Creates a single LEGO brick element
- * @param {number} row - Row position in grid
- * @param {number} col - Column position in grid
- * @returns {HTMLElement} The brick element
+ * Saves the active palette to localStorage
  */
-function createBrick(row, col) {
-    const brick = document.createElement('div');
-    brick.className = 'brick';
-    brick.dataset.row = row; // Store position data
-    brick.dataset.col = col;
-    
-    // Handle brick click - place color or erase
-    brick.addEventListener('click', () => {
-        placeBrick(row, col, brick);
-    });
+function saveActivePalette() {
+    if (isViewingShare) return; // Only kept if the user makes a copy
     
-    return brick;
+    localStorage.setItem(ACTIVE_PALETTE_STORAGE_KEY, JSON.stringify({
+        name: activePaletteName,
+        colors: legoColors
+    }));
 }
 
 /**
- * Places or removes a colored brick
- * @param {number} row - Row position
- * @param {number} col - Column position
- * @param {HTMLElement} brickElement - The brick DOM element
+ * Gets the palettes the user has saved
+ * @returns {Array<object>} { name, colors }
  */
-function placeBrick(row, col, brickElement) {
-    // Save current state for undo functionality
-    saveState();
-    
-    if (isEraserMode) {
-        // Eraser mode: remove color
-        legoGrid[row][col] = null;
-        brickElement.style.backgroundColor = '#1a1a1a';
-        brickElement.classList.remove('placed');
-    } else {
-        // Place mode: add color
-        legoGrid[row][col] = currentColor;
-        brickElement.style.backgroundColor = currentColor;
-        brickElement.classList.add('placed');
-        
-        // Play satisfying "snap" effect
-        playSnapEffect(brickElement);
+function getSavedPalettes() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PALETTES_STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('❌ Could not read saved palettes:', error);
+        return [];
     }
-    
-    updateProgress();
 }
 
 /**
- * Visual feedback when placing a brick
- * @param {HTMLElement} element - The brick element
+ * Stores the user's saved palettes
+ * @param {Array<object>} palettes - { name, colors }
  */
-function playSnapEffect(element) {
-    // Add a quick scale animation
-    element.style.transform = 'scale(1.2)';
-    setTimeout(() => {
-        element.style.transform = 'scale(1)';
-    }, 100);
+function setSavedPalettes(palettes) {
+    localStorage.setItem(PALETTES_STORAGE_KEY, JSON.stringify(palettes));
 }
 
-// ================================
-// 3. PROGRESS TRACKING
-// ================================
+/**
+ * Converts a palette to JSON text
+ * @param {string} name - Palette name
+ * @param {Array<object>} colors - Palette colors
+ * @returns {string} JSON
+ */
+function paletteToJson(name, colors) {
+    return JSON.stringify({
+        format: PALETTE_FORMAT,
+        version: PALETTE_FORMAT_VERSION,
+        name,
+        colors
+    }, null, 2);
+}
 
 /**
- * Updates the progress bar based on placed bricks
+ * Converts palette colors to CSV text
+ * @param {Array<object>} colors - Palette colors
+ * @returns {string} CSV with a header row
  */
-function updateProgress() {
-    const totalCells = canvasSize * canvasSize;
-    let filledCells = 0;
+function paletteToCsv(colors) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
     
-    // Count how many cells have colors
-    legoGrid.forEach(row => {
-        row.forEach(cell => {
-            if (cell !== null) filledCells++;
-        });
+    const lines = ['name,hex,legoId,bricklinkId,enabled,ldrawId'];
+    colors.forEach(color => {
+        lines.push([color.name, color.hex, color.legoId, color.bricklinkId, color.enabled, color.ldrawId].map(escape).join(','));
     });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Fills the palette dialog: palette picker and one editable row per color
+ */
+function renderPaletteManager() {
+    const title = document.getElementById('paletteTitle');
+    if (title) title.textContent = `Palette: ${activePaletteName}`;
     
-    // Calculate percentage
-    const percentage = Math.round((filledCells / totalCells) * 100);
-    
-    // Update UI if progress elements exist
-    const progressFill = document.getElementById('progressFill');
-    const progressText = document.getElementById('progressText');
-    
-    if (progressFill) {
-        progressFill.style.width = percentage + '%';
-    }
-    if (progressText) {
-        progressText.textContent = percentage + '%';
+    const select = document.getElementById('paletteSelect');
+    if (select) {
+        select.innerHTML = '<option value="">Load a palette...</option>';
+        
+        const addGroup = (label, palettes, prefix) => {
+            if (palettes.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            palettes.forEach(palette => {
+                const option = document.createElement('option');
+                option.value = prefix + palette.name;
+                option.textContent = palette.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+        addGroup('Presets', PALETTE_PRESETS, 'preset:');
+        addGroup('Saved', getSavedPalettes(), 'saved:');
     }
     
-    console.log(`Progress: ${percentage}% (${filledCells}/${totalCells} bricks)`);
+    const table = document.getElementById('paletteTable');
+    if (!table) return;
+    table.innerHTML = '';
+    
+    legoColors.forEach((color, index) => {
+        const row = document.createElement('div');
+        row.className = 'palette-row';
+        
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = color.enabled;
+        enabled.title = 'Use for generation';
+        enabled.addEventListener('change', () => {
+            color.enabled = enabled.checked;
+            onPaletteChanged();
+        });
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'inventory-swatch';
+        swatch.style.backgroundColor = color.hex;
+        swatch.title = color.hex;
+        
+        const makeField = (key, placeholder, type) => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.className = 'inventory-count';
+            input.placeholder = placeholder;
+            input.value = color[key] ?? '';
+            input.addEventListener('change', () => {
+                const updated = normalizePaletteColor({ ...color, [key]: input.value });
+                color[key] = updated[key];
+                input.value = color[key] ?? '';
+                onPaletteChanged();
+            });
+            return input;
+        };
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'project-btn palette-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.title = `Remove ${color.name}`;
+        removeBtn.addEventListener('click', () => {
+            if (legoColors.length === 1) {
+                alert('A palette needs at least one color.');
+                return;
+            }
+            legoColors.splice(index, 1);
+            onPaletteChanged();
+            renderPaletteManager();
+        });
+        
+        row.append(
+            enabled,
+            swatch,
+            makeField('name', 'Name', 'text'),
+            makeField('legoId', 'LEGO ID', 'number'),
+            makeField('bricklinkId', 'BL ID', 'number'),
+            makeField('ldrawId', 'LDraw', 'number'),
+            removeBtn
+        );
+        table.appendChild(row);
+    });
 }
 
-// ================================
-// 4. TOOL FUNCTIONS
-// ================================
-
 /**
- * Clears the entire canvas
+ * Adds the color from the "add color" row to the active palette
  */
-function clearCanvas() {
-    if (confirm('Are you sure you want to clear the canvas?')) {
-        saveState();
-        initializeCanvas(); // Recreate empty grid
+function addCustomPaletteColor() {
+    const hex = document.getElementById('newColorHex').value.toUpperCase();
+    const nameInput = document.getElementById('newColorName');
+    const legoIdInput = document.getElementById('newColorLegoId');
+    const bricklinkIdInput = document.getElementById('newColorBricklinkId');
+    const ldrawIdInput = document.getElementById('newColorLdrawId');
+    
+    if (legoColors.some(color => color.hex === hex)) {
+        alert(`${hex} is already in this palette.`);
+        return;
     }
+    
+    legoColors.push(normalizePaletteColor({
+        name: nameInput.value,
+        hex,
+        legoId: legoIdInput.value,
+        bricklinkId: bricklinkIdInput.value,
+        ldrawId: ldrawIdInput.value
+    }));
+    
+    nameInput.value = '';
+    legoIdInput.value = '';
+    bricklinkIdInput.value = '';
+    ldrawIdInput.value = '';
+    onPaletteChanged();
+    renderPaletteManager();
 }
 
 /**
- * Toggles eraser mode
+ * Loads the palette picked in the palette dialog's selector
  */
-function toggleEraser() {
-    isEraserMode = !isEraserMode;
-    updateToolButtons();
+function handlePaletteSelect(event) {
+    const value = event.target.value;
+    if (!value) return;
+    
+    const [kind, ...nameParts] = value.split(':');
+    const name = nameParts.join(':');
+    
+    if (kind === 'preset') {
+        const preset = PALETTE_PRESETS.find(p => p.name === name);
+        if (preset) setActivePalette(preset.name, buildPresetColors(preset));
+    } else {
+        const saved = getSavedPalettes().find(p => p.name === name);
+        if (saved) setActivePalette(saved.name, saved.colors);
+    }
+    
+    renderPaletteManager();
 }
 
 /**
- * Updates visual state of tool buttons
+ * Saves the active palette under a name
  */
-function updateToolButtons() {
-    const eraserBtn = document.getElementById('eraserBtn');
+function saveNamedPalette() {
+    const name = prompt('Save palette as:', activePaletteName);
+    if (!name || !name.trim()) return;
     
-    if (isEraserMode) {
-        eraserBtn.classList.add('active');
-    } else {
-        eraserBtn.classList.remove('active');
-    }
+    const trimmed = name.trim();
+    const palettes = getSavedPalettes();
+    const existing = palettes.findIndex(p => p.name === trimmed);
+    
+    if (existing !== -1 && !confirm(`Replace the saved palette "${trimmed}"?`)) return;
+    
+    const palette = { name: trimmed, colors: legoColors.map(color => ({ ...color })) };
+    if (existing !== -1) palettes[existing] = palette;
+    else palettes.push(palette);
+    
+    setSavedPalettes(palettes);
+    activePaletteName = trimmed;
+    saveActivePalette();
+    renderPaletteManager();
 }
 
 /**
- * Undoes the last action
+ * Deletes the active palette from the saved palettes
  */
-function undo() {
-    if (undoStack.length === 0) {
-        alert('Nothing to undo!');
+function deleteNamedPalette() {
+    const palettes = getSavedPalettes();
+    if (!palettes.some(p => p.name === activePaletteName)) {
+        alert(`"${activePaletteName}" is not a saved palette.`);
         return;
     }
+    if (!confirm(`Delete the saved palette "${activePaletteName}"?`)) return;
     
-    // Restore previous state
-    const previousState = undoStack.pop();
-    legoGrid = previousState;
+    setSavedPalettes(palettes.filter(p => p.name !== activePaletteName));
     
-    // Redraw canvas
-    redrawCanvas();
+    // The colors stay in use, but no longer under the deleted name
+    activePaletteName = 'Custom palette';
+    saveActivePalette();
+    renderPaletteManager();
 }
 
 /**
- * Saves current state to undo stack
+ * Handles a palette file picked with "Import"
  */
-function saveState() {
-    // Deep copy of current grid state
-    const stateCopy = legoGrid.map(row => [...row]);
-    undoStack.push(stateCopy);
+function handlePaletteFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = ''; // Allow importing the same file again
     
-    // Limit undo stack size to prevent memory issues
-    if (undoStack.length > 20) {
-        undoStack.shift(); // Remove oldest state
-    }
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const { name, colors } = parsePaletteFile(e.target.result, file.name);
+            setActivePalette(name, colors);
+            renderPaletteManager();
+            console.log(`🎨 Palette "${name}" imported (${colors.length} colors)`);
+        } catch (error) {
+            alert(`Could not import "${file.name}":\n${error.message}`);
+        }
+    };
+    reader.readAsText(file);
 }
 
 /**
- * Redraws canvas based on current legoGrid data
+ * Downloads the active palette as JSON or CSV
+ * @param {string} format - 'json' or 'csv'
  */
-function redrawCanvas() {
-    const bricks = document.querySelectorAll('.brick');
-    console.log(`🖌️ Redrawing ${bricks.length} bricks...`);
-    
-    let coloredCount = 0;
-    bricks.forEach(brick => {
-        const row = parseInt(brick.dataset.row);
-        const col = parseInt(brick.dataset.col);
-        const color = legoGrid[row][col];
-        
-        if (color) {
-            brick.style.backgroundColor = color;
-            brick.classList.add('placed');
-            coloredCount++;
-        } else {
-            brick.style.backgroundColor = '#1a1a1a';
-            brick.classList.remove('placed');
-        }
-    });
+function exportPalette(format) {
+    const slug = activePaletteName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'palette';
     
-    console.log(`✅ Redrawn! ${coloredCount} colored bricks, ${bricks.length - coloredCount} empty`);
-    updateProgress();
+    if (format === 'csv') {
+        downloadBlob(new Blob([paletteToCsv(legoColors)], { type: 'text/csv' }), `${slug}.palette.csv`);
+    } else {
+        downloadBlob(new Blob([paletteToJson(activePaletteName, legoColors)], { type: 'application/json' }), `${slug}.palette.json`);
+    }
 }
 
 // ================================
-// 5. IMAGE UPLOAD & REFERENCE
+// 2. CANVAS/GRID FUNCTIONS
 // ================================
 
 /**
- * Handles reference image upload
+ * Creates an empty LEGO building grid
+ * Grid size is determined by canvasWidth and canvasHeight
  */
-function handleImageUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+function initializeCanvas() {
+    // Initialize 2D array to track brick colors
+    legoGrid = createEmptyGrid(canvasWidth, canvasHeight);
+    clearSelection();
     
-    console.log('📂 Processing file:', file.name);
+    fitCanvasToView();
+    onGridChanged();
+}
+
+/**
+ * Creates a 2D array of empty cells
+ * @param {number} width - Columns
+ * @param {number} height - Rows
+ * @returns {Array<Array<null>>} grid[row][col]
+ */
+function createEmptyGrid(width, height) {
+    return Array(height).fill(null).map(() => 
+        Array(width).fill(null)
+    );
+}
+
+// ================================
+// 2.1 CANVAS SIZE & BASEPLATES
+// ================================
+
+// Baseplate layouts: cols x rows plates of plateSize studs
+const CANVAS_PRESETS = [
+    { cols: 1, rows: 1, plateSize: 16 },
+    { cols: 1, rows: 1, plateSize: 32 },
+    { cols: 1, rows: 1, plateSize: 48 },
+    { cols: 3, rows: 3, plateSize: 16 },
+    { cols: 3, rows: 4, plateSize: 16 },
+    { cols: 4, rows: 3, plateSize: 16 },
+    { cols: 2, rows: 2, plateSize: 32 },
+    { cols: 2, rows: 1, plateSize: 48 },
+    { cols: 1, rows: 2, plateSize: 48 },
+    { cols: 2, rows: 2, plateSize: 48 },
+    { cols: 4, rows: 4, plateSize: 32 }
+];
+
+/**
+ * Value used for a preset in the size selector
+ * @param {object} preset - { cols, rows, plateSize }
+ * @returns {string} e.g. '3x4@16'
+ */
+function getPresetValue(preset) {
+    return `${preset.cols}x${preset.rows}@${preset.plateSize}`;
+}
+
+/**
+ * Human-readable preset label
+ * @param {object} preset - { cols, rows, plateSize }
+ * @returns {string} e.g. '3x4 plates of 16 (48x64)'
+ */
+function describePreset(preset) {
+    const width = preset.cols * preset.plateSize;
+    const height = preset.rows * preset.plateSize;
+    const plates = preset.cols * preset.rows === 1 ? '1 plate' : `${preset.cols}x${preset.rows} plates`;
+    return `${width}x${height} (${plates} of ${preset.plateSize})`;
+}
+
+/**
+ * Crops or pads a grid to a new size, keeping the existing bricks
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @param {number} newWidth - New number of columns
+ * @param {number} newHeight - New number of rows
+ * @param {string} anchor - 'center' or 'top-left': which part of the old grid stays put
+ * @returns {Array<Array<string|null>>} The resized grid (new arrays)
+ */
+function resizeGrid(grid, newWidth, newHeight, anchor) {
+    const oldHeight = grid.length;
+    const oldWidth = oldHeight > 0 ? grid[0].length : 0;
     
-    const reader = new FileReader();
+    // Where the old grid's top-left corner lands in the new grid
+    // (negative = cropped off)
+    const offsetRow = anchor === 'center' ? Math.floor((newHeight - oldHeight) / 2) : 0;
+    const offsetCol = anchor === 'center' ? Math.floor((newWidth - oldWidth) / 2) : 0;
     
-    reader.onload = function(e) {
-        const img = document.getElementById('referenceImage');
-        img.src = e.target.result;
-        img.classList.add('visible');
-        
-        // Hide upload placeholder and label
-        const placeholder = document.getElementById('uploadPlaceholder');
-        const uploadLabel = document.getElementById('uploadLabel');
-        if (placeholder) placeholder.style.display = 'none';
-        if (uploadLabel) uploadLabel.style.display = 'none';
-        
-        // Show generate and change image buttons
-        document.getElementById('generateBtn').style.display = 'block';
-        document.getElementById('changeImageBtn').style.display = 'block';
-        
-        // Store image data for color picking and auto-generation
-        loadImageData(img);
-        
-        console.log('✅ Image uploaded successfully!');
-    };
+    const resized = createEmptyGrid(newWidth, newHeight);
+    for (let row = 0; row < oldHeight; row++) {
+        for (let col = 0; col < oldWidth; col++) {
+            const newRow = row + offsetRow;
+            const newCol = col + offsetCol;
+            if (newRow >= 0 && newRow < newHeight && newCol >= 0 && newCol < newWidth) {
+                resized[newRow][newCol] = grid[row][col];
+            }
+        }
+    }
     
-    reader.readAsDataURL(file);
+    return resized;
 }
 
 /**
- * Handles changing/replacing the reference image
+ * Changes the canvas size, cropping or padding the current design
+ * @param {number} newWidth - Width in studs
+ * @param {number} newHeight - Height in studs
+ * @param {number} newPlateSize - Studs per baseplate side
  */
-function changeImage() {
-    // Ask for confirmation if canvas has content
-    const hasContent = legoGrid.some(row => row.some(cell => cell !== null));
+function resizeCanvas(newWidth, newHeight, newPlateSize) {
+    const anchorSelect = document.getElementById('resizeAnchor');
+    const anchor = anchorSelect ? anchorSelect.value : 'center';
     
-    if (hasContent) {
-        const confirmed = confirm(
-            '⚠️ Changing the image will not clear your current LEGO art. ' +
-            'Do you want to continue with a new reference image?'
-        );
-        if (!confirmed) return;
+    const hasContent = legoGrid.some(row => row.some(cell => cell !== null));
+    const cropsBricks = newWidth < canvasWidth || newHeight < canvasHeight;
+    if (hasContent && cropsBricks &&
+        !confirm('The new size is smaller, so bricks outside it will be cropped. Continue?')) {
+        syncCanvasSizeControls(); // Revert selection
+        return;
     }
     
-    // Reset the file input and trigger it
-    const fileInput = document.getElementById('imageUpload');
-    fileInput.value = ''; // Clear previous selection
-    fileInput.click(); // Open file picker
+    const before = getCanvasSnapshot();
+    applyCanvasSnapshot({
+        width: newWidth,
+        height: newHeight,
+        plateSize: newPlateSize,
+        grid: resizeGrid(legoGrid, newWidth, newHeight, anchor)
+    });
+    pushHistoryStep({
+        type: 'resize',
+        label: `Resize to ${newWidth}x${newHeight}`,
+        before,
+        after: getCanvasSnapshot()
+    });
     
-    console.log('🔄 Opening file picker to change image...');
+    console.log(`📐 Canvas resized to ${canvasWidth}x${canvasHeight} (plates of ${plateSize})`);
 }
 
 /**
- * Loads image data for color picking functionality
- * @param {HTMLImageElement} img - The reference image
+ * Updates the size controls to show the current canvas size
  */
-function loadImageData(img) {
-    // Create hidden canvas to extract pixel data
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+function syncCanvasSizeControls() {
+    const sizeSelect = document.getElementById('canvasSize');
+    const customSize = document.getElementById('customSize');
+    const preset = CANVAS_PRESETS.find(p =>
+        p.plateSize === plateSize &&
+        p.cols * p.plateSize === canvasWidth &&
+        p.rows * p.plateSize === canvasHeight
+    );
     
-    img.onload = function() {
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.drawImage(img, 0, 0);
-        referenceImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        
-        console.log('✅ Image loaded! Ready to generate LEGO art.');
-    };
+    if (sizeSelect) sizeSelect.value = preset ? getPresetValue(preset) : 'custom';
+    if (customSize) customSize.hidden = !!preset;
+    
+    const customWidth = document.getElementById('customWidth');
+    const customHeight = document.getElementById('customHeight');
+    if (customWidth) customWidth.value = canvasWidth;
+    if (customHeight) customHeight.value = canvasHeight;
+    
+    // Instructions default to the same baseplates
+    const plateSizeInput = document.getElementById('plateSize');
+    if (plateSizeInput) plateSizeInput.value = plateSize;
 }
 
 // ================================
-// 6. AUTO-GENERATE LEGO ART
+// 2.2 CANVAS RENDERER, ZOOM & PAN
+// The grid is drawn on one <canvas>; only changed cells are redrawn
 // ================================
 
+const VIEW_BACKGROUND = '#E5E5E5'; // Same as --bg-primary
+const PLATE_LINE_COLOR = '#C91A09';
+const MIN_CELL_SIZE = 1; // Zoom limits, in screen pixels per stud
+const MAX_CELL_SIZE = 96;
+const GRID_MIN_CELL_SIZE = 5; // Smaller studs would turn into a solid gray mesh
+const STUD_MIN_CELL_SIZE = 10;
+const VIEW_MARGIN = 20; // Space around the grid when it's fitted to the view
+
+let canvasView = {
+    cellSize: 16, // Screen pixels per stud
+    offsetX: 0, // Screen position of the grid's top-left corner
+    offsetY: 0,
+    fitted: true, // Keep fitting the grid when the window resizes
+    showGrid: true,
+    showPlates: true
+};
+let canvasDirty = null; // null, 'all', or { top, left, bottom, right } in cells
+let renderRequested = false;
+const shapePreview = new Map(); // row * canvasWidth + col -> color drawn over legoGrid
+let viewGesture = null; // { type: 'pan', pointerId, lastX, lastY } or { type: 'pinch', distance, midX, midY }
+const activeTouches = new Map(); // pointerId -> { x, y }
+let isSpaceHeld = false; // Space + drag pans
+
 /**
- * Automatically generates LEGO art from the reference image
- * This is the MAGIC function that converts your photo to LEGO!
+ * Matches the canvas' pixel size to its size on screen
+ * Called on startup and whenever the layout changes size.
  */
-function generateLegoArt() {
-    const img = document.getElementById('referenceImage');
+function resizeCanvasToDisplay() {
+    const canvas = document.getElementById('legoCanvas');
+    if (!canvas) return;
     
-    console.log('🎨 Generate button clicked!');
-    console.log('Image src:', img.src);
-    console.log('Image complete:', img.complete);
-    console.log('Image naturalWidth:', img.naturalWidth);
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
     
-    // Check if image is loaded
-    if (!img.src || img.src === '') {
-        alert('Please upload an image first!');
-        return;
+    if (canvasView.fitted) {
+        fitCanvasToView();
+    } else {
+        markAllDirty();
     }
+}
+
+/**
+ * Zooms and centers the view so the whole grid is visible
+ */
+function fitCanvasToView() {
+    const canvas = document.getElementById('legoCanvas');
+    if (!canvas || canvas.clientWidth === 0) return;
     
-    // Disable button during generation
-    const generateBtn = document.getElementById('generateBtn');
+    const availableWidth = canvas.clientWidth - VIEW_MARGIN * 2;
+    const availableHeight = canvas.clientHeight - VIEW_MARGIN * 2;
+    const cellSize = Math.min(availableWidth / canvasWidth, availableHeight / canvasHeight);
+    
+    canvasView.cellSize = Math.min(MAX_CELL_SIZE, Math.max(MIN_CELL_SIZE, cellSize));
+    canvasView.offsetX = Math.round((canvas.clientWidth - canvasWidth * canvasView.cellSize) / 2);
+    canvasView.offsetY = Math.round((canvas.clientHeight - canvasHeight * canvasView.cellSize) / 2);
+    canvasView.fitted = true;
+    
+    markAllDirty();
+}
+
+/**
+ * Zooms the view, keeping one point on screen fixed
+ * @param {number} cellSize - New screen pixels per stud
+ * @param {number} anchorX - Fixed point, in canvas pixels (default: center)
+ * @param {number} anchorY - Fixed point, in canvas pixels (default: center)
+ */
+function setCanvasZoom(cellSize, anchorX, anchorY) {
+    const canvas = document.getElementById('legoCanvas');
+    if (!canvas) return;
+    if (anchorX === undefined) anchorX = canvas.clientWidth / 2;
+    if (anchorY === undefined) anchorY = canvas.clientHeight / 2;
+    
+    const newSize = Math.min(MAX_CELL_SIZE, Math.max(MIN_CELL_SIZE, cellSize));
+    const scale = newSize / canvasView.cellSize;
+    
+    canvasView.offsetX = anchorX - (anchorX - canvasView.offsetX) * scale;
+    canvasView.offsetY = anchorY - (anchorY - canvasView.offsetY) * scale;
+    canvasView.cellSize = newSize;
+    canvasView.fitted = false;
+    
+    markAllDirty();
+}
+
+/**
+ * Moves the view
+ * @param {number} deltaX - Screen pixels to the right
+ * @param {number} deltaY - Screen pixels down
+ */
+function panCanvasView(deltaX, deltaY) {
+    canvasView.offsetX += deltaX;
+    canvasView.offsetY += deltaY;
+    canvasView.fitted = false;
+    markAllDirty();
+}
+
+/**
+ * Queues one cell for redrawing
+ * @param {number} row - Row position
+ * @param {number} col - Column position
+ */
+function markCellDirty(row, col) {
+    if (canvasDirty === 'all') return;
+    
+    if (canvasDirty === null) {
+        canvasDirty = { top: row, left: col, bottom: row, right: col };
+    } else {
+        canvasDirty.top = Math.min(canvasDirty.top, row);
+        canvasDirty.left = Math.min(canvasDirty.left, col);
+        canvasDirty.bottom = Math.max(canvasDirty.bottom, row);
+        canvasDirty.right = Math.max(canvasDirty.right, col);
+    }
+    requestRender();
+}
+
+/**
+ * Queues the whole view for redrawing
+ */
+function markAllDirty() {
+    canvasDirty = 'all';
+    requestRender();
+}
+
+/**
+ * Draws queued changes on the next animation frame
+ * Many changes in one frame (e.g. a fill) cost a single redraw.
+ */
+function requestRender() {
+    if (renderRequested) return;
+    renderRequested = true;
+    requestAnimationFrame(() => {
+        renderRequested = false;
+        renderCanvas();
+    });
+}
+
+/**
+ * Color shown for a cell: the shape being drawn, or the grid
+ * @param {number} row - Row position
+ * @param {number} col - Column position
+ * @returns {string|null} Hex color, or null for empty
+ */
+function getDisplayColor(row, col) {
+    const previewColor = shapePreview.get(row * canvasWidth + col);
+    return previewColor !== undefined ? previewColor : legoGrid[row][col];
+}
+
+/**
+ * Draws the queued part of the grid
+ */
+function renderCanvas() {
+    const canvas = document.getElementById('legoCanvas');
+    const dirty = canvasDirty;
+    canvasDirty = null;
+    if (!canvas || dirty === null || canvas.width === 0 || canvas.clientWidth === 0) return;
+    
+    const ctx = canvas.getContext('2d');
+    const ratio = canvas.width / canvas.clientWidth;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    
+    const { cellSize, offsetX, offsetY } = canvasView;
+    
+    if (dirty === 'all') {
+        ctx.fillStyle = VIEW_BACKGROUND;
+        ctx.fillRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+        drawGridRegion(ctx, 0, 0, canvasHeight - 1, canvasWidth - 1);
+        return;
+    }
+    
+    // Redraw just the changed rectangle (plus 1px for lines on its edges)
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(
+        offsetX + dirty.left * cellSize - 1,
+        offsetY + dirty.top * cellSize - 1,
+        (dirty.right - dirty.left + 1) * cellSize + 2,
+        (dirty.bottom - dirty.top + 1) * cellSize + 2
+    );
+    ctx.clip();
+    ctx.fillStyle = VIEW_BACKGROUND;
+    ctx.fill();
+    drawGridRegion(
+        ctx,
+        Math.max(0, dirty.top - 1),
+        Math.max(0, dirty.left - 1),
+        Math.min(canvasHeight - 1, dirty.bottom + 1),
+        Math.min(canvasWidth - 1, dirty.right + 1)
+    );
+    ctx.restore();
+}
+
+/**
+ * Draws bricks, studs, grid lines, baseplate lines and the border for a block of cells
+ * Only the part that's on screen is drawn.
+ * @param {CanvasRenderingContext2D} ctx - Context scaled to screen pixels
+ * @param {number} top - First row
+ * @param {number} left - First column
+ * @param {number} bottom - Last row
+ * @param {number} right - Last column
+ */
+function drawGridRegion(ctx, top, left, bottom, right) {
+    const canvas = ctx.canvas;
+    const { cellSize, offsetX, offsetY, showGrid, showPlates } = canvasView;
+    
+    // Clip to the visible cells
+    top = Math.max(top, Math.floor(-offsetY / cellSize));
+    left = Math.max(left, Math.floor(-offsetX / cellSize));
+    bottom = Math.min(bottom, Math.floor((canvas.clientHeight - offsetY) / cellSize));
+    right = Math.min(right, Math.floor((canvas.clientWidth - offsetX) / cellSize));
+    if (top > bottom || left > right) return;
+    
+    drawBricks(ctx, getDisplayColor, canvasView, top, left, bottom, right, renderStyle);
+    
+    // Reference image for tracing, and bricks that stray from it
+    if (referenceOverlay.enabled) {
+        drawReferenceOverlay(ctx, top, left, bottom, right);
+    }
+    if (referenceOverlay.diff) {
+        drawDifferenceHighlights(ctx, top, left, bottom, right);
+    }
+    
+    // Cells of the color picked in the Colors in Use panel
+    if (highlightedColor) {
+        drawColorHighlight(ctx, top, left, bottom, right);
+    }
+    
+    // Color symbols, for telling similar colors apart
+    if (showSymbols) {
+        drawColorSymbols(ctx, top, left, bottom, right);
+    }
+    
+    // Grid lines between studs
+    if (showGrid && cellSize >= GRID_MIN_CELL_SIZE) {
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.lineWidth = 1;
+        drawGridLines(ctx, top, left, bottom, right, 1);
+    }
+    
+    // Larger parts from the part optimizer
+    if (partLayout) {
+        drawPartOutlines(ctx, top, left, bottom, right);
+    }
+    
+    // Seams between the baseplates of a framed mosaic
+    if (renderStyle === 'framed') {
+        drawPlateGaps(ctx, canvasView, top, left, bottom, right);
+    }
+    
+    // Baseplate boundaries
+    if (showPlates && plateSize < Math.max(canvasWidth, canvasHeight)) {
+        ctx.strokeStyle = PLATE_LINE_COLOR;
+        ctx.lineWidth = 2;
+        drawGridLines(ctx, top, left, bottom, right, plateSize);
+    }
+    
+    // Outline of the whole grid (a picture frame in the framed style)
+    if (renderStyle === 'framed') {
+        drawArtFrame(ctx, canvasView, Math.min(getFrameWidth(cellSize), VIEW_MARGIN - 2));
+    } else {
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(offsetX - 1, offsetY - 1, canvasWidth * cellSize + 2, canvasHeight * cellSize + 2);
+    }
+    
+    // Selection outline (following the pointer while the selection is dragged)
+    if (selection) {
+        const moving = toolDrag !== null && toolDrag.mode === 'move';
+        drawSelectionOutline(ctx, selection, moving ? toolDrag.rowOffset : 0, moving ? toolDrag.colOffset : 0);
+    }
+    
+    // Keyboard cursor
+    if (gridCursor.visible && gridCursor.row >= top && gridCursor.row <= bottom &&
+        gridCursor.col >= left && gridCursor.col <= right) {
+        drawGridCursor(ctx);
+    }
+}
+
+/**
+ * Strokes the lines every `step` cells inside a block of cells
+ * @param {CanvasRenderingContext2D} ctx - Context with strokeStyle/lineWidth set
+ * @param {number} top - First row
+ * @param {number} left - First column
+ * @param {number} bottom - Last row
+ * @param {number} right - Last column
+ * @param {number} step - 1 = every cell, plateSize = baseplate edges
+ * @param {object} [view] - { cellSize, offsetX, offsetY } (defaults to the live view)
+ */
+function drawGridLines(ctx, top, left, bottom, right, step, view = canvasView) {
+    const { cellSize, offsetX, offsetY } = view;
+    const y0 = offsetY + top * cellSize;
+    const y1 = offsetY + (bottom + 1) * cellSize;
+    const x0 = offsetX + left * cellSize;
+    const x1 = offsetX + (right + 1) * cellSize;
+    
+    ctx.beginPath();
+    for (let col = Math.ceil(left / step) * step; col <= right + 1; col += step) {
+        if (col === 0 || col === canvasWidth) continue; // The outline covers these
+        const x = Math.round(offsetX + col * cellSize) + 0.5;
+        ctx.moveTo(x, y0);
+        ctx.lineTo(x, y1);
+    }
+    for (let row = Math.ceil(top / step) * step; row <= bottom + 1; row += step) {
+        if (row === 0 || row === canvasHeight) continue;
+        const y = Math.round(offsetY + row * cellSize) + 0.5;
+        ctx.moveTo(x0, y);
+        ctx.lineTo(x1, y);
+    }
+    ctx.stroke();
+}
+
+/**
+ * Mouse wheel and trackpad pinch (which arrives as Ctrl+wheel) zoom around the pointer
+ */
+function handleCanvasWheel(event) {
+    event.preventDefault();
+    
+    const rect = event.currentTarget.getBoundingClientRect();
+    const sensitivity = event.ctrlKey ? 0.01 : 0.0015;
+    const factor = Math.exp(-event.deltaY * sensitivity);
+    
+    setCanvasZoom(canvasView.cellSize * factor, event.clientX - rect.left, event.clientY - rect.top);
+}
+
+/**
+ * Starts panning (middle button, or Space + drag) and two-finger pinch zoom
+ * Runs before the drawing tools and keeps the event from them when it takes over.
+ */
+function handleViewPointerDown(event) {
+    if (event.pointerType === 'touch') {
+        activeTouches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        
+        if (activeTouches.size === 2) {
+            // A second finger turns the gesture into pinch zoom
+            if (toolDrag) {
+                finishToolDrag(true);
+            }
+            const [a, b] = Array.from(activeTouches.values());
+            viewGesture = {
+                type: 'pinch',
+                distance: Math.hypot(a.x - b.x, a.y - b.y),
+                midX: (a.x + b.x) / 2,
+                midY: (a.y + b.y) / 2
+            };
+            event.currentTarget.setPointerCapture(event.pointerId);
+            event.stopImmediatePropagation();
+            return;
+        }
+    }
+    
+    // Shared designs are read-only, so there a plain drag pans too
+    if (event.button === 1 || (event.button === 0 && (isSpaceHeld || isViewingShare))) {
+        event.preventDefault();
+        viewGesture = { type: 'pan', pointerId: event.pointerId, lastX: event.clientX, lastY: event.clientY };
+        event.currentTarget.setPointerCapture(event.pointerId);
+        event.currentTarget.classList.add('panning');
+        event.stopImmediatePropagation();
+    }
+}
+
+/**
+ * Continues a pan or pinch
+ */
+function handleViewPointerMove(event) {
+    if (activeTouches.has(event.pointerId)) {
+        activeTouches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    }
+    if (!viewGesture) return;
+    
+    if (viewGesture.type === 'pan' && event.pointerId === viewGesture.pointerId) {
+        panCanvasView(event.clientX - viewGesture.lastX, event.clientY - viewGesture.lastY);
+        viewGesture.lastX = event.clientX;
+        viewGesture.lastY = event.clientY;
+        event.stopImmediatePropagation();
+    } else if (viewGesture.type === 'pinch' && activeTouches.size === 2) {
+        const [a, b] = Array.from(activeTouches.values());
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        const midX = (a.x + b.x) / 2;
+        const midY = (a.y + b.y) / 2;
+        const rect = event.currentTarget.getBoundingClientRect();
+        
+        panCanvasView(midX - viewGesture.midX, midY - viewGesture.midY);
+        if (viewGesture.distance > 0) {
+            setCanvasZoom(canvasView.cellSize * distance / viewGesture.distance, midX - rect.left, midY - rect.top);
+        }
+        viewGesture = { type: 'pinch', distance, midX, midY };
+        event.stopImmediatePropagation();
+    }
+}
+
+/**
+ * Ends a pan or pinch
+ */
+function handleViewPointerUp(event) {
+    activeTouches.delete(event.pointerId);
+    if (!viewGesture) return;
+    
+    const ended = viewGesture.type === 'pan'
+        ? event.pointerId === viewGesture.pointerId
+        : activeTouches.size < 2;
+    
+    if (ended) {
+        viewGesture = null;
+        event.currentTarget.classList.remove('panning');
+    }
+    event.stopImmediatePropagation();
+}
+
+/**
+ * Tracks the Space key for Space + drag panning
+ */
+function handleSpaceKey(event) {
+    if (event.key !== ' ' || event.target.closest('input, select, textarea, button, dialog')) return;
+    if (gridCursor.visible) return; // Space uses the tool at the grid cursor
+    
+    event.preventDefault(); // Don't scroll the page
+    isSpaceHeld = event.type === 'keydown';
+    
+    const canvas = document.getElementById('legoCanvas');
+    if (canvas) canvas.classList.toggle('space-held', isSpaceHeld);
+}
+
+// ================================
+// 2.3 BRICK RENDER STYLES
+// One renderer for the live view and PNG export
+// ================================
+
+// Looks the bricks can be drawn with
+const RENDER_STYLES = {
+    flat: 'Flat',
+    round: 'Round plates',
+    tile: 'Square tiles',
+    studded: 'Studded plates',
+    framed: 'Framed LEGO Art'
+};
+const RENDER_STYLE_STORAGE_KEY = 'legoArtCreator.renderStyle';
+const BASEPLATE_COLOR = '#1E1E1E'; // Shows between round parts and at plate seams
+const FRAME_COLOR = '#111111';
+const DETAIL_MIN_CELL_SIZE = 4; // Smaller bricks are drawn flat whatever the style
+
+let renderStyle = 'flat';
+
+/**
+ * Draws a block of cells in a render style
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {function} colorAt - (row, col) => hex color or null
+ * @param {object} view - { cellSize, offsetX, offsetY } in canvas pixels
+ * @param {number} top - First row
+ * @param {number} left - First column
+ * @param {number} bottom - Last row
+ * @param {number} right - Last column
+ * @param {string} style - Key of RENDER_STYLES
+ */
+function drawBricks(ctx, colorAt, view, top, left, bottom, right, style) {
+    const { cellSize, offsetX, offsetY } = view;
+    
+    if (style !== 'flat' && cellSize >= DETAIL_MIN_CELL_SIZE) {
+        for (let row = top; row <= bottom; row++) {
+            for (let col = left; col <= right; col++) {
+                drawBrick(ctx, offsetX + col * cellSize, offsetY + row * cellSize, cellSize, colorAt(row, col), style);
+            }
+        }
+        return;
+    }
+    
+    // Flat: one rectangle per run of same-colored cells
+    const emptyColor = style === 'round' || style === 'framed' ? BASEPLATE_COLOR : EMPTY_BRICK_COLOR;
+    for (let row = top; row <= bottom; row++) {
+        const y = offsetY + row * cellSize;
+        let runStart = left;
+        let runColor = colorAt(row, left);
+        
+        for (let col = left + 1; col <= right + 1; col++) {
+            const color = col <= right ? colorAt(row, col) : undefined;
+            if (color === runColor) continue;
+            
+            ctx.fillStyle = runColor || emptyColor;
+            ctx.fillRect(offsetX + runStart * cellSize, y, (col - runStart) * cellSize, cellSize);
+            runStart = col;
+            runColor = color;
+        }
+    }
+    
+    // Stud outlines
+    if (style === 'flat' && cellSize >= STUD_MIN_CELL_SIZE) {
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        const radius = cellSize * 0.2;
+        for (let row = top; row <= bottom; row++) {
+            for (let col = left; col <= right; col++) {
+                const centerX = offsetX + (col + 0.5) * cellSize;
+                const centerY = offsetY + (row + 0.5) * cellSize;
+                ctx.moveTo(centerX + radius, centerY);
+                ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+            }
+        }
+        ctx.stroke();
+    }
+}
+
+/**
+ * Draws one brick with highlights and shadows (light comes from the top-left)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Left edge in canvas pixels
+ * @param {number} y - Top edge in canvas pixels
+ * @param {number} size - Width and height in canvas pixels
+ * @param {string|null} color - Hex color, or null for an empty cell
+ * @param {string} style - 'round', 'tile', 'studded' or 'framed'
+ */
+function drawBrick(ctx, x, y, size, color, style) {
+    const centerX = x + size / 2;
+    const centerY = y + size / 2;
+    const edge = Math.max(1, size * 0.06);
+    
+    if (style === 'round' || style === 'framed') {
+        // Round plates (or the round tiles of LEGO Art sets) on a dark baseplate
+        ctx.fillStyle = BASEPLATE_COLOR;
+        ctx.fillRect(x, y, size, size);
+        if (!color) {
+            drawStud(ctx, centerX, centerY, size * 0.3, BASEPLATE_COLOR);
+            return;
+        }
+        
+        const radius = size * 0.46;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+        ctx.fill();
+        
+        // Rim: lit on the top-left half, shaded on the bottom-right half
+        ctx.lineWidth = edge;
+        ctx.strokeStyle = shadeColor(color, 0.35);
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius - edge / 2, 0.75 * Math.PI, 1.75 * Math.PI);
+        ctx.stroke();
+        ctx.strokeStyle = shadeColor(color, -0.35);
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius - edge / 2, -0.25 * Math.PI, 0.75 * Math.PI);
+        ctx.stroke();
+        
+        if (style === 'round') {
+            drawStud(ctx, centerX, centerY, size * 0.3, color);
+        } else {
+            // Smooth tile: a soft gloss instead of a stud
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+            ctx.beginPath();
+            ctx.ellipse(centerX - size * 0.12, centerY - size * 0.14, size * 0.2, size * 0.12, -Math.PI / 4, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+        return;
+    }
+    
+    const fill = color || EMPTY_BRICK_COLOR;
+    
+    if (style === 'tile') {
+        // Smooth square tiles with a thin seam between them
+        const gap = Math.max(1, Math.round(size * 0.05));
+        ctx.fillStyle = BASEPLATE_COLOR;
+        ctx.fillRect(x, y, size, size);
+        ctx.fillStyle = fill;
+        ctx.fillRect(x + gap, y + gap, size - gap * 2, size - gap * 2);
+        drawBevel(ctx, x + gap, y + gap, size - gap * 2, fill, edge);
+        return;
+    }
+    
+    // Studded square plates
+    ctx.fillStyle = fill;
+    ctx.fillRect(x, y, size, size);
+    drawBevel(ctx, x, y, size, fill, edge);
+    drawStud(ctx, centerX, centerY, size * 0.3, fill);
+}
+
+/**
+ * Lights the top and left edges of a square and shades the bottom and right
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} size - Width and height
+ * @param {string} color - Hex color of the square
+ * @param {number} width - Edge width
+ */
+function drawBevel(ctx, x, y, size, color, width) {
+    ctx.lineWidth = width;
+    const half = width / 2;
+    
+    ctx.strokeStyle = shadeColor(color, 0.3);
+    ctx.beginPath();
+    ctx.moveTo(x + half, y + size);
+    ctx.lineTo(x + half, y + half);
+    ctx.lineTo(x + size, y + half);
+    ctx.stroke();
+    
+    ctx.strokeStyle = shadeColor(color, -0.3);
+    ctx.beginPath();
+    ctx.moveTo(x + size - half, y + half);
+    ctx.lineTo(x + size - half, y + size - half);
+    ctx.lineTo(x + half, y + size - half);
+    ctx.stroke();
+}
+
+/**
+ * Draws a stud with a shadow on its bottom-right and a highlight on its top-left
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} centerX - Stud center
+ * @param {number} centerY - Stud center
+ * @param {number} radius - Stud radius
+ * @param {string} color - Hex color of the brick
+ */
+function drawStud(ctx, centerX, centerY, radius, color) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.beginPath();
+    ctx.arc(centerX + radius * 0.15, centerY + radius * 0.2, radius, 0, 2 * Math.PI);
+    ctx.fill();
+    
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+    ctx.fill();
+    
+    ctx.strokeStyle = shadeColor(color, 0.45);
+    ctx.lineWidth = Math.max(1, radius * 0.2);
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius * 0.85, Math.PI, 1.5 * Math.PI);
+    ctx.stroke();
+}
+
+/**
+ * Mixes a color with white (lighter) or black (darker)
+ * @param {string} hex - Hex color
+ * @param {number} amount - -1 (black) to 1 (white)
+ * @returns {string} CSS rgb() color
+ */
+function shadeColor(hex, amount) {
+    const { r, g, b } = hexToRgb(hex);
+    const target = amount > 0 ? 255 : 0;
+    const mix = Math.abs(amount);
+    const channel = value => Math.round(value + (target - value) * mix);
+    return `rgb(${channel(r)}, ${channel(g)}, ${channel(b)})`;
+}
+
+/**
+ * Frame width for the "Framed LEGO Art" style
+ * @param {number} cellSize - Pixels per stud
+ * @returns {number} Frame width in pixels
+ */
+function getFrameWidth(cellSize) {
+    return Math.round(Math.max(3, cellSize * 0.8));
+}
+
+/**
+ * Draws the dark seams between baseplates of a framed mosaic
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {object} view - { cellSize, offsetX, offsetY }
+ * @param {number} top - First row
+ * @param {number} left - First column
+ * @param {number} bottom - Last row
+ * @param {number} right - Last column
+ */
+function drawPlateGaps(ctx, view, top, left, bottom, right) {
+    if (plateSize >= Math.max(canvasWidth, canvasHeight)) return;
+    
+    ctx.strokeStyle = BASEPLATE_COLOR;
+    ctx.lineWidth = Math.max(1, Math.round(view.cellSize * 0.12));
+    drawGridLines(ctx, top, left, bottom, right, plateSize, view);
+}
+
+/**
+ * Draws a picture frame around the grid
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {object} view - { cellSize, offsetX, offsetY }
+ * @param {number} frameWidth - Frame width in pixels
+ */
+function drawArtFrame(ctx, view, frameWidth) {
+    const width = canvasWidth * view.cellSize;
+    const height = canvasHeight * view.cellSize;
+    
+    ctx.strokeStyle = FRAME_COLOR;
+    ctx.lineWidth = frameWidth;
+    ctx.strokeRect(view.offsetX - frameWidth / 2, view.offsetY - frameWidth / 2, width + frameWidth, height + frameWidth);
+    
+    // A light line on the outer edge makes the frame look raised
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(view.offsetX - frameWidth + 0.5, view.offsetY - frameWidth + 0.5, width + frameWidth * 2 - 1, height + frameWidth * 2 - 1);
+}
+
+/**
+ * Switches the render style of the canvas (and of PNG exports)
+ * @param {string} style - Key of RENDER_STYLES
+ */
+function setRenderStyle(style) {
+    if (!RENDER_STYLES[style]) return;
+    renderStyle = style;
+    localStorage.setItem(RENDER_STYLE_STORAGE_KEY, style);
+    
+    const select = document.getElementById('renderStyle');
+    if (select) select.value = style;
+    markAllDirty();
+}
+
+/**
+ * Loads the render style used last time
+ */
+function loadRenderStyle() {
+    const saved = localStorage.getItem(RENDER_STYLE_STORAGE_KEY);
+    if (RENDER_STYLES[saved]) renderStyle = saved;
+}
+
+// ================================
+// 3. PROGRESS TRACKING
+// ================================
+
+/**
+ * Refreshes everything that depends on legoGrid
+ * Call after any change to the grid
+ */
+function onGridChanged() {
+    updateProgress();
+    updateOverlayDiffCount();
+    updatePartsList();
+    updateColorUsePanel();
+    updatePartOptimizer();
+    scheduleAutosave();
+}
+
+/**
+ * Updates the progress bar based on placed bricks
+ */
+function updateProgress() {
+    const totalCells = canvasWidth * canvasHeight;
+    let filledCells = 0;
+    
+    // Count how many cells have colors
+    legoGrid.forEach(row => {
+        row.forEach(cell => {
+            if (cell !== null) filledCells++;
+        });
+    });
+    
+    // Calculate percentage
+    const percentage = Math.round((filledCells / totalCells) * 100);
+    
+    // Update UI if progress elements exist
+    const progressFill = document.getElementById('progressFill');
+    const progressText = document.getElementById('progressText');
+    
+    if (progressFill) {
+        progressFill.style.width = percentage + '%';
+    }
+    if (progressText) {
+        progressText.textContent = percentage + '%';
+    }
+    
+    console.log(`Progress: ${percentage}% (${filledCells}/${totalCells} bricks)`);
+}
+
+// ================================
+// 4. TOOL FUNCTIONS
+// ================================
+
+/**
+ * Clears the entire canvas
+ */
+function clearCanvas() {
+    if (confirm('Are you sure you want to clear the canvas?')) {
+        beginHistoryStep('Clear canvas');
+        legoGrid.forEach((row, rowIndex) => {
+            row.forEach((color, colIndex) => setCell(rowIndex, colIndex, null));
+        });
+        if (commitHistoryStep()) onGridChanged();
+    }
+}
+
+/**
+ * Updates visual state of tool buttons
+ * Only the options of the current tool are shown
+ */
+function updateToolButtons() {
+    document.querySelectorAll('.tool-btn[data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === currentTool);
+    });
+    
+    document.querySelectorAll('.tool-option[data-tools]').forEach(option => {
+        option.hidden = !option.dataset.tools.split(' ').includes(currentTool);
+    });
+    
+    const canvas = document.getElementById('legoCanvas');
+    if (canvas) canvas.dataset.tool = currentTool;
+}
+
+/**
+ * Redraws canvas based on current legoGrid data
+ */
+function redrawCanvas() {
+    const totalCount = canvasWidth * canvasHeight;
+    console.log(`🖌️ Redrawing ${totalCount} bricks...`);
+    
+    let coloredCount = 0;
+    legoGrid.forEach(row => {
+        row.forEach(color => {
+            if (color) coloredCount++;
+        });
+    });
+    markAllDirty();
+    
+    console.log(`✅ Redrawn! ${coloredCount} colored bricks, ${totalCount - coloredCount} empty`);
+    onGridChanged();
+}
+
+// ================================
+// 4.1 DRAWING TOOLS
+// Brush, eraser, bucket fill, line, rectangle, ellipse, eyedropper & selection
+// ================================
+
+// Keyboard shortcuts for the tools
+const TOOL_SHORTCUTS = {
+    b: 'brush',
+    e: 'eraser',
+    g: 'fill',
+    l: 'line',
+    r: 'rect',
+    o: 'ellipse',
+    i: 'eyedropper',
+    m: 'select',
+    q: 'lasso'
+};
+
+// Names shown in the history panel
+const TOOL_LABELS = {
+    brush: 'Brush',
+    eraser: 'Eraser',
+    fill: 'Fill',
+    line: 'Line',
+    rect: 'Rectangle',
+    ellipse: 'Ellipse'
+};
+
+let toolDrag = null; // { pointerId, tool, startRow, startCol, lastRow, lastCol, changed, preview }
+let toolBeforeEyedropper = 'brush'; // Tool to go back to after picking a color
+
+/**
+ * Switches the active drawing tool
+ * Switching to a painting tool drops the selection.
+ * @param {string} tool - 'brush', 'eraser', 'fill', 'line', 'rect', 'ellipse', 'eyedropper', 'select' or 'lasso'
+ */
+function setTool(tool) {
+    if (tool === 'eyedropper' && currentTool !== 'eyedropper') {
+        toolBeforeEyedropper = currentTool;
+    }
+    if (!isSelectionTool(tool)) clearSelection();
+    currentTool = tool;
+    updateToolButtons();
+}
+
+/**
+ * Colors a list of cells in legoGrid and on the canvas
+ * Changes are recorded in the history step being built.
+ * @param {Array<Array<number>>} cells - [row, col] pairs
+ * @param {string|null} color - Hex color, or null to erase
+ * @returns {number} How many cells actually changed
+ */
+function setGridCells(cells, color) {
+    let changed = 0;
+    
+    cells.forEach(([row, col]) => {
+        if (setCell(row, col, color)) changed++;
+    });
+    
+    return changed;
+}
+
+/**
+ * Finds the grid cell under a point on screen
+ * Points outside the grid are clamped to the nearest edge cell.
+ * @param {number} clientX - Pointer X in viewport pixels
+ * @param {number} clientY - Pointer Y in viewport pixels
+ * @returns {object|null} { row, col, inside }, or null if there is no grid
+ */
+function getCellFromPoint(clientX, clientY) {
+    const canvas = document.getElementById('legoCanvas');
+    if (!canvas || legoGrid.length === 0) return null;
+    
+    const rect = canvas.getBoundingClientRect();
+    const col = Math.floor((clientX - rect.left - canvasView.offsetX) / canvasView.cellSize);
+    const row = Math.floor((clientY - rect.top - canvasView.offsetY) / canvasView.cellSize);
+    const inside = row >= 0 && row < canvasHeight && col >= 0 && col < canvasWidth;
+    
+    return {
+        row: Math.min(canvasHeight - 1, Math.max(0, row)),
+        col: Math.min(canvasWidth - 1, Math.max(0, col)),
+        inside
+    };
+}
+
+/**
+ * Cells on a straight line between two cells (Bresenham's algorithm)
+ * @param {number} row0 - Start row
+ * @param {number} col0 - Start column
+ * @param {number} row1 - End row
+ * @param {number} col1 - End column
+ * @returns {Array<Array<number>>} [row, col] pairs, start to end
+ */
+function getLineCells(row0, col0, row1, col1) {
+    const cells = [];
+    const deltaCol = Math.abs(col1 - col0);
+    const deltaRow = -Math.abs(row1 - row0);
+    const stepCol = col0 < col1 ? 1 : -1;
+    const stepRow = row0 < row1 ? 1 : -1;
+    let error = deltaCol + deltaRow;
+    let row = row0;
+    let col = col0;
+    
+    while (true) {
+        cells.push([row, col]);
+        if (row === row1 && col === col1) break;
+        
+        const doubled = 2 * error;
+        if (doubled >= deltaRow) {
+            error += deltaRow;
+            col += stepCol;
+        }
+        if (doubled <= deltaCol) {
+            error += deltaCol;
+            row += stepRow;
+        }
+    }
+    
+    return cells;
+}
+
+/**
+ * Cells of a rectangle spanned by two corner cells
+ * @param {number} row0 - Corner row
+ * @param {number} col0 - Corner column
+ * @param {number} row1 - Opposite corner row
+ * @param {number} col1 - Opposite corner column
+ * @param {boolean} filled - true = whole area, false = border only
+ * @returns {Array<Array<number>>} [row, col] pairs
+ */
+function getRectangleCells(row0, col0, row1, col1, filled) {
+    const top = Math.min(row0, row1);
+    const bottom = Math.max(row0, row1);
+    const left = Math.min(col0, col1);
+    const right = Math.max(col0, col1);
+    const cells = [];
+    
+    for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+            const onBorder = row === top || row === bottom || col === left || col === right;
+            if (filled || onBorder) cells.push([row, col]);
+        }
+    }
+    
+    return cells;
+}
+
+/**
+ * Cells of an ellipse that fits inside the rectangle spanned by two cells
+ * A cell belongs to the ellipse if its center is inside it; the outline is
+ * every such cell with a side neighbour outside the ellipse.
+ * @param {number} row0 - Corner row
+ * @param {number} col0 - Corner column
+ * @param {number} row1 - Opposite corner row
+ * @param {number} col1 - Opposite corner column
+ * @param {boolean} filled - true = whole area, false = outline only
+ * @returns {Array<Array<number>>} [row, col] pairs
+ */
+function getEllipseCells(row0, col0, row1, col1, filled) {
+    const top = Math.min(row0, row1);
+    const bottom = Math.max(row0, row1);
+    const left = Math.min(col0, col1);
+    const right = Math.max(col0, col1);
+    
+    const centerRow = (top + bottom + 1) / 2;
+    const centerCol = (left + right + 1) / 2;
+    const radiusRow = (bottom - top + 1) / 2;
+    const radiusCol = (right - left + 1) / 2;
+    
+    const isInside = (row, col) => {
+        const y = (row + 0.5 - centerRow) / radiusRow;
+        const x = (col + 0.5 - centerCol) / radiusCol;
+        return x * x + y * y <= 1;
+    };
+    
+    const cells = [];
+    for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+            if (!isInside(row, col)) continue;
+            
+            const onEdge = !isInside(row - 1, col) || !isInside(row + 1, col) ||
+                !isInside(row, col - 1) || !isInside(row, col + 1);
+            if (filled || onEdge) cells.push([row, col]);
+        }
+    }
+    
+    return cells;
+}
+
+/**
+ * Finds the connected area of same-colored cells around a cell
+ * Empty cells count as a color of their own.
+ * @param {Array<Array<string|null>>} grid - Grid of hex colors
+ * @param {number} startRow - Row of the clicked cell
+ * @param {number} startCol - Column of the clicked cell
+ * @param {number} connectivity - 4 (sides only) or 8 (sides and corners)
+ * @returns {Array<Array<number>>} [row, col] pairs
+ */
+function floodFillCells(grid, startRow, startCol, connectivity = 4) {
+    const height = grid.length;
+    const width = height > 0 ? grid[0].length : 0;
+    const target = grid[startRow][startCol];
+    const visited = new Uint8Array(width * height);
+    
+    const neighbours = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+    if (connectivity === 8) {
+        neighbours.push([-1, -1], [-1, 1], [1, -1], [1, 1]);
+    }
+    
+    const cells = [];
+    const stack = [[startRow, startCol]];
+    visited[startRow * width + startCol] = 1;
+    
+    while (stack.length > 0) {
+        const [row, col] = stack.pop();
+        cells.push([row, col]);
+        
+        neighbours.forEach(([rowStep, colStep]) => {
+            const nextRow = row + rowStep;
+            const nextCol = col + colStep;
+            if (nextRow < 0 || nextRow >= height || nextCol < 0 || nextCol >= width) return;
+            
+            const index = nextRow * width + nextCol;
+            if (visited[index] || grid[nextRow][nextCol] !== target) return;
+            
+            visited[index] = 1;
+            stack.push([nextRow, nextCol]);
+        });
+    }
+    
+    return cells;
+}
+
+/**
+ * Samples the reference image at the spot that becomes a grid cell
+ * Uses the current framing, so it matches what "Generate" would use.
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @returns {string|null} Closest palette color, or null if the cell shows no image
+ */
+function sampleReferenceColor(row, col) {
+    if (!referenceImageData) return null;
+    
+    const { width, height, data } = referenceImageData;
+    const view = getFramingViewRect(width, height, canvasWidth, canvasHeight, imageFraming);
+    const x = Math.floor(view.x + (col + 0.5) / canvasWidth * view.width);
+    const y = Math.floor(view.y + (row + 0.5) / canvasHeight * view.height);
+    
+    // Outside the image: letterbox bars have a color, fit bars stay empty
+    if (x < 0 || x >= width || y < 0 || y >= height) {
+        return imageFraming.mode === 'letterbox' ? imageFraming.background : null;
+    }
+    
+    const index = (y * width + x) * 4;
+    if (data[index + 3] < imageTransparency.alphaThreshold) return null;
+    
+    return findClosestLegoColor(data[index], data[index + 1], data[index + 2]);
+}
+
+/**
+ * Picks the color of a cell as the current color
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ */
+function pickColorAt(row, col) {
+    const color = toolOptions.eyedropperSource === 'reference'
+        ? sampleReferenceColor(row, col)
+        : legoGrid[row][col];
+    
+    if (!color) {
+        console.log('💧 Nothing to pick there');
+        return;
+    }
+    
+    selectColor(color);
+    setTool(toolBeforeEyedropper);
+    console.log(`💧 Picked ${findColorInfo(color).name}`);
+}
+
+/**
+ * Cells covered by a line/rectangle/ellipse being dragged
+ * @param {object} drag - toolDrag
+ * @param {number} row - Current row
+ * @param {number} col - Current column
+ * @returns {Array<Array<number>>} [row, col] pairs
+ */
+function getShapeCells(drag, row, col) {
+    if (drag.tool === 'line') {
+        return getLineCells(drag.startRow, drag.startCol, row, col);
+    }
+    if (drag.tool === 'rect') {
+        return getRectangleCells(drag.startRow, drag.startCol, row, col, toolOptions.shapeFilled);
+    }
+    return getEllipseCells(drag.startRow, drag.startCol, row, col, toolOptions.shapeFilled);
+}
+
+/**
+ * Shows a shape on the canvas without changing legoGrid
+ * The previous preview is drawn back to the grid's colors first.
+ * @param {Array<Array<number>>} cells - [row, col] pairs
+ */
+function showShapePreview(cells) {
+    toolDrag.preview.forEach(([row, col]) => markCellDirty(row, col));
+    shapePreview.clear();
+    
+    cells.forEach(([row, col]) => {
+        shapePreview.set(row * canvasWidth + col, currentColor);
+        markCellDirty(row, col);
+    });
+    toolDrag.preview = cells;
+}
+
+/**
+ * Bucket fill from one cell (one undo step)
+ * @param {number} row - Row position
+ * @param {number} col - Column position
+ */
+function fillAt(row, col) {
+    if (legoGrid[row][col] === currentColor) return;
+    
+    beginHistoryStep('Fill');
+    const cells = floodFillCells(legoGrid, row, col, toolOptions.fillConnectivity);
+    setGridCells(cells, currentColor);
+    commitHistoryStep();
+    console.log(`🪣 Filled ${cells.length} bricks`);
+    onGridChanged();
+}
+
+/**
+ * Starts using the current tool on the grid
+ */
+function handleCanvasPointerDown(event) {
+    if (event.button !== 0 || toolDrag) return;
+    
+    const cell = getCellFromPoint(event.clientX, event.clientY);
+    if (!cell || !cell.inside) return;
+    event.preventDefault();
+    hideGridCursor();
+    
+    const { row, col } = cell;
+    
+    if (currentTool === 'eyedropper') {
+        pickColorAt(row, col);
+        return;
+    }
+    
+    if (currentTool === 'fill') {
+        fillAt(row, col);
+        return;
+    }
+    
+    startToolDrag(event.pointerId, row, col);
+    event.currentTarget.setPointerCapture(event.pointerId);
+}
+
+/**
+ * Starts a stroke, shape or selection at a cell
+ * Used by the pointer and by the keyboard cursor (pointerId KEYBOARD_POINTER).
+ * @param {number|string} pointerId - Pointer that moves it
+ * @param {number} row - Row position
+ * @param {number} col - Column position
+ */
+function startToolDrag(pointerId, row, col) {
+    if (isSelectionTool(currentTool)) {
+        startSelectionDrag(pointerId, row, col);
+        return;
+    }
+    
+    toolDrag = {
+        pointerId,
+        tool: currentTool,
+        startRow: row,
+        startCol: col,
+        lastRow: row,
+        lastCol: col,
+        changed: 0,
+        preview: []
+    };
+    
+    if (currentTool === 'brush' || currentTool === 'eraser') {
+        // The whole stroke is one undo step
+        beginHistoryStep(TOOL_LABELS[currentTool]);
+        const color = currentTool === 'eraser' ? null : currentColor;
+        toolDrag.changed += setGridCells([[row, col]], color);
+    } else {
+        showShapePreview(getShapeCells(toolDrag, row, col));
+    }
+}
+
+/**
+ * Continues a brush stroke or resizes the shape being drawn
+ */
+function handleCanvasPointerMove(event) {
+    if (!toolDrag || event.pointerId !== toolDrag.pointerId) return;
+    
+    const cell = getCellFromPoint(event.clientX, event.clientY);
+    if (cell) moveToolDrag(cell);
+}
+
+/**
+ * Moves the end of the stroke, shape or selection being made to a cell
+ * @param {object} cell - { row, col, inside } (may be outside the grid)
+ */
+function moveToolDrag(cell) {
+    if (cell.row === toolDrag.lastRow && cell.col === toolDrag.lastCol) return;
+    
+    if (isSelectionTool(toolDrag.tool)) {
+        updateSelectionDrag(cell.row, cell.col);
+    } else if (toolDrag.tool === 'brush' || toolDrag.tool === 'eraser') {
+        // Join to the last cell so fast strokes don't leave gaps
+        if (cell.inside) {
+            const color = toolDrag.tool === 'eraser' ? null : currentColor;
+            const cells = getLineCells(toolDrag.lastRow, toolDrag.lastCol, cell.row, cell.col);
+            toolDrag.changed += setGridCells(cells, color);
+        }
+    } else {
+        showShapePreview(getShapeCells(toolDrag, cell.row, cell.col));
+    }
+    
+    toolDrag.lastRow = cell.row;
+    toolDrag.lastCol = cell.col;
+}
+
+/**
+ * Finishes a brush stroke or places the shape being drawn
+ */
+function handleCanvasPointerUp(event) {
+    if (!toolDrag || event.pointerId !== toolDrag.pointerId) return;
+    
+    finishToolDrag(event.type === 'pointercancel');
+}
+
+/**
+ * Commits the stroke, shape, selection or move being made
+ * @param {boolean} cancelled - Drop it instead (e.g. a touch turned into a pinch)
+ */
+function finishToolDrag(cancelled) {
+    const drag = toolDrag;
+    
+    if (isSelectionTool(drag.tool)) {
+        finishSelectionDrag(drag, cancelled);
+        toolDrag = null;
+        return;
+    }
+    
+    if (drag.tool === 'brush' || drag.tool === 'eraser') {
+        commitHistoryStep(); // Dropped if the stroke changed nothing
+    } else {
+        const cells = drag.preview;
+        showShapePreview([]);
+        
+        // A cancelled pointer (e.g. a touch turned into a scroll) draws nothing
+        if (!cancelled) {
+            beginHistoryStep(TOOL_LABELS[drag.tool]);
+            drag.changed = setGridCells(cells, currentColor);
+            commitHistoryStep();
+        }
+    }
+    
+    toolDrag = null;
+    if (drag.changed > 0) onGridChanged();
+}
+
+/**
+ * Switches tools with single-key shortcuts (B, E, G, L, R, O, I, M, Q)
+ */
+function handleToolShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || isViewingShare) return;
+    if (event.target.closest('input, select, textarea, dialog')) return;
+    
+    const tool = TOOL_SHORTCUTS[event.key.toLowerCase()];
+    if (tool) {
+        setTool(tool);
+    }
+}
+
+// ================================
+// 4.2 UNDO / REDO HISTORY
+// Every step stores only the cells it changed
+// ================================
+
+const HISTORY_DEPTH_STORAGE_KEY = 'legoArtCreator.historyDepth';
+let historyDepth = 200; // Steps kept for undo (0 = unlimited)
+let pendingHistoryStep = null; // Step being recorded: { label, changes: Map }
+
+/**
+ * Starts recording a history step
+ * Every setCell() until commitHistoryStep() becomes part of this one step.
+ * @param {string} label - Name shown in the history panel, e.g. 'Fill'
+ */
+function beginHistoryStep(label) {
+    if (pendingHistoryStep) commitHistoryStep();
+    pendingHistoryStep = { label, changes: new Map() };
+}
+
+/**
+ * Colors one cell, in legoGrid and on the canvas
+ * If a history step is being recorded, the change is added to it.
+ * @param {number} row - Row position
+ * @param {number} col - Column position
+ * @param {string|null} color - Hex color, or null to erase
+ * @returns {boolean} true if the cell changed
+ */
+function setCell(row, col, color) {
+    const before = legoGrid[row][col];
+    if (before === color) return false;
+    
+    if (pendingHistoryStep) {
+        const key = row * canvasWidth + col;
+        const change = pendingHistoryStep.changes.get(key);
+        if (change) {
+            change[3] = color;
+        } else {
+            pendingHistoryStep.changes.set(key, [row, col, before, color]);
+        }
+    }
+    
+    legoGrid[row][col] = color;
+    markCellDirty(row, col);
+    return true;
+}
+
+/**
+ * Finishes the step started with beginHistoryStep()
+ * Steps that changed nothing (e.g. painting a brick its own color) are dropped.
+ * @returns {boolean} true if a step was added
+ */
+function commitHistoryStep() {
+    const step = pendingHistoryStep;
+    pendingHistoryStep = null;
+    if (!step) return false;
+    
+    // [row, col, before, after] - cells painted back to their old color don't count
+    const cells = Array.from(step.changes.values()).filter(change => change[2] !== change[3]);
+    if (cells.length === 0) return false;
+    
+    pushHistoryStep({ type: 'cells', label: step.label, cells });
+    return true;
+}
+
+/**
+ * Adds a finished step to the history
+ * Doing something new discards the steps that could have been redone.
+ * @param {object} step - { type: 'cells', label, cells } or { type: 'resize', label, before, after }
+ */
+function pushHistoryStep(step) {
+    undoStack.push(step);
+    redoStack = [];
+    trimHistory();
+    renderHistoryPanel();
+}
+
+/**
+ * Drops the oldest steps beyond historyDepth
+ */
+function trimHistory() {
+    if (historyDepth > 0 && undoStack.length > historyDepth) {
+        undoStack.splice(0, undoStack.length - historyDepth);
+    }
+}
+
+/**
+ * Forgets all history (e.g. when another project is opened)
+ */
+function clearHistory() {
+    pendingHistoryStep = null;
+    undoStack = [];
+    redoStack = [];
+    renderHistoryPanel();
+}
+
+/**
+ * Copies the canvas size and grid (used by resize steps)
+ * @returns {object} { width, height, plateSize, grid }
+ */
+function getCanvasSnapshot() {
+    return {
+        width: canvasWidth,
+        height: canvasHeight,
+        plateSize,
+        grid: legoGrid.map(row => [...row])
+    };
+}
+
+/**
+ * Restores a canvas size and grid
+ * @param {object} snapshot - From getCanvasSnapshot()
+ */
+function applyCanvasSnapshot(snapshot) {
+    canvasWidth = snapshot.width;
+    canvasHeight = snapshot.height;
+    plateSize = snapshot.plateSize;
+    legoGrid = snapshot.grid.map(row => [...row]);
+    clearSelection(); // It may not fit the new size
+    
+    fitCanvasToView();
+    redrawCanvas();
+    syncCanvasSizeControls();
+    renderFramingPreview(); // The crop follows the grid's aspect ratio
+}
+
+/**
+ * Applies a step's changes backwards (undo) or forwards (redo)
+ * @param {object} step - History step
+ * @param {boolean} forward - true = redo, false = undo
+ */
+function applyHistoryStep(step, forward) {
+    if (step.type === 'resize') {
+        applyCanvasSnapshot(forward ? step.after : step.before);
+        return;
+    }
+    
+    step.cells.forEach(([row, col, before, after]) => {
+        const color = forward ? after : before;
+        legoGrid[row][col] = color;
+        markCellDirty(row, col);
+    });
+}
+
+/**
+ * Undoes the last action
+ * @returns {boolean} true if something was undone
+ */
+function undo() {
+    if (pendingHistoryStep) commitHistoryStep();
+    
+    if (undoStack.length === 0) {
+        console.log('↩️ Nothing to undo');
+        return false;
+    }
+    
+    const step = undoStack.pop();
+    applyHistoryStep(step, false);
+    redoStack.push(step);
+    
+    onGridChanged();
+    renderHistoryPanel();
+    console.log(`↩️ Undid "${step.label}"`);
+    return true;
+}
+
+/**
+ * Redoes the last undone action
+ * @returns {boolean} true if something was redone
+ */
+function redo() {
+    if (redoStack.length === 0) {
+        console.log('↪️ Nothing to redo');
+        return false;
+    }
+    
+    const step = redoStack.pop();
+    applyHistoryStep(step, true);
+    undoStack.push(step);
+    
+    onGridChanged();
+    renderHistoryPanel();
+    console.log(`↪️ Redid "${step.label}"`);
+    return true;
+}
+
+/**
+ * Undoes or redoes until a given number of steps are applied
+ * @param {number} position - 0 = before the oldest kept step, undoStack.length = now
+ */
+function goToHistoryPosition(position) {
+    if (pendingHistoryStep) commitHistoryStep();
+    if (position === undoStack.length) return;
+    
+    while (undoStack.length > position) {
+        const step = undoStack.pop();
+        applyHistoryStep(step, false);
+        redoStack.push(step);
+    }
+    while (undoStack.length < position && redoStack.length > 0) {
+        const step = redoStack.pop();
+        applyHistoryStep(step, true);
+        undoStack.push(step);
+    }
+    
+    onGridChanged();
+    renderHistoryPanel();
+}
+
+/**
+ * Changes how many steps are kept
+ * @param {number} depth - Number of steps, or 0 for unlimited
+ */
+function setHistoryDepth(depth) {
+    historyDepth = Math.max(0, depth);
+    localStorage.setItem(HISTORY_DEPTH_STORAGE_KEY, String(historyDepth));
+    trimHistory();
+    renderHistoryPanel();
+}
+
+/**
+ * Loads the saved history depth
+ */
+function loadHistoryDepth() {
+    const saved = parseInt(localStorage.getItem(HISTORY_DEPTH_STORAGE_KEY));
+    if (Number.isInteger(saved) && saved >= 0) {
+        historyDepth = saved;
+    }
+}
+
+/**
+ * Short description of a step for the history panel
+ * @param {object} step - History step
+ * @returns {string} e.g. 'Brush (12 bricks)'
+ */
+function describeHistoryStep(step) {
+    if (step.type !== 'cells') return step.label;
+    return `${step.label} (${step.cells.length} ${step.cells.length === 1 ? 'brick' : 'bricks'})`;
+}
+
+/**
+ * Lists the history in the right sidebar
+ * Done steps come first; undone steps are dimmed and can be redone by clicking them.
+ */
+function renderHistoryPanel() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.disabled = undoStack.length === 0;
+    if (redoBtn) redoBtn.disabled = redoStack.length === 0;
+    
+    const list = document.getElementById('historyList');
+    if (!list) return;
+    list.innerHTML = '';
+    
+    // Position 0 = the state before the oldest kept step
+    const entries = [{ label: 'Start', position: 0 }];
+    undoStack.forEach((step, index) => {
+        entries.push({ label: describeHistoryStep(step), position: index + 1 });
+    });
+    for (let index = redoStack.length - 1; index >= 0; index--) {
+        entries.push({
+            label: describeHistoryStep(redoStack[index]),
+            position: undoStack.length + (redoStack.length - index)
+        });
+    }
+    
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'history-entry';
+        button.textContent = entry.label;
+        
+        if (entry.position === undoStack.length) {
+            button.classList.add('current');
+            button.setAttribute('aria-current', 'step');
+        } else if (entry.position > undoStack.length) {
+            button.classList.add('undone');
+        }
+        
+        button.addEventListener('click', () => goToHistoryPosition(entry.position));
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+    
+    // Keep the current step in view
+    const current = list.querySelector('.current');
+    if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Ctrl+Z = undo, Ctrl+Shift+Z / Ctrl+Y = redo (Cmd on macOS)
+ * Text fields keep their own undo.
+ */
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || isViewingShare) return;
+    if (event.target.closest('input[type="text"], input[type="number"], textarea')) return;
+    if (toolDrag) return; // Finish the stroke first
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+    }
+}
+
+// ================================
+// 4.3 SELECTION & CLIPBOARD
+// Rectangle & lasso selection, copy/cut/paste, move, flip & rotate
+// ================================
+
+const SELECTION_FORMAT = 'lego-art-selection';
+const SELECTION_FORMAT_VERSION = 1;
+const SELECTION_TOOLS = ['select', 'lasso'];
+
+let selection = null; // { top, left, width, height, mask } - mask[row * width + col] = 1 if selected
+let selectionClipboard = null; // Last clip copied on this page, for when the system clipboard can't be read
+
+/**
+ * Whether a tool selects instead of painting
+ * @param {string} tool - Tool name
+ * @returns {boolean}
+ */
+function isSelectionTool(tool) {
+    return SELECTION_TOOLS.includes(tool);
+}
+
+/**
+ * Whether a grid cell is part of a selection
+ * @param {object} sel - Selection
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @returns {boolean}
+ */
+function isCellSelected(sel, row, col) {
+    const maskRow = row - sel.top;
+    const maskCol = col - sel.left;
+    return maskRow >= 0 && maskRow < sel.height && maskCol >= 0 && maskCol < sel.width &&
+        sel.mask[maskRow * sel.width + maskCol] === 1;
+}
+
+/**
+ * Builds a selection from a mask placed on the grid
+ * The mask is trimmed to the grid and to the bounds of its selected cells.
+ * @param {number} top - Grid row of the mask's first row
+ * @param {number} left - Grid column of the mask's first column
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {Uint8Array} mask - 1 = selected, row by row
+ * @returns {object|null} Selection, or null if no cell on the grid is selected
+ */
+function createSelection(top, left, width, height, mask) {
+    let minRow = Infinity;
+    let minCol = Infinity;
+    let maxRow = -1;
+    let maxCol = -1;
+    
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const gridRow = top + row;
+            const gridCol = left + col;
+            if (!mask[row * width + col] || gridRow < 0 || gridRow >= canvasHeight ||
+                gridCol < 0 || gridCol >= canvasWidth) continue;
+            
+            minRow = Math.min(minRow, row);
+            minCol = Math.min(minCol, col);
+            maxRow = Math.max(maxRow, row);
+            maxCol = Math.max(maxCol, col);
+        }
+    }
+    if (maxRow === -1) return null;
+    
+    const trimmedWidth = maxCol - minCol + 1;
+    const trimmedHeight = maxRow - minRow + 1;
+    const trimmed = new Uint8Array(trimmedWidth * trimmedHeight);
+    for (let row = 0; row < trimmedHeight; row++) {
+        for (let col = 0; col < trimmedWidth; col++) {
+            trimmed[row * trimmedWidth + col] = mask[(row + minRow) * width + col + minCol] ? 1 : 0;
+        }
+    }
+    
+    return { top: top + minRow, left: left + minCol, width: trimmedWidth, height: trimmedHeight, mask: trimmed };
+}
+
+/**
+ * Selection of the rectangle spanned by two corner cells
+ * @param {number} row0 - Corner row
+ * @param {number} col0 - Corner column
+ * @param {number} row1 - Opposite corner row
+ * @param {number} col1 - Opposite corner column
+ * @returns {object|null} Selection
+ */
+function getRectangleSelection(row0, col0, row1, col1) {
+    const width = Math.abs(col1 - col0) + 1;
+    const height = Math.abs(row1 - row0) + 1;
+    return createSelection(Math.min(row0, row1), Math.min(col0, col1), width, height,
+        new Uint8Array(width * height).fill(1));
+}
+
+/**
+ * Selection inside a lasso path
+ * The path is closed back to its start. A cell is selected if the path goes
+ * through it or if it's inside the path (even-odd rule, one scanline per row).
+ * @param {Array<Array<number>>} points - [row, col] cells the pointer went through
+ * @returns {object|null} Selection
+ */
+function getLassoSelection(points) {
+    const rows = points.map(point => point[0]);
+    const cols = points.map(point => point[1]);
+    const top = Math.min(...rows);
+    const left = Math.min(...cols);
+    const width = Math.max(...cols) - left + 1;
+    const height = Math.max(...rows) - top + 1;
+    const mask = new Uint8Array(width * height);
+    
+    for (let row = top; row < top + height; row++) {
+        const crossings = [];
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [rowA, colA] = points[i];
+            const [rowB, colB] = points[j];
+            if ((rowA > row) !== (rowB > row)) {
+                crossings.push(colA + (row - rowA) * (colB - colA) / (rowB - rowA));
+            }
+        }
+        crossings.sort((a, b) => a - b);
+        
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            for (let col = Math.ceil(crossings[k]); col <= Math.floor(crossings[k + 1]); col++) {
+                mask[(row - top) * width + col - left] = 1;
+            }
+        }
+    }
+    
+    // The path's own cells, including the closing segment
+    points.forEach((point, index) => {
+        const next = points[(index + 1) % points.length];
+        getLineCells(point[0], point[1], next[0], next[1]).forEach(([row, col]) => {
+            mask[(row - top) * width + col - left] = 1;
+        });
+    });
+    
+    return createSelection(top, left, width, height, mask);
+}
+
+/**
+ * Queues the cells under a selection's outline for redrawing
+ * @param {object|null} sel - Selection
+ * @param {number} [rowOffset] - Rows it's shown moved by (while dragging)
+ * @param {number} [colOffset] - Columns it's shown moved by
+ */
+function markSelectionDirty(sel, rowOffset = 0, colOffset = 0) {
+    if (!sel) return;
+    markCellDirty(sel.top + rowOffset, sel.left + colOffset);
+    markCellDirty(sel.top + rowOffset + sel.height - 1, sel.left + colOffset + sel.width - 1);
+}
+
+/**
+ * Replaces the selection and updates the buttons that need one
+ * @param {object|null} sel - New selection, or null to deselect
+ */
+function setSelection(sel) {
+    markSelectionDirty(selection);
+    selection = sel;
+    markSelectionDirty(selection);
+    updateSelectionButtons();
+}
+
+/**
+ * Deselects everything
+ */
+function clearSelection() {
+    if (selection) setSelection(null);
+}
+
+/**
+ * Selects the whole grid (Ctrl+A)
+ */
+function selectAll() {
+    if (legoGrid.length === 0) return;
+    if (!isSelectionTool(currentTool)) setTool('select');
+    setSelection(getRectangleSelection(0, 0, canvasHeight - 1, canvasWidth - 1));
+}
+
+/**
+ * Enables the copy/cut/transform buttons only while something is selected
+ */
+function updateSelectionButtons() {
+    ['copySelectionBtn', 'cutSelectionBtn', 'flipHorizontalBtn', 'flipVerticalBtn', 'rotateSelectionBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = !selection;
+    });
+}
+
+/**
+ * Draws the outline of a selection (black with white dashes, visible on any color)
+ * @param {CanvasRenderingContext2D} ctx - Context scaled to screen pixels
+ * @param {object} sel - Selection
+ * @param {number} rowOffset - Rows to draw it moved by
+ * @param {number} colOffset - Columns to draw it moved by
+ */
+function drawSelectionOutline(ctx, sel, rowOffset, colOffset) {
+    const { cellSize, offsetX, offsetY } = canvasView;
+    const x = col => Math.round(offsetX + (sel.left + colOffset + col) * cellSize);
+    const y = row => Math.round(offsetY + (sel.top + rowOffset + row) * cellSize);
+    const selected = (row, col) => row >= 0 && row < sel.height && col >= 0 && col < sel.width &&
+        sel.mask[row * sel.width + col] === 1;
+    
+    // Every side of a selected cell that borders an unselected one
+    ctx.beginPath();
+    for (let row = 0; row < sel.height; row++) {
+        for (let col = 0; col < sel.width; col++) {
+            if (!selected(row, col)) continue;
+            if (!selected(row - 1, col)) {
+                ctx.moveTo(x(col), y(row));
+                ctx.lineTo(x(col + 1), y(row));
+            }
+            if (!selected(row + 1, col)) {
+                ctx.moveTo(x(col), y(row + 1));
+                ctx.lineTo(x(col + 1), y(row + 1));
+            }
+            if (!selected(row, col - 1)) {
+                ctx.moveTo(x(col), y(row));
+                ctx.lineTo(x(col), y(row + 1));
+            }
+            if (!selected(row, col + 1)) {
+                ctx.moveTo(x(col + 1), y(row));
+                ctx.lineTo(x(col + 1), y(row + 1));
+            }
+        }
+    }
+    
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = '#FFF';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * Copies the selected cells out of a grid
+ * @param {Array<Array<string|null>>} grid - Grid of hex colors
+ * @param {object} sel - Selection
+ * @returns {object} Clip: { width, height, cells, mask } - cells[row][col] is a hex color or null
+ */
+function getSelectionClip(grid, sel) {
+    const cells = [];
+    for (let row = 0; row < sel.height; row++) {
+        cells.push(grid[sel.top + row].slice(sel.left, sel.left + sel.width));
+    }
+    return { width: sel.width, height: sel.height, cells, mask: sel.mask.slice() };
+}
+
+/**
+ * Mirrors a clip
+ * @param {object} clip - Clip
+ * @param {boolean} horizontal - true = left/right, false = top/bottom
+ * @returns {object} New clip
+ */
+function flipClip(clip, horizontal) {
+    const { width, height } = clip;
+    const cells = [];
+    const mask = new Uint8Array(width * height);
+    
+    for (let row = 0; row < height; row++) {
+        const sourceRow = horizontal ? row : height - 1 - row;
+        cells.push([]);
+        for (let col = 0; col < width; col++) {
+            const sourceCol = horizontal ? width - 1 - col : col;
+            cells[row].push(clip.cells[sourceRow][sourceCol]);
+            mask[row * width + col] = clip.mask[sourceRow * width + sourceCol];
+        }
+    }
+    
+    return { width, height, cells, mask };
+}
+
+/**
+ * Turns a clip 90° clockwise
+ * @param {object} clip - Clip
+ * @returns {object} New clip (width and height swapped)
+ */
+function rotateClip(clip) {
+    const width = clip.height;
+    const height = clip.width;
+    const cells = [];
+    const mask = new Uint8Array(width * height);
+    
+    for (let row = 0; row < height; row++) {
+        cells.push([]);
+        for (let col = 0; col < width; col++) {
+            const sourceRow = clip.height - 1 - col;
+            cells[row].push(clip.cells[sourceRow][row]);
+            mask[row * width + col] = clip.mask[sourceRow * clip.width + row];
+        }
+    }
+    
+    return { width, height, cells, mask };
+}
+
+/**
+ * Moves a clip's position so it stays on the grid (as far as it fits)
+ * @param {object} clip - Clip
+ * @param {number} top - Wanted row of its top edge
+ * @param {number} left - Wanted column of its left edge
+ * @returns {object} { top, left }
+ */
+function clampClipPosition(clip, top, left) {
+    return {
+        top: Math.max(0, Math.min(top, canvasHeight - clip.height)),
+        left: Math.max(0, Math.min(left, canvasWidth - clip.width))
+    };
+}
+
+/**
+ * Calls back for every brick of a clip that lands on the grid
+ * Empty studs in a clip are see-through, so they're skipped.
+ * @param {object} clip - Clip
+ * @param {number} top - Grid row of its top edge
+ * @param {number} left - Grid column of its left edge
+ * @param {Function} callback - (row, col, color)
+ */
+function forEachClipBrick(clip, top, left, callback) {
+    for (let row = 0; row < clip.height; row++) {
+        for (let col = 0; col < clip.width; col++) {
+            const color = clip.cells[row][col];
+            const gridRow = top + row;
+            const gridCol = left + col;
+            if (!clip.mask[row * clip.width + col] || color === null ||
+                gridRow < 0 || gridRow >= canvasHeight || gridCol < 0 || gridCol >= canvasWidth) continue;
+            callback(gridRow, gridCol, color);
+        }
+    }
+}
+
+/**
+ * Calls back for every cell of a selection
+ * @param {object} sel - Selection
+ * @param {Function} callback - (row, col)
+ */
+function forEachSelectedCell(sel, callback) {
+    for (let row = 0; row < sel.height; row++) {
+        for (let col = 0; col < sel.width; col++) {
+            if (sel.mask[row * sel.width + col]) callback(sel.top + row, sel.left + col);
+        }
+    }
+}
+
+/**
+ * Erases the selected cells, as one undo step
+ * @param {string} label - Name for the history panel
+ */
+function eraseSelection(label) {
+    if (!selection) return;
+    
+    beginHistoryStep(label);
+    forEachSelectedCell(selection, (row, col) => setCell(row, col, null));
+    if (commitHistoryStep()) onGridChanged();
+}
+
+/**
+ * Swaps the selection's bricks for a transformed clip, as one undo step
+ * The bricks are erased where they were and painted at the new spot,
+ * and the selection follows them.
+ * @param {string} label - Name for the history panel
+ * @param {object} clip - Transformed copy of the selection
+ * @param {number} top - Wanted grid row of its top edge
+ * @param {number} left - Wanted grid column of its left edge
+ */
+function replaceSelection(label, clip, top, left) {
+    const position = clampClipPosition(clip, top, left);
+    
+    beginHistoryStep(label);
+    forEachSelectedCell(selection, (row, col) => setCell(row, col, null));
+    forEachClipBrick(clip, position.top, position.left, (row, col, color) => setCell(row, col, color));
+    const changed = commitHistoryStep();
+    
+    setSelection(createSelection(position.top, position.left, clip.width, clip.height, clip.mask));
+    if (changed) onGridChanged();
+}
+
+/**
+ * Moves the selected bricks
+ * @param {number} rowOffset - Rows down
+ * @param {number} colOffset - Columns right
+ */
+function moveSelection(rowOffset, colOffset) {
+    if (!selection) return;
+    replaceSelection('Move selection', getSelectionClip(legoGrid, selection),
+        selection.top + rowOffset, selection.left + colOffset);
+}
+
+/**
+ * Mirrors the selected bricks in place
+ * @param {boolean} horizontal - true = left/right, false = top/bottom
+ */
+function flipSelection(horizontal) {
+    if (!selection) return;
+    replaceSelection(horizontal ? 'Flip horizontal' : 'Flip vertical',
+        flipClip(getSelectionClip(legoGrid, selection), horizontal), selection.top, selection.left);
+}
+
+/**
+ * Turns the selected bricks 90° clockwise around the selection's center
+ */
+function rotateSelection() {
+    if (!selection) return;
+    
+    const clip = rotateClip(getSelectionClip(legoGrid, selection));
+    replaceSelection('Rotate',
+        clip,
+        selection.top + Math.floor((selection.height - clip.height) / 2),
+        selection.left + Math.floor((selection.width - clip.width) / 2));
+}
+
+/**
+ * Turns a clip into clipboard text
+ * Like project files, each color is stored once in a palette and cells refer
+ * to it by index: -1 = empty stud, null = not part of the selection.
+ * @param {object} clip - Clip
+ * @returns {string} JSON
+ */
+function clipToJson(clip) {
+    const palette = [];
+    const paletteIndex = {};
+    const cells = [];
+    
+    clip.cells.forEach((cellRow, row) => {
+        cellRow.forEach((color, col) => {
+            if (!clip.mask[row * clip.width + col]) {
+                cells.push(null);
+            } else if (color === null) {
+                cells.push(-1);
+            } else {
+                if (paletteIndex[color] === undefined) {
+                    paletteIndex[color] = palette.length;
+                    palette.push({ ...findColorInfo(color) });
+                }
+                cells.push(paletteIndex[color]);
+            }
+        });
+    });
+    
+    return JSON.stringify({
+        format: SELECTION_FORMAT,
+        version: SELECTION_FORMAT_VERSION,
+        width: clip.width,
+        height: clip.height,
+        palette,
+        cells
+    });
+}
+
+/**
+ * Reads a clip from clipboard text
+ * Throws an Error with a message meant for the user if it's a damaged selection
+ * @param {string} text - Clipboard text
+ * @returns {object|null} Clip, or null if the text isn't a copied selection
+ */
+function parseClipText(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+    if (!data || typeof data !== 'object' || data.format !== SELECTION_FORMAT) return null;
+    
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('The copied selection is damaged: it has no valid format version.');
+    }
+    if (data.version > SELECTION_FORMAT_VERSION) {
+        throw new Error(
+            `This selection was copied from a newer version of LEGO Art Creator (format v${data.version}) - please update the app.`
+        );
+    }
+    
+    const { width, height, palette, cells } = data;
+    if (!Number.isInteger(width) || !Number.isInteger(height) ||
+        width < 1 || height < 1 || width > MAX_GRID_SIZE || height > MAX_GRID_SIZE) {
+        throw new Error(`The copied selection is damaged: invalid size ${width} x ${height}.`);
+    }
+    if (!Array.isArray(palette)) {
+        throw new Error('The copied selection is damaged: the palette is missing.');
+    }
+    const colors = palette.map((color, index) => {
+        try {
+            return normalizePaletteColor(color).hex;
+        } catch (error) {
+            throw new Error(`The copied selection is damaged: color ${index + 1} ${error.message}.`);
+        }
+    });
+    if (!Array.isArray(cells) || cells.length !== width * height ||
+        cells.some(cell => cell !== null && (!Number.isInteger(cell) || cell < -1 || cell >= colors.length))) {
+        throw new Error('The copied selection is damaged: its cells don\'t match its size and palette.');
+    }
+    
+    const clip = { width, height, cells: [], mask: new Uint8Array(width * height) };
+    for (let row = 0; row < height; row++) {
+        clip.cells.push([]);
+        for (let col = 0; col < width; col++) {
+            const cell = cells[row * width + col];
+            clip.cells[row].push(cell === null || cell === -1 ? null : colors[cell]);
+            clip.mask[row * width + col] = cell === null ? 0 : 1;
+        }
+    }
+    
+    return clip;
+}
+
+/**
+ * Remembers the selection as the last copied clip
+ * @returns {string} The clip as clipboard text
+ */
+function storeSelectionClip() {
+    selectionClipboard = getSelectionClip(legoGrid, selection);
+    console.log(`📋 Copied ${selection.width}x${selection.height} selection`);
+    return clipToJson(selectionClipboard);
+}
+
+/**
+ * Copy/Cut buttons: copies the selection to the system clipboard
+ * It's plain JSON text, so it can be pasted into another project or tab.
+ * @param {boolean} cut - Also erase the selected bricks
+ */
+function copySelection(cut) {
+    if (!selection) return;
+    
+    const text = storeSelectionClip();
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).catch(error => {
+            console.warn('⚠️ Could not write to the clipboard, the copy only works on this page:', error);
+        });
+    }
+    if (cut) eraseSelection('Cut');
+}
+
+/**
+ * Paste button: pastes from the system clipboard
+ * Falls back to the last selection copied on this page if the clipboard can't be read.
+ */
+async function pasteFromClipboard() {
+    let text = '';
+    try {
+        if (navigator.clipboard && navigator.clipboard.readText) {
+            text = await navigator.clipboard.readText();
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not read the clipboard:', error);
+    }
+    pasteClipboardText(text);
+}
+
+/**
+ * Pastes clipboard text, or the last selection copied here if the text isn't one
+ * @param {string} text - Clipboard text
+ */
+function pasteClipboardText(text) {
+    let clip;
+    try {
+        clip = parseClipText(text) || selectionClipboard;
+    } catch (error) {
+        alert(`Could not paste: ${error.message}`);
+        return;
+    }
+    
+    if (!clip) {
+        console.log('📋 Nothing to paste');
+        return;
+    }
+    pasteClip(clip);
+}
+
+/**
+ * Paints a clip onto the grid, as one undo step, and selects it so it can be dragged into place
+ * It lands on the current selection, or the top-left corner of the view.
+ * @param {object} clip - Clip
+ */
+function pasteClip(clip) {
+    if (legoGrid.length === 0) return;
+    
+    const top = selection ? selection.top : Math.max(0, Math.floor(-canvasView.offsetY / canvasView.cellSize));
+    const left = selection ? selection.left : Math.max(0, Math.floor(-canvasView.offsetX / canvasView.cellSize));
+    const position = clampClipPosition(clip, top, left);
+    
+    beginHistoryStep('Paste');
+    forEachClipBrick(clip, position.top, position.left, (row, col, color) => setCell(row, col, color));
+    const changed = commitHistoryStep();
+    
+    if (!isSelectionTool(currentTool)) setTool('select');
+    setSelection(createSelection(position.top, position.left, clip.width, clip.height, clip.mask));
+    if (changed) onGridChanged();
+    console.log(`📋 Pasted ${clip.width}x${clip.height} selection`);
+}
+
+/**
+ * Starts selecting, or moving the selection if the drag starts inside it
+ * @param {number|string} pointerId - Pointer that drags (see startToolDrag)
+ * @param {number} row - Grid row under the pointer
+ * @param {number} col - Grid column under the pointer
+ */
+function startSelectionDrag(pointerId, row, col) {
+    const moving = selection !== null && isCellSelected(selection, row, col);
+    
+    toolDrag = {
+        pointerId,
+        tool: currentTool,
+        startRow: row,
+        startCol: col,
+        lastRow: row,
+        lastCol: col,
+        changed: 0,
+        preview: [],
+        mode: moving ? 'move' : 'select',
+        points: [[row, col]],
+        clip: moving ? getSelectionClip(legoGrid, selection) : null,
+        rowOffset: 0,
+        colOffset: 0
+    };
+    
+    // A click outside the selection (without dragging) deselects
+    if (!moving) clearSelection();
+}
+
+/**
+ * Grows the selection, or shows the selected bricks at the pointer
+ * @param {number} row - Grid row under the pointer
+ * @param {number} col - Grid column under the pointer
+ */
+function updateSelectionDrag(row, col) {
+    const drag = toolDrag;
+    
+    if (drag.mode === 'select') {
+        if (drag.tool === 'lasso') {
+            drag.points.push([row, col]);
+            setSelection(getLassoSelection(drag.points));
+        } else {
+            setSelection(getRectangleSelection(drag.startRow, drag.startCol, row, col));
+        }
+        return;
+    }
+    if (!selection) return;
+    
+    const position = clampClipPosition(drag.clip,
+        selection.top + row - drag.startRow, selection.left + col - drag.startCol);
+    markSelectionDirty(selection, drag.rowOffset, drag.colOffset);
+    drag.rowOffset = position.top - selection.top;
+    drag.colOffset = position.left - selection.left;
+    markSelectionDirty(selection, drag.rowOffset, drag.colOffset);
+    showMovePreview(drag.clip, position.top, position.left);
+}
+
+/**
+ * Shows the selected bricks at a new spot without changing legoGrid
+ * The spot they come from shows as empty.
+ * @param {object} clip - The selection's bricks
+ * @param {number} top - Grid row of its top edge
+ * @param {number} left - Grid column of its left edge
+ */
+function showMovePreview(clip, top, left) {
+    toolDrag.preview.forEach(([row, col]) => markCellDirty(row, col));
+    shapePreview.clear();
+    
+    const cells = [];
+    forEachSelectedCell(selection, (row, col) => {
+        shapePreview.set(row * canvasWidth + col, null);
+        cells.push([row, col]);
+    });
+    forEachClipBrick(clip, top, left, (row, col, color) => {
+        shapePreview.set(row * canvasWidth + col, color);
+        cells.push([row, col]);
+    });
+    
+    cells.forEach(([row, col]) => markCellDirty(row, col));
+    toolDrag.preview = cells;
+}
+
+/**
+ * Finishes selecting, or drops the dragged bricks (one undo step)
+ * @param {object} drag - toolDrag
+ * @param {boolean} cancelled - The pointer was cancelled, e.g. by a pinch
+ */
+function finishSelectionDrag(drag, cancelled) {
+    if (drag.mode === 'select') {
+        if (cancelled) clearSelection();
+        return;
+    }
+    
+    showShapePreview([]);
+    markSelectionDirty(selection, drag.rowOffset, drag.colOffset);
+    if (!cancelled && (drag.rowOffset !== 0 || drag.colOffset !== 0)) {
+        moveSelection(drag.rowOffset, drag.colOffset);
+    }
+}
+
+/**
+ * Copy, cut and paste events (Ctrl+C / Ctrl+X / Ctrl+V, or the browser's menu)
+ * These can use the system clipboard without asking for permission.
+ */
+function handleClipboardEvent(event) {
+    if (event.target.closest('input, select, textarea, dialog') || toolDrag || isViewingShare) return;
+    
+    if (event.type === 'paste') {
+        event.preventDefault();
+        pasteClipboardText(event.clipboardData ? event.clipboardData.getData('text/plain') : '');
+        return;
+    }
+    
+    if (!selection) return; // Nothing selected: let the browser copy page text
+    event.preventDefault();
+    const text = storeSelectionClip();
+    if (event.clipboardData) event.clipboardData.setData('text/plain', text);
+    if (event.type === 'cut') eraseSelection('Cut');
+}
+
+/**
+ * Ctrl+A = select all, Delete = erase the selection, Escape = deselect
+ */
+function handleSelectionShortcut(event) {
+    if (event.altKey || toolDrag || isViewingShare) return;
+    if (event.target.closest('input, select, textarea, dialog')) return;
+    
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'a') {
+        event.preventDefault();
+        selectAll();
+        return;
+    }
+    if (event.ctrlKey || event.metaKey || !selection) return;
+    
+    if (event.key === 'Escape') {
+        clearSelection();
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        eraseSelection('Delete selection');
+    }
+}
+
+// ================================
+// 4.4 COLORS IN USE
+// Highlight, replace and merge colors, or limit the design to a few
+// ================================
+
+const HIGHLIGHT_DIM_COLOR = 'rgba(0, 0, 0, 0.6)'; // Over every cell that isn't the highlighted color
+
+let highlightedColor = null; // Hex color whose cells stand out on the canvas, or null
+
+/**
+ * Lists the colors on the grid, most-used first
+ * Clicking a color highlights its cells.
+ */
+function updateColorUsePanel() {
+    const list = document.getElementById('colorUseList');
+    if (!list) return;
+    
+    const parts = buildPartsList(legoGrid, legoColors);
+    if (highlightedColor && !parts.some(part => part.hex === highlightedColor)) {
+        highlightColor(null);
+    }
+    
+    list.innerHTML = '';
+    parts.forEach(part => {
+        const item = document.createElement('li');
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'parts-row color-use-row';
+        button.dataset.hex = part.hex;
+        button.setAttribute('aria-pressed', String(part.hex === highlightedColor));
+        button.title = `Highlight the ${part.name} bricks`;
+        button.addEventListener('click', () => {
+            highlightColor(part.hex === highlightedColor ? null : part.hex);
+        });
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'parts-swatch';
+        swatch.style.backgroundColor = part.hex;
+        if (showSymbols) {
+            swatch.textContent = getColorSymbol(part.hex);
+            swatch.style.color = getContrastTextColor(part.hex);
+        }
+        
+        const name = document.createElement('span');
+        name.className = 'parts-name';
+        name.textContent = part.name;
+        
+        const count = document.createElement('span');
+        count.className = 'parts-count';
+        count.textContent = part.count;
+        
+        button.append(swatch, name, count);
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+    
+    if (parts.length === 0) {
+        list.textContent = 'No bricks placed yet.';
+    }
+}
+
+/**
+ * Makes the cells of one color stand out by dimming all others
+ * @param {string|null} hex - Color to highlight, or null for none
+ */
+function highlightColor(hex) {
+    highlightedColor = hex;
+    markAllDirty();
+    
+    document.querySelectorAll('.color-use-row').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.hex === hex));
+    });
+    
+    const replaceField = document.getElementById('colorReplace');
+    if (replaceField) replaceField.hidden = hex === null;
+    if (hex === null) return;
+    
+    const label = document.getElementById('replaceColorName');
+    if (label) label.textContent = findColorInfo(hex).name;
+    
+    // Any other palette color, or nothing
+    const select = document.getElementById('replaceColorSelect');
+    if (select) {
+        select.innerHTML = '';
+        const erase = document.createElement('option');
+        erase.value = '';
+        erase.textContent = 'Empty (erase)';
+        select.appendChild(erase);
+        
+        legoColors.filter(color => color.hex !== hex).forEach(color => {
+            const option = document.createElement('option');
+            option.value = color.hex;
+            option.textContent = color.name;
+            select.appendChild(option);
+        });
+    }
+}
+
+/**
+ * Dims every cell that isn't the highlighted color
+ * Drawn over the bricks in drawGridRegion.
+ */
+function drawColorHighlight(ctx, top, left, bottom, right) {
+    const { cellSize, offsetX, offsetY } = canvasView;
+    
+    ctx.save();
+    ctx.fillStyle = HIGHLIGHT_DIM_COLOR;
+    for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+            if (getDisplayColor(row, col) === highlightedColor) continue;
+            ctx.fillRect(offsetX + col * cellSize, offsetY + row * cellSize, cellSize, cellSize);
+        }
+    }
+    ctx.restore();
+}
+
+/**
+ * Finds every cell of one color
+ * @param {string} hex - Hex color
+ * @returns {Array<Array<number>>} [row, col] pairs
+ */
+function findColorCells(hex) {
+    const cells = [];
+    legoGrid.forEach((cellsInRow, row) => {
+        cellsInRow.forEach((color, col) => {
+            if (color === hex) cells.push([row, col]);
+        });
+    });
+    return cells;
+}
+
+/**
+ * Swaps one color for another across the whole grid (one undo step)
+ * @param {string} from - Hex color to replace
+ * @param {string|null} to - Hex color to use instead, or null to erase
+ */
+function replaceColor(from, to) {
+    if (from === to) return;
+    
+    const cells = findColorCells(from);
+    beginHistoryStep(`Replace ${findColorInfo(from).name}`);
+    setGridCells(cells, to);
+    commitHistoryStep();
+    console.log(`🎨 Replaced ${cells.length} ${findColorInfo(from).name} bricks with ${to ? findColorInfo(to).name : 'nothing'}`);
+    
+    // Keep following the same bricks
+    highlightColor(to);
+    onGridChanged();
+}
+
+/**
+ * Merges every color used on fewer than minCount cells into its
+ * closest remaining color (one undo step)
+ * @param {number} minCount - Colors used less often than this are merged
+ */
+function mergeRareColors(minCount) {
+    const merges = findRareColorMerges(legoGrid, minCount);
+    const merged = Object.keys(merges);
+    if (merged.length === 0) {
+        alert(`No color can be merged: none is used on fewer than ${minCount} bricks, or all of them are.`);
+        return;
+    }
+    
+    beginHistoryStep(`Merge ${merged.length} rare colors`);
+    merged.forEach(hex => {
+        setGridCells(findColorCells(hex), merges[hex]);
+    });
+    commitHistoryStep();
+    console.log(`🎨 Merged ${merged.length} colors used on fewer than ${minCount} bricks`);
+    onGridChanged();
+}
+
+/**
+ * Gets the image pixels generation would convert: framed, cut out and adjusted
+ * @param {HTMLImageElement} img - The reference image
+ * @returns {Uint8ClampedArray} RGBA values, one pixel per stud
+ */
+function getGenerationPixels(img) {
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = canvasWidth;
+    tempCanvas.height = canvasHeight;
+    const ctx = tempCanvas.getContext('2d');
+    drawFramedImage(ctx, img, canvasWidth, canvasHeight, imageFraming);
+    
+    const pixels = ctx.getImageData(0, 0, canvasWidth, canvasHeight).data;
+    const cutOut = applyTransparency(pixels, canvasWidth, canvasHeight, imageTransparency);
+    return adjustPixels(cutOut, canvasWidth, canvasHeight, imageAdjustments);
+}
+
+/**
+ * Turns the grid into pixels (empty cells are transparent)
+ * @returns {Uint8ClampedArray} RGBA values, one pixel per cell
+ */
+function getGridPixels() {
+    const pixels = new Uint8ClampedArray(canvasWidth * canvasHeight * 4);
+    legoGrid.forEach((cells, row) => {
+        cells.forEach((color, col) => {
+            if (color === null) return;
+            const rgb = hexToRgb(color);
+            pixels.set([rgb.r, rgb.g, rgb.b, 255], (row * canvasWidth + col) * 4);
+        });
+    });
+    return pixels;
+}
+
+/**
+ * Picks the best few palette colors and redoes the design with only those
+ * With a reference image the art is generated again from it; without
+ * one, the best of the colors on the grid are kept and the other bricks
+ * are matched to them. The palette itself is left as it is.
+ * @param {number} count - How many colors to keep
+ */
+function limitColors(count) {
+    if (isGenerating) {
+        alert('Please wait for the current generation to finish (or cancel it) first.');
+        return;
+    }
+    
+    const img = document.getElementById('referenceImage');
+    const hasImage = referenceImageData !== null && img && img.naturalWidth > 0;
+    
+    // Without an image, only thin out the colors already on the grid
+    const inUse = countColors(legoGrid);
+    const candidates = hasImage ? legoColorCache : legoColorCache.filter(entry => inUse[entry.hex]);
+    if (candidates.length <= count) {
+        alert(hasImage
+            ? `Only ${candidates.length} colors are enabled in the palette - there is nothing to limit.`
+            : `The design only uses ${candidates.length} of the enabled colors - there is nothing to limit.`);
+        return;
+    }
+    
+    const pixels = hasImage ? getGenerationPixels(img) : getGridPixels();
+    const picked = pickBestColors(pixels, candidates, count);
+    if (picked.length === 0) {
+        alert('There is nothing to pick colors from - upload an image or place some bricks first.');
+        return;
+    }
+    
+    const names = picked.map(hex => findColorInfo(hex).name).join(', ');
+    const action = hasImage ? 'Generate again' : 'Redo the design';
+    if (!confirm(`${action} with only these ${picked.length} colors?\n\n${names}\n\n` +
+        'The palette stays as it is.')) return;
+    
+    const pickedColors = legoColors.filter(color => picked.includes(color.hex));
+    console.log(`🎨 Limiting the design to ${picked.length} colors: ${names}`);
+    
+    if (hasImage) {
+        generateLegoArt(pickedColors);
+        return;
+    }
+    
+    const pickedCache = buildColorCache(pickedColors);
+    beginHistoryStep(`Limit to ${picked.length} colors`);
+    legoGrid.forEach((cells, row) => {
+        cells.forEach((color, col) => {
+            if (color === null || picked.includes(color)) return;
+            const rgb = hexToRgb(color);
+            setCell(row, col, findClosestLegoEntry(pickedCache, rgb.r, rgb.g, rgb.b, generationSettings.matchMetric).hex);
+        });
+    });
+    commitHistoryStep();
+    onGridChanged();
+}
+
+// ================================
+// 4.5 KEYBOARD & ACCESSIBILITY
+// Grid cursor, color keys, announcements and color symbols
+// ================================
+
+const KEYBOARD_POINTER = 'keyboard'; // toolDrag.pointerId of strokes made with the grid cursor
+const CURSOR_JUMP = 10; // Cells moved by Shift + arrow key
+const SYMBOLS_STORAGE_KEY = 'legoArtCreator.showSymbols';
+// One symbol per palette color, in palette order - no I/1 or O/0 to mix up
+const COLOR_SYMBOLS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789abdefghkmnqrty';
+const SYMBOL_MIN_CELL_SIZE = 10; // Smaller studs are too small to read
+
+let gridCursor = { row: 0, col: 0, visible: false }; // Keyboard cursor on the grid
+let showSymbols = false; // Print each color's symbol on its bricks
+
+/**
+ * Gets the symbol of a color (its place in the palette)
+ * @param {string} hex - Hex color
+ * @returns {string} e.g. 'A', or '?' for a color that isn't in the palette
+ */
+function getColorSymbol(hex) {
+    const index = legoColors.findIndex(color => color.hex === hex);
+    if (index === -1) return '?';
+    return index < COLOR_SYMBOLS.length ? COLOR_SYMBOLS[index] : String(index + 1);
+}
+
+/**
+ * Describes a cell's color for screen readers
+ * @param {string|null} hex - Hex color, or null
+ * @returns {string} e.g. 'Dark Green, symbol F' or 'empty'
+ */
+function describeColor(hex) {
+    if (!hex) return 'empty';
+    const name = findColorInfo(hex).name;
+    return showSymbols ? `${name}, symbol ${getColorSymbol(hex)}` : name;
+}
+
+/**
+ * Reads a message out in screen readers (through an aria-live region)
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+    const status = document.getElementById('gridStatus');
+    if (status) status.textContent = message;
+}
+
+/**
+ * Announces the cell under the grid cursor
+ */
+function announceCursorCell() {
+    const { row, col } = gridCursor;
+    announce(`Row ${row + 1}, column ${col + 1}: ${describeColor(getDisplayColor(row, col))}`);
+}
+
+/**
+ * Shows the grid cursor (the canvas got keyboard focus)
+ */
+function showGridCursor() {
+    if (legoGrid.length === 0) return;
+    
+    gridCursor.row = Math.min(gridCursor.row, canvasHeight - 1);
+    gridCursor.col = Math.min(gridCursor.col, canvasWidth - 1);
+    gridCursor.visible = true;
+    markCellDirty(gridCursor.row, gridCursor.col);
+    announceCursorCell();
+}
+
+/**
+ * Hides the grid cursor (the pointer is used, or focus moved on)
+ */
+function hideGridCursor() {
+    if (!gridCursor.visible) return;
+    
+    gridCursor.visible = false;
+    if (gridCursor.row < canvasHeight && gridCursor.col < canvasWidth) {
+        markCellDirty(gridCursor.row, gridCursor.col);
+    }
+}
+
+/**
+ * Moves the grid cursor, scrolling it into view if needed
+ * A line, shape or selection started with Enter follows it.
+ * @param {number} row - New row (clamped to the grid)
+ * @param {number} col - New column (clamped to the grid)
+ */
+function moveGridCursor(row, col) {
+    markCellDirty(gridCursor.row, gridCursor.col);
+    gridCursor.row = Math.min(canvasHeight - 1, Math.max(0, row));
+    gridCursor.col = Math.min(canvasWidth - 1, Math.max(0, col));
+    gridCursor.visible = true;
+    markCellDirty(gridCursor.row, gridCursor.col);
+    
+    // Keep the cursor on screen when zoomed in
+    const canvas = document.getElementById('legoCanvas');
+    if (canvas) {
+        const { cellSize, offsetX, offsetY } = canvasView;
+        const x = offsetX + gridCursor.col * cellSize;
+        const y = offsetY + gridCursor.row * cellSize;
+        const deltaX = x < 0 ? -x : Math.min(0, canvas.clientWidth - (x + cellSize));
+        const deltaY = y < 0 ? -y : Math.min(0, canvas.clientHeight - (y + cellSize));
+        if (deltaX !== 0 || deltaY !== 0) panCanvasView(deltaX, deltaY);
+    }
+    
+    if (toolDrag && toolDrag.pointerId === KEYBOARD_POINTER) {
+        moveToolDrag({ row: gridCursor.row, col: gridCursor.col, inside: true });
+    }
+    announceCursorCell();
+}
+
+/**
+ * Enter/Space: uses the current tool at the grid cursor
+ * Brush, eraser, fill and pick act right away. Lines, shapes and
+ * selections take two presses: one for each end, moving in between;
+ * pressing inside a selection starts moving it.
+ */
+function useToolAtCursor() {
+    if (isViewingShare) {
+        announce('This shared design is read-only. Use Make a Copy to edit it.');
+        return;
+    }
+    
+    const { row, col } = gridCursor;
+    
+    // Second press: finish what the first one started
+    if (toolDrag) {
+        if (toolDrag.pointerId !== KEYBOARD_POINTER) return;
+        finishToolDrag(false);
+        announce(`Done. ${describeColor(legoGrid[row][col])} at row ${row + 1}, column ${col + 1}`);
+        return;
+    }
+    
+    if (currentTool === 'eyedropper') {
+        pickColorAt(row, col);
+        announce(`Color: ${describeColor(currentColor)}`);
+        return;
+    }
+    
+    if (currentTool === 'fill') {
+        fillAt(row, col);
+        announce(`Filled with ${describeColor(currentColor)}`);
+        return;
+    }
+    
+    startToolDrag(KEYBOARD_POINTER, row, col);
+    if (currentTool === 'brush' || currentTool === 'eraser') {
+        finishToolDrag(false);
+        announce(`Row ${row + 1}, column ${col + 1}: ${describeColor(legoGrid[row][col])}`);
+    } else {
+        announce('Start set. Move with the arrow keys, then press Enter to finish or Escape to cancel.');
+    }
+}
+
+/**
+ * Arrow keys move the grid cursor (Shift: 10 cells), Enter/Space use the
+ * current tool there, Escape cancels a line, shape or selection in progress
+ */
+function handleGridKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || legoGrid.length === 0) return;
+    
+    const moves = {
+        ArrowUp: [-1, 0],
+        ArrowDown: [1, 0],
+        ArrowLeft: [0, -1],
+        ArrowRight: [0, 1]
+    };
+    
+    if (moves[event.key]) {
+        event.preventDefault(); // Don't scroll the page
+        const step = event.shiftKey ? CURSOR_JUMP : 1;
+        const [rowStep, colStep] = moves[event.key];
+        moveGridCursor(gridCursor.row + rowStep * step, gridCursor.col + colStep * step);
+    } else if (event.key === 'Enter' || (event.key === ' ' && gridCursor.visible)) {
+        // Space without the cursor shown is Space + drag panning
+        event.preventDefault();
+        if (!gridCursor.visible) showGridCursor();
+        useToolAtCursor();
+    } else if (event.key === 'Escape' && toolDrag && toolDrag.pointerId === KEYBOARD_POINTER) {
+        event.stopPropagation(); // Keeps the selection shortcut from deselecting too
+        finishToolDrag(true);
+        announce('Cancelled');
+    }
+}
+
+/**
+ * Number keys pick palette colors: 1-9 = the first nine, 0 = the tenth
+ */
+function handleColorShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || isViewingShare) return;
+    if (!/^[0-9]$/.test(event.key) || event.target.closest('input, select, textarea, dialog')) return;
+    
+    const index = event.key === '0' ? 9 : parseInt(event.key) - 1;
+    const color = legoColors[index];
+    if (!color) return;
+    
+    selectColor(color.hex);
+    if (currentTool === 'eraser' || currentTool === 'eyedropper') setTool('brush');
+    announce(`${describeColor(color.hex)} selected`);
+}
+
+/**
+ * Draws the grid cursor: a thick black and white square inside its cell
+ */
+function drawGridCursor(ctx) {
+    const { cellSize, offsetX, offsetY } = canvasView;
+    const x = offsetX + gridCursor.col * cellSize;
+    const y = offsetY + gridCursor.row * cellSize;
+    const inset = Math.min(2, cellSize / 4);
+    
+    ctx.save();
+    ctx.lineWidth = Math.max(1, Math.min(3, cellSize / 6));
+    ctx.strokeStyle = '#000';
+    ctx.strokeRect(x + inset, y + inset, cellSize - inset * 2, cellSize - inset * 2);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#fff';
+    ctx.strokeRect(x + inset * 2, y + inset * 2, cellSize - inset * 4, cellSize - inset * 4);
+    ctx.restore();
+}
+
+/**
+ * Prints each brick's color symbol on it (when zoomed in far enough to read)
+ */
+function drawColorSymbols(ctx, top, left, bottom, right) {
+    const { cellSize, offsetX, offsetY } = canvasView;
+    if (cellSize < SYMBOL_MIN_CELL_SIZE) return;
+    
+    ctx.save();
+    ctx.font = `bold ${Math.round(cellSize * 0.55)}px 'Courier New', monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+            const color = getDisplayColor(row, col);
+            if (!color) continue;
+            
+            ctx.fillStyle = getContrastTextColor(color);
+            ctx.fillText(getColorSymbol(color),
+                offsetX + (col + 0.5) * cellSize, offsetY + (row + 0.5) * cellSize);
+        }
+    }
+    ctx.restore();
+}
+
+/**
+ * Turns the color symbols on or off (on the canvas and the swatches)
+ * @param {boolean} enabled - Show symbols
+ */
+function setShowSymbols(enabled) {
+    showSymbols = enabled;
+    localStorage.setItem(SYMBOLS_STORAGE_KEY, String(enabled));
+    
+    initializeColorPalette();
+    selectColor(currentColor);
+    updateColorUsePanel();
+    markAllDirty();
+}
+
+/**
+ * Restores the symbol setting from the last visit
+ */
+function loadSymbolSetting() {
+    showSymbols = localStorage.getItem(SYMBOLS_STORAGE_KEY) === 'true';
+}
+
+// ================================
+// 5. IMAGE UPLOAD & REFERENCE
+// ================================
+
+/**
+ * Handles reference image upload
+ */
+function handleImageUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    console.log('📂 Processing file:', file.name);
+    
+    const reader = new FileReader();
+    
+    reader.onload = function(e) {
+        resetImageFraming();
+        showReferenceImage(e.target.result);
+        console.log('✅ Image uploaded successfully!');
+    };
+    
+    reader.readAsDataURL(file);
+}
+
+/**
+ * Shows an image as the reference and enables generation
+ * @param {string} dataUrl - Image as a data: URL
+ */
+function showReferenceImage(dataUrl) {
+    const img = document.getElementById('referenceImage');
+    img.src = dataUrl;
+    img.classList.add('visible');
+    
+    // Hide upload placeholder and label
+    const placeholder = document.getElementById('uploadPlaceholder');
+    const uploadLabel = document.getElementById('uploadLabel');
+    if (placeholder) placeholder.style.display = 'none';
+    if (uploadLabel) uploadLabel.style.display = 'none';
+    
+    // Show generate and change image buttons
+    document.getElementById('generateBtn').style.display = 'block';
+    document.getElementById('changeImageBtn').style.display = 'block';
+    
+    // Store image data for color picking and auto-generation
+    loadImageData(img);
+}
+
+/**
+ * Removes the reference image and returns to the upload placeholder
+ */
+function clearReferenceImage() {
+    const img = document.getElementById('referenceImage');
+    img.removeAttribute('src');
+    img.classList.remove('visible');
+    referenceImageData = null;
+    renderFramingPreview();
+    
+    const placeholder = document.getElementById('uploadPlaceholder');
+    const uploadLabel = document.getElementById('uploadLabel');
+    if (placeholder) placeholder.style.display = '';
+    if (uploadLabel) uploadLabel.style.display = '';
+    
+    document.getElementById('generateBtn').style.display = 'none';
+    document.getElementById('changeImageBtn').style.display = 'none';
+}
+
+/**
+ * Returns the reference image as a data: URL, or null if there is none
+ * @returns {string|null}
+ */
+function getReferenceImageDataUrl() {
+    const img = document.getElementById('referenceImage');
+    const src = img ? img.getAttribute('src') : '';
+    return src && src.startsWith('data:image/') ? src : null;
+}
+
+/**
+ * Handles changing/replacing the reference image
+ */
+function changeImage() {
+    // Ask for confirmation if canvas has content
+    const hasContent = legoGrid.some(row => row.some(cell => cell !== null));
+    
+    if (hasContent) {
+        const confirmed = confirm(
+            '⚠️ Changing the image will not clear your current LEGO art. ' +
+            'Do you want to continue with a new reference image?'
+        );
+        if (!confirmed) return;
+    }
+    
+    // Reset the file input and trigger it
+    const fileInput = document.getElementById('imageUpload');
+    fileInput.value = ''; // Clear previous selection
+    fileInput.click(); // Open file picker
+    
+    console.log('🔄 Opening file picker to change image...');
+}
+
+/**
+ * Loads image data for color picking functionality
+ * @param {HTMLImageElement} img - The reference image
+ */
+function loadImageData(img) {
+    // Create hidden canvas to extract pixel data
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    
+    img.onload = function() {
+        canvas.width = img.width;
+        canvas.height = img.height;
+        ctx.drawImage(img, 0, 0);
+        referenceImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        renderFramingPreview();
+        
+        console.log('✅ Image loaded! Ready to generate LEGO art.');
+    };
+}
+
+// ================================
+// 5.1 IMAGE FRAMING (CROP, FIT & FOCUS)
+// Choose which part of the photo becomes the mosaic
+// ================================
+
+const FRAMING_MAX_ZOOM = 8;
+let framingDrag = null; // { pointerId, startX, startY, centerX, centerY, scale }
+
+/**
+ * Draws the framed part of an image onto a grid-sized canvas
+ * @param {CanvasRenderingContext2D} ctx - Context of a gridWidth x gridHeight canvas
+ * @param {HTMLImageElement} img - Source image
+ * @param {number} gridWidth - Grid width in studs
+ * @param {number} gridHeight - Grid height in studs
+ * @param {object} framing - imageFraming settings
+ */
+function drawFramedImage(ctx, img, gridWidth, gridHeight, framing) {
+    const imageWidth = img.naturalWidth || img.width;
+    const imageHeight = img.naturalHeight || img.height;
+    const view = getFramingViewRect(imageWidth, imageHeight, gridWidth, gridHeight, framing);
+    const scale = gridWidth / view.width;
+    
+    ctx.clearRect(0, 0, gridWidth, gridHeight);
+    
+    // Letterbox bars are a real color; 'fit' bars stay transparent (= empty cells)
+    if (framing.mode === 'letterbox') {
+        ctx.fillStyle = framing.background;
+        ctx.fillRect(0, 0, gridWidth, gridHeight);
+    }
+    
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(
+        img,
+        -view.x * scale,
+        -view.y * scale,
+        imageWidth * scale,
+        imageHeight * scale
+    );
+}
+
+/**
+ * Puts the framing back to "whole image, centered"
+ */
+function resetImageFraming() {
+    imageFraming.zoom = 1;
+    imageFraming.centerX = 0.5;
+    imageFraming.centerY = 0.5;
+    syncFramingControls();
+    renderFramingPreview();
+}
+
+/**
+ * Copies valid framing settings (e.g. from a project file)
+ * Missing or invalid values fall back to the defaults
+ * @param {object} framing - Saved framing settings
+ */
+function applyImageFraming(framing) {
+    const next = { ...DEFAULT_FRAMING };
+    
+    if (framing && typeof framing === 'object') {
+        const { mode, zoom, centerX, centerY, background } = framing;
+        if (['fill', 'fit', 'letterbox'].includes(mode)) next.mode = mode;
+        if (Number.isFinite(zoom)) next.zoom = Math.min(FRAMING_MAX_ZOOM, Math.max(1, zoom));
+        if (Number.isFinite(centerX)) next.centerX = Math.min(1, Math.max(0, centerX));
+        if (Number.isFinite(centerY)) next.centerY = Math.min(1, Math.max(0, centerY));
+        if (typeof background === 'string' && /^#[0-9A-F]{6}$/i.test(background)) {
+            next.background = background.toUpperCase();
+        }
+    }
+    
+    imageFraming = next;
+    syncFramingControls();
+    renderFramingPreview();
+}
+
+/**
+ * Lists the palette colors as letterbox bar colors
+ */
+function renderFramingBackgroundOptions() {
+    const backgroundSelect = document.getElementById('framingBackground');
+    if (!backgroundSelect) return;
+    
+    backgroundSelect.innerHTML = '';
+    legoColors.forEach(color => {
+        const option = document.createElement('option');
+        option.value = color.hex;
+        option.textContent = color.name;
+        backgroundSelect.appendChild(option);
+    });
+    
+    // Keep the bar color a palette color
+    if (!legoColors.some(color => color.hex === imageFraming.background) && legoColors.length > 0) {
+        imageFraming.background = legoColors[0].hex;
+    }
+    backgroundSelect.value = imageFraming.background;
+}
+
+/**
+ * Updates the framing controls to show imageFraming
+ */
+function syncFramingControls() {
+    const modeSelect = document.getElementById('framingMode');
+    const zoomInput = document.getElementById('framingZoom');
+    const backgroundSelect = document.getElementById('framingBackground');
+    
+    if (modeSelect) modeSelect.value = imageFraming.mode;
+    if (zoomInput) zoomInput.value = imageFraming.zoom;
+    if (backgroundSelect) {
+        backgroundSelect.value = imageFraming.background;
+        backgroundSelect.disabled = imageFraming.mode !== 'letterbox';
+    }
+}
+
+/**
+ * Draws the reference preview with the chosen frame on top
+ * Everything outside the frame is dimmed
+ */
+function renderFramingPreview() {
+    const canvas = document.getElementById('framingCanvas');
+    const img = document.getElementById('referenceImage');
+    const controls = document.getElementById('framingControls');
+    if (!canvas) return;
+    
+    const hasImage = referenceImageData !== null && img.naturalWidth > 0;
+    canvas.hidden = !hasImage;
+    if (controls) controls.hidden = !hasImage;
+    const overlayControls = document.getElementById('overlayControls');
+    if (overlayControls) overlayControls.hidden = !hasImage;
+    invalidateReferenceOverlay(); // The overlay follows the crop and the grid size
+    if (!hasImage) {
+        renderAdjustmentPreview();
+        return;
+    }
+    
+    // Match the canvas to its on-screen size for sharp drawing
+    const ratio = window.devicePixelRatio || 1;
+    const displayWidth = canvas.clientWidth;
+    const displayHeight = canvas.clientHeight;
+    canvas.width = Math.round(displayWidth * ratio);
+    canvas.height = Math.round(displayHeight * ratio);
+    
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = '#e5e5e5';
+    ctx.fillRect(0, 0, displayWidth, displayHeight);
+    
+    const imageWidth = img.naturalWidth;
+    const imageHeight = img.naturalHeight;
+    const view = getFramingViewRect(imageWidth, imageHeight, canvasWidth, canvasHeight, imageFraming);
+    
+    // Fit both the image and the frame into the preview
+    const left = Math.min(0, view.x);
+    const top = Math.min(0, view.y);
+    const right = Math.max(imageWidth, view.x + view.width);
+    const bottom = Math.max(imageHeight, view.y + view.height);
+    const padding = 8;
+    const scale = Math.min(
+        (displayWidth - padding * 2) / (right - left),
+        (displayHeight - padding * 2) / (bottom - top)
+    );
+    const offsetX = (displayWidth - (right - left) * scale) / 2 - left * scale;
+    const offsetY = (displayHeight - (bottom - top) * scale) / 2 - top * scale;
+    const toPreview = (x, y) => [offsetX + x * scale, offsetY + y * scale];
+    
+    const [frameX, frameY] = toPreview(view.x, view.y);
+    const frameWidth = view.width * scale;
+    const frameHeight = view.height * scale;
+    
+    // Letterbox bars show in their color
+    if (imageFraming.mode === 'letterbox') {
+        ctx.fillStyle = imageFraming.background;
+        ctx.fillRect(frameX, frameY, frameWidth, frameHeight);
+    }
+    
+    const [imageX, imageY] = toPreview(0, 0);
+    ctx.drawImage(img, imageX, imageY, imageWidth * scale, imageHeight * scale);
+    
+    // Dim everything outside the frame
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.beginPath();
+    ctx.rect(0, 0, displayWidth, displayHeight);
+    ctx.rect(frameX, frameY, frameWidth, frameHeight);
+    ctx.fill('evenodd');
+    
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(frameX, frameY, frameWidth, frameHeight);
+    
+    // Remember the scale so drags can be converted to image pixels
+    canvas.dataset.scale = scale;
+    
+    renderAdjustmentPreview();
+}
+
+/**
+ * Starts dragging the frame around the image
+ */
+function handleFramingPointerDown(event) {
+    const canvas = event.currentTarget;
+    framingDrag = {
+        pointerId: event.pointerId,
+        startX: event.clientX,
+        startY: event.clientY,
+        centerX: imageFraming.centerX,
+        centerY: imageFraming.centerY,
+        scale: parseFloat(canvas.dataset.scale) || 1
+    };
+    canvas.setPointerCapture(event.pointerId);
+}
+
+/**
+ * Moves the frame while dragging
+ */
+function handleFramingPointerMove(event) {
+    if (!framingDrag || event.pointerId !== framingDrag.pointerId) return;
+    
+    const img = document.getElementById('referenceImage');
+    const dx = (event.clientX - framingDrag.startX) / framingDrag.scale;
+    const dy = (event.clientY - framingDrag.startY) / framingDrag.scale;
+    
+    imageFraming.centerX = Math.min(1, Math.max(0, framingDrag.centerX + dx / img.naturalWidth));
+    imageFraming.centerY = Math.min(1, Math.max(0, framingDrag.centerY + dy / img.naturalHeight));
+    
+    // 'fill' keeps the crop inside the image - store the clamped position
+    // so the next drag doesn't start from a point outside it
+    if (imageFraming.mode === 'fill') {
+        const view = getFramingViewRect(img.naturalWidth, img.naturalHeight, canvasWidth, canvasHeight, imageFraming);
+        imageFraming.centerX = (view.x + view.width / 2) / img.naturalWidth;
+        imageFraming.centerY = (view.y + view.height / 2) / img.naturalHeight;
+    }
+    
+    renderFramingPreview();
+}
+
+/**
+ * Ends a frame drag
+ */
+function handleFramingPointerUp(event) {
+    if (framingDrag && event.pointerId === framingDrag.pointerId) {
+        framingDrag = null;
+    }
+}
+
+/**
+ * Zooms the frame with the mouse wheel
+ */
+function handleFramingWheel(event) {
+    event.preventDefault();
+    setFramingZoom(imageFraming.zoom * (event.deltaY < 0 ? 1.1 : 1 / 1.1));
+}
+
+/**
+ * Sets the frame zoom (1 = whole image / largest crop)
+ * @param {number} zoom - New zoom level
+ */
+function setFramingZoom(zoom) {
+    imageFraming.zoom = Math.min(FRAMING_MAX_ZOOM, Math.max(1, zoom));
+    syncFramingControls();
+    renderFramingPreview();
+}
+
+// ================================
+// 5.2 IMAGE ADJUSTMENTS
+// Brightness, contrast, color and sharpness before matching
+// ================================
+
+// Sliders of the adjustment panel
+const ADJUSTMENT_CONTROLS = [
+    { key: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1 },
+    { key: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1 },
+    { key: 'saturation', label: 'Saturation', min: -100, max: 100, step: 1 },
+    { key: 'gamma', label: 'Gamma', min: 0.2, max: 3, step: 0.05 },
+    { key: 'hue', label: 'Hue Shift', min: -180, max: 180, step: 1, unit: '°' },
+    { key: 'sharpen', label: 'Sharpen', min: 0, max: 200, step: 5, unit: '%' },
+    { key: 'sharpenRadius', label: 'Sharpen Radius', min: 1, max: 3, step: 1, unit: 'px' },
+    { key: 'posterize', label: 'Posterize', min: 0, max: 16, step: 1, format: value => value < 2 ? 'Off' : `${value} levels` }
+];
+
+const ADJUST_PREVIEW_SIZE = 240; // Longest side of the before/after preview, in pixels
+
+/**
+ * Loads the adjustments used last time
+ */
+function loadImageAdjustments() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ADJUSTMENTS_STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            applyImageAdjustments(saved);
+        }
+    } catch (error) {
+        console.error('❌ Could not read saved adjustments:', error);
+    }
+}
+
+/**
+ * Sets the adjustments, ignoring unknown keys and out-of-range values
+ * @param {object} adjustments - See DEFAULT_ADJUSTMENTS
+ */
+function applyImageAdjustments(adjustments) {
+    const next = { ...DEFAULT_ADJUSTMENTS };
+    
+    ADJUSTMENT_CONTROLS.forEach(control => {
+        const value = Number(adjustments[control.key]);
+        if (Number.isFinite(value)) {
+            next[control.key] = Math.min(control.max, Math.max(control.min, value));
+        }
+    });
+    
+    imageAdjustments = next;
+    localStorage.setItem(ADJUSTMENTS_STORAGE_KEY, JSON.stringify(imageAdjustments));
+    invalidateReferenceOverlay();
+}
+
+/**
+ * Puts all adjustments back to neutral
+ */
+function resetImageAdjustments() {
+    applyImageAdjustments(DEFAULT_ADJUSTMENTS);
+    syncAdjustmentControls();
+    renderAdjustmentPreview();
+}
+
+/**
+ * Creates one labelled slider per adjustment
+ */
+function renderAdjustmentControls() {
+    const container = document.getElementById('adjustControls');
+    if (!container) return;
+    container.innerHTML = '';
+    
+    ADJUSTMENT_CONTROLS.forEach(control => {
+        const label = document.createElement('label');
+        label.htmlFor = `adjust-${control.key}`;
+        label.className = 'adjust-label';
+        label.textContent = control.label;
+        
+        const value = document.createElement('span');
+        value.id = `adjust-${control.key}-value`;
+        value.className = 'adjust-value';
+        label.appendChild(value);
+        
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = `adjust-${control.key}`;
+        input.className = 'range-input';
+        input.min = control.min;
+        input.max = control.max;
+        input.step = control.step;
+        input.addEventListener('input', function(e) {
+            applyImageAdjustments({ ...imageAdjustments, [control.key]: parseFloat(e.target.value) });
+            syncAdjustmentControls();
+            renderAdjustmentPreview();
+        });
+        
+        container.append(label, input);
+    });
+    
+    syncAdjustmentControls();
+}
+
+/**
+ * Updates the sliders and their values to show imageAdjustments
+ */
+function syncAdjustmentControls() {
+    ADJUSTMENT_CONTROLS.forEach(control => {
+        const input = document.getElementById(`adjust-${control.key}`);
+        const value = document.getElementById(`adjust-${control.key}-value`);
+        const current = imageAdjustments[control.key];
+        
+        if (input) input.value = current;
+        if (value) {
+            value.textContent = control.format
+                ? control.format(current)
+                : `${current > 0 && control.min < 0 ? '+' : ''}${current}${control.unit || ''}`;
+        }
+    });
+}
+
+/**
+ * Applies the generation steps (cut out, adjust, fill the backdrop) to framed image pixels
+ * Same steps as runConversionJob, so previews show what gets generated.
+ * Generation works at one pixel per stud; at a larger scale the sharpen
+ * radius grows with it, so the unsharp mask looks the same.
+ * @param {Uint8ClampedArray} pixels - RGBA values of the framed image
+ * @param {number} width - Pixels per row
+ * @param {number} height - Number of rows
+ * @param {number} [pixelsPerStud] - Scale of the image compared to the grid
+ * @returns {Uint8ClampedArray} Processed copy
+ */
+function processReferencePixels(pixels, width, height, pixelsPerStud = 1) {
+    const cutOut = applyTransparency(pixels, width, height, imageTransparency);
+    const adjusted = adjustPixels(cutOut, width, height, {
+        ...imageAdjustments,
+        sharpenRadius: imageAdjustments.sharpenRadius * pixelsPerStud
+    });
+    
+    if (imageTransparency.fill) {
+        const fill = hexToRgb(imageTransparency.fill);
+        for (let i = 0; i < adjusted.length; i += 4) {
+            if (adjusted[i + 3] === 0) {
+                adjusted.set([fill.r, fill.g, fill.b, 255], i);
+            }
+        }
+    }
+    
+    return adjusted;
+}
+
+/**
+ * Draws the framed image before (left) and after (right) the adjustments
+ * and background removal. The split moves with the Compare slider;
+ * transparent parts show the checkerboard behind the canvas.
+ */
+function renderAdjustmentPreview() {
+    const panel = document.getElementById('adjustPanel');
+    const canvas = document.getElementById('adjustPreview');
+    const img = document.getElementById('referenceImage');
+    if (!panel || !canvas) return;
+    
+    const hasImage = referenceImageData !== null && img.naturalWidth > 0;
+    panel.hidden = !hasImage;
+    if (!hasImage || !panel.open) return;
+    
+    // Same shape as the grid, so the preview shows what gets generated
+    const scale = ADJUST_PREVIEW_SIZE / Math.max(canvasWidth, canvasHeight);
+    const width = Math.max(1, Math.round(canvasWidth * scale));
+    const height = Math.max(1, Math.round(canvasHeight * scale));
+    canvas.width = width;
+    canvas.height = height;
+    
+    const ctx = canvas.getContext('2d');
+    drawFramedImage(ctx, img, width, height, imageFraming);
+    const before = ctx.getImageData(0, 0, width, height);
+    
+    const after = new ImageData(processReferencePixels(before.data, width, height, scale), width, height);
+    
+    const compare = document.getElementById('adjustCompare');
+    const splitX = Math.round(width * (compare ? compare.value / 100 : 0.5));
+    ctx.putImageData(after, 0, 0, splitX, 0, width - splitX, height);
+    
+    // Divider between before and after
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(splitX - 1, 0, 2, height);
+}
+
+// ================================
+// 5.3 TRANSPARENCY & BACKGROUND
+// Empty cells for transparent pixels and cut-out subjects
+// ================================
+
+/**
+ * Copies valid transparency settings (e.g. from a project file)
+ * Anything missing or invalid gets its default.
+ * @param {object} transparency - Saved transparency settings
+ */
+function applyImageTransparency(transparency) {
+    const next = { ...DEFAULT_TRANSPARENCY };
+    
+    if (transparency && typeof transparency === 'object') {
+        const { alphaThreshold, fill, removal, tolerance, keyColor } = transparency;
+        if (Number.isInteger(alphaThreshold) && alphaThreshold >= 1 && alphaThreshold <= 255) {
+            next.alphaThreshold = alphaThreshold;
+        }
+        if (typeof fill === 'string' && /^#[0-9A-F]{6}$/i.test(fill)) next.fill = fill.toUpperCase();
+        if (['none', 'edges', 'chroma'].includes(removal)) next.removal = removal;
+        if (typeof tolerance === 'number') next.tolerance = Math.min(100, Math.max(0, tolerance));
+        if (typeof keyColor === 'string' && /^#[0-9A-F]{6}$/i.test(keyColor)) next.keyColor = keyColor.toUpperCase();
+    }
+    
+    imageTransparency = next;
+    renderTransparentFillOptions();
+    syncTransparencyControls();
+    renderAdjustmentPreview();
+    invalidateReferenceOverlay();
+}
+
+/**
+ * Lists "leave empty" and the palette colors as fills for transparent cells
+ */
+function renderTransparentFillOptions() {
+    const fillSelect = document.getElementById('transparentFill');
+    if (!fillSelect) return;
+    
+    fillSelect.innerHTML = '';
+    
+    const emptyOption = document.createElement('option');
+    emptyOption.value = '';
+    emptyOption.textContent = 'Leave empty';
+    fillSelect.appendChild(emptyOption);
+    
+    legoColors.forEach(color => {
+        const option = document.createElement('option');
+        option.value = color.hex;
+        option.textContent = color.name;
+        fillSelect.appendChild(option);
+    });
+    
+    // A fill that left the palette goes back to empty cells
+    if (imageTransparency.fill && !legoColors.some(color => color.hex === imageTransparency.fill)) {
+        imageTransparency.fill = null;
+    }
+    fillSelect.value = imageTransparency.fill || '';
+}
+
+/**
+ * Updates the transparency controls to show imageTransparency
+ */
+function syncTransparencyControls() {
+    const alphaThreshold = document.getElementById('alphaThreshold');
+    const alphaThresholdValue = document.getElementById('alphaThresholdValue');
+    const fillSelect = document.getElementById('transparentFill');
+    const removalSelect = document.getElementById('backgroundRemoval');
+    const tolerance = document.getElementById('backgroundTolerance');
+    const toleranceValue = document.getElementById('backgroundToleranceValue');
+    const keyColor = document.getElementById('chromaKeyColor');
+    
+    if (alphaThreshold) alphaThreshold.value = imageTransparency.alphaThreshold;
+    if (alphaThresholdValue) {
+        alphaThresholdValue.textContent = `${Math.round(imageTransparency.alphaThreshold / 255 * 100)}% opaque`;
+    }
+    if (fillSelect) fillSelect.value = imageTransparency.fill || '';
+    if (removalSelect) removalSelect.value = imageTransparency.removal;
+    if (tolerance) {
+        tolerance.value = imageTransparency.tolerance;
+        tolerance.disabled = imageTransparency.removal === 'none';
+    }
+    if (toleranceValue) toleranceValue.textContent = imageTransparency.tolerance + '%';
+    if (keyColor) {
+        keyColor.value = imageTransparency.keyColor;
+        keyColor.disabled = imageTransparency.removal !== 'chroma';
+    }
+}
+
+/**
+ * Changes one transparency setting and refreshes the preview
+ * @param {string} key - Key of imageTransparency
+ * @param {*} value - New value
+ */
+function setTransparencyOption(key, value) {
+    imageTransparency[key] = value;
+    syncTransparencyControls();
+    renderAdjustmentPreview();
+    invalidateReferenceOverlay();
+}
+
+// ================================
+// 5.4 REFERENCE OVERLAY & TRACING
+// The framed reference image drawn on the grid, and where the bricks differ from it
+// ================================
+
+const OVERLAY_STORAGE_KEY = 'legoArtCreator.referenceOverlay';
+const OVERLAY_PIXELS_PER_STUD = 8; // Detail of the overlay image...
+const OVERLAY_MAX_SIDE = 1024; // ...unless that would make it larger than this
+const DIFF_HIGHLIGHT_COLOR = '#FF00FF'; // Rarely a brick color, so it stands out
+
+let referenceOverlay = {
+    enabled: false, // Draw the image over the bricks
+    opacity: 50, // Percent
+    onionSkin: false, // Only show the image on empty studs
+    diff: false, // Highlight bricks that differ from the image
+    diffThreshold: 20 // Smallest CIEDE2000 difference that's highlighted
+};
+let overlayCache = null; // { width, height, image, pixelsPerStud, cellLabs, deltaColors, deltas } - built when first drawn
+
+/**
+ * Forgets the overlay image so it's rebuilt from the current image, crop and adjustments
+ */
+function invalidateReferenceOverlay() {
+    overlayCache = null;
+    if (referenceOverlay.enabled || referenceOverlay.diff) {
+        markAllDirty();
+        updateOverlayDiffCount();
+    }
+}
+
+/**
+ * Builds (or reuses) the overlay image and the image's color at every cell
+ * @returns {object|null} overlayCache, or null if there is no reference image
+ */
+function getReferenceOverlay() {
+    if (overlayCache && overlayCache.width === canvasWidth && overlayCache.height === canvasHeight) {
+        return overlayCache;
+    }
+    
+    const img = document.getElementById('referenceImage');
+    if (!referenceImageData || !img || img.naturalWidth === 0 || legoGrid.length === 0) return null;
+    
+    // The image at a few pixels per stud, for drawing
+    const pixelsPerStud = Math.max(1, Math.min(
+        OVERLAY_PIXELS_PER_STUD,
+        Math.floor(OVERLAY_MAX_SIDE / Math.max(canvasWidth, canvasHeight))
+    ));
+    const width = canvasWidth * pixelsPerStud;
+    const height = canvasHeight * pixelsPerStud;
+    const image = document.createElement('canvas');
+    image.width = width;
+    image.height = height;
+    
+    const ctx = image.getContext('2d');
+    drawFramedImage(ctx, img, width, height, imageFraming);
+    const framed = ctx.getImageData(0, 0, width, height);
+    ctx.putImageData(new ImageData(processReferencePixels(framed.data, width, height, pixelsPerStud), width, height), 0, 0);
+    
+    // The image at one pixel per stud, exactly what "Generate" matches
+    const cells = document.createElement('canvas');
+    cells.width = canvasWidth;
+    cells.height = canvasHeight;
+    const cellsCtx = cells.getContext('2d');
+    drawFramedImage(cellsCtx, img, canvasWidth, canvasHeight, imageFraming);
+    const cellPixels = processReferencePixels(
+        cellsCtx.getImageData(0, 0, canvasWidth, canvasHeight).data, canvasWidth, canvasHeight
+    );
+    
+    const cellLabs = [];
+    for (let i = 0; i < canvasWidth * canvasHeight; i++) {
+        const index = i * 4;
+        cellLabs.push(cellPixels[index + 3] === 0
+            ? null // Transparent: nothing to compare with
+            : rgbToLab(cellPixels[index], cellPixels[index + 1], cellPixels[index + 2]));
+    }
+    
+    overlayCache = {
+        width: canvasWidth,
+        height: canvasHeight,
+        image,
+        pixelsPerStud,
+        cellLabs,
+        deltaColors: new Array(cellLabs.length).fill(undefined), // Brick each delta was worked out for
+        deltas: new Float32Array(cellLabs.length)
+    };
+    return overlayCache;
+}
+
+/**
+ * How different a cell's brick is from the image under it
+ * Results are kept per cell until the brick changes.
+ * @param {object} overlay - From getReferenceOverlay()
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {string|null} color - Brick shown in the cell
+ * @returns {number} CIEDE2000 difference, or 0 for empty studs and transparent image parts
+ */
+function getCellDifference(overlay, row, col, color) {
+    const index = row * canvasWidth + col;
+    const imageLab = overlay.cellLabs[index];
+    if (color === null || !imageLab) return 0;
+    
+    if (overlay.deltaColors[index] !== color) {
+        const { r, g, b } = hexToRgb(color);
+        overlay.deltas[index] = deltaE2000(rgbToLab(r, g, b), imageLab);
+        overlay.deltaColors[index] = color;
+    }
+    return overlay.deltas[index];
+}
+
+/**
+ * Draws the reference image over a block of cells
+ * As an onion skin it only shows on empty studs, so placed bricks cover it.
+ * @param {CanvasRenderingContext2D} ctx - Context scaled to screen pixels
+ * @param {number} top - First row
+ * @param {number} left - First column
+ * @param {number} bottom - Last row
+ * @param {number} right - Last column
+ */
+function drawReferenceOverlay(ctx, top, left, bottom, right) {
+    const overlay = getReferenceOverlay();
+    if (!overlay) return;
+    
+    const { cellSize, offsetX, offsetY } = canvasView;
+    const pixelsPerStud = overlay.pixelsPerStud;
+    
+    ctx.save();
+    if (referenceOverlay.onionSkin) {
+        // Clip to the runs of empty studs in each row
+        ctx.beginPath();
+        for (let row = top; row <= bottom; row++) {
+            let runStart = -1;
+            for (let col = left; col <= right + 1; col++) {
+                const empty = col <= right && getDisplayColor(row, col) === null;
+                if (empty && runStart === -1) {
+                    runStart = col;
+                } else if (!empty && runStart !== -1) {
+                    ctx.rect(offsetX + runStart * cellSize, offsetY + row * cellSize,
+                        (col - runStart) * cellSize, cellSize);
+                    runStart = -1;
+                }
+            }
+        }
+        ctx.clip();
+    }
+    
+    ctx.globalAlpha = referenceOverlay.opacity / 100;
+    ctx.drawImage(
+        overlay.image,
+        left * pixelsPerStud, top * pixelsPerStud,
+        (right - left + 1) * pixelsPerStud, (bottom - top + 1) * pixelsPerStud,
+        offsetX + left * cellSize, offsetY + top * cellSize,
+        (right - left + 1) * cellSize, (bottom - top + 1) * cellSize
+    );
+    ctx.restore();
+}
+
+/**
+ * Marks the bricks in a block of cells that differ a lot from the image
+ * @param {CanvasRenderingContext2D} ctx - Context scaled to screen pixels
+ * @param {number} top - First row
+ * @param {number} left - First column
+ * @param {number} bottom - Last row
+ * @param {number} right - Last column
+ */
+function drawDifferenceHighlights(ctx, top, left, bottom, right) {
+    const overlay = getReferenceOverlay();
+    if (!overlay) return;
+    
+    const { cellSize, offsetX, offsetY } = canvasView;
+    const outline = cellSize >= GRID_MIN_CELL_SIZE; // Tiny cells are just tinted
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 0, 255, 0.35)';
+    ctx.strokeStyle = DIFF_HIGHLIGHT_COLOR;
+    ctx.lineWidth = 2;
+    
+    for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+            const difference = getCellDifference(overlay, row, col, getDisplayColor(row, col));
+            if (difference < referenceOverlay.diffThreshold) continue;
+            
+            const x = offsetX + col * cellSize;
+            const y = offsetY + row * cellSize;
+            ctx.fillRect(x, y, cellSize, cellSize);
+            if (outline) ctx.strokeRect(x + 1, y + 1, cellSize - 2, cellSize - 2);
+        }
+    }
+    ctx.restore();
+}
+
+/**
+ * Shows how many bricks differ from the image (while differences are highlighted)
+ */
+function updateOverlayDiffCount() {
+    const label = document.getElementById('overlayDiffCount');
+    if (!label) return;
+    
+    const overlay = referenceOverlay.diff ? getReferenceOverlay() : null;
+    if (!overlay) {
+        label.textContent = '';
+        return;
+    }
+    
+    let count = 0;
+    legoGrid.forEach((cells, row) => {
+        cells.forEach((color, col) => {
+            if (getCellDifference(overlay, row, col, color) >= referenceOverlay.diffThreshold) count++;
+        });
+    });
+    label.textContent = count === 0
+        ? 'Every brick matches the image'
+        : `${count} ${count === 1 ? 'brick differs' : 'bricks differ'} from the image`;
+}
+
+/**
+ * Changes one overlay setting, remembers it and redraws
+ * @param {string} key - Key of referenceOverlay
+ * @param {*} value - New value
+ */
+function setReferenceOverlayOption(key, value) {
+    referenceOverlay[key] = value;
+    localStorage.setItem(OVERLAY_STORAGE_KEY, JSON.stringify(referenceOverlay));
+    syncOverlayControls();
+    markAllDirty();
+    updateOverlayDiffCount();
+}
+
+/**
+ * Updates the overlay controls to show the current settings
+ */
+function syncOverlayControls() {
+    const enabled = document.getElementById('overlayEnabled');
+    const opacity = document.getElementById('overlayOpacity');
+    const opacityValue = document.getElementById('overlayOpacityValue');
+    const onionSkin = document.getElementById('overlayOnionSkin');
+    const diff = document.getElementById('overlayDiff');
+    const threshold = document.getElementById('overlayDiffThreshold');
+    const thresholdValue = document.getElementById('overlayDiffThresholdValue');
+    
+    if (enabled) enabled.checked = referenceOverlay.enabled;
+    if (opacity) {
+        opacity.value = referenceOverlay.opacity;
+        opacity.disabled = !referenceOverlay.enabled;
+    }
+    if (opacityValue) opacityValue.textContent = `${referenceOverlay.opacity}%`;
+    if (onionSkin) {
+        onionSkin.checked = referenceOverlay.onionSkin;
+        onionSkin.disabled = !referenceOverlay.enabled;
+    }
+    if (diff) diff.checked = referenceOverlay.diff;
+    if (threshold) {
+        threshold.value = referenceOverlay.diffThreshold;
+        threshold.disabled = !referenceOverlay.diff;
+    }
+    if (thresholdValue) thresholdValue.textContent = `ΔE ${referenceOverlay.diffThreshold}`;
+}
+
+/**
+ * Loads the overlay settings used last time
+ */
+function loadReferenceOverlay() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(OVERLAY_STORAGE_KEY));
+        if (!saved || typeof saved !== 'object') return;
+        
+        ['enabled', 'onionSkin', 'diff'].forEach(key => {
+            if (typeof saved[key] === 'boolean') referenceOverlay[key] = saved[key];
+        });
+        if (Number.isInteger(saved.opacity) && saved.opacity >= 5 && saved.opacity <= 100) {
+            referenceOverlay.opacity = saved.opacity;
+        }
+        if (Number.isInteger(saved.diffThreshold) && saved.diffThreshold >= 2 && saved.diffThreshold <= 60) {
+            referenceOverlay.diffThreshold = saved.diffThreshold;
+        }
+    } catch (error) {
+        console.error('❌ Could not read overlay settings:', error);
+    }
+}
+
+// ================================
+// 6. AUTO-GENERATE LEGO ART
+// ================================
+
+/**
+ * Automatically generates LEGO art from the reference image
+ * This is the MAGIC function that converts your photo to LEGO!
+ * @param {Array<object>} [colors] - Colors to use instead of the enabled palette colors
+ */
+function generateLegoArt(colors = null) {
+    const img = document.getElementById('referenceImage');
+    
+    // One generation at a time - it can be cancelled instead
+    if (isGenerating) {
+        console.log('⏳ Already generating');
+        return;
+    }
+    
+    console.log('🎨 Generate button clicked!');
+    console.log('Image src:', img.src);
+    console.log('Image complete:', img.complete);
+    console.log('Image naturalWidth:', img.naturalWidth);
+    
+    // Check if image is loaded
+    if (!img.src || img.src === '') {
+        alert('Please upload an image first!');
+        return;
+    }
+    
+    if (legoColorCache.length === 0) {
+        alert('No colors are enabled for generation. Open "Manage Palette" and tick at least one color.');
+        return;
+    }
+    
+    // Disable button during generation
+    isGenerating = true;
+    const generateBtn = document.getElementById('generateBtn');
     generateBtn.disabled = true;
     generateBtn.textContent = '⚙️ Generating...';
     
-    // Give visual feedback
-    console.log('🎨 Starting LEGO art generation...');
+    const cancelBtn = document.getElementById('cancelGenerateBtn');
+    if (cancelBtn) cancelBtn.hidden = false;
+    
+    // Give visual feedback
+    console.log('🎨 Starting LEGO art generation...');
+    
+    // Wait for image to be fully loaded
+    if (img.complete && img.naturalWidth > 0) {
+        console.log('✅ Image already loaded, processing now...');
+        processImageToLego(img, colors);
+    } else {
+        console.log('⏳ Waiting for image to load...');
+        img.onload = function() {
+            console.log('✅ Image loaded via onload event');
+            processImageToLego(img, colors);
+        };
+        // Add error handler
+        img.onerror = function() {
+            console.error('❌ Error loading image');
+            alert('Error loading image. Please try again.');
+            finishGeneration();
+        };
+    }
+}
+
+/**
+ * Processes the image and converts it to LEGO bricks
+ * The framed image is scaled down here; matching runs in the conversion worker.
+ * @param {HTMLImageElement} img - The reference image
+ * @param {Array<object>} [colors] - Colors to use instead of the enabled palette colors
+ */
+function processImageToLego(img, colors = null) {
+    console.log('🔧 processImageToLego called');
+    console.log('Image dimensions:', img.width, 'x', img.height);
+    console.log('Canvas size:', canvasWidth, 'x', canvasHeight);
+    console.log('Color matching:', generationSettings.matchMetric);
+    
+    // Create a temporary canvas to analyze the image
+    const tempCanvas = document.createElement('canvas');
+    const ctx = tempCanvas.getContext('2d');
+    
+    // Resize image to match our LEGO grid size
+    tempCanvas.width = canvasWidth;
+    tempCanvas.height = canvasHeight;
+    
+    console.log('Temp canvas created:', tempCanvas.width, 'x', tempCanvas.height);
+    
+    // Draw the framed part of the image scaled down to grid size
+    // This automatically "pixelates" the image!
+    let imageData;
+    try {
+        drawFramedImage(ctx, img, canvasWidth, canvasHeight, imageFraming);
+        imageData = ctx.getImageData(0, 0, canvasWidth, canvasHeight);
+        console.log('✅ Image drawn to temp canvas');
+    } catch (error) {
+        console.error('❌ Error drawing image:', error);
+        alert('Error processing image: ' + error.message);
+        finishGeneration();
+        return;
+    }
+    
+    console.log(`📊 Processing ${canvasWidth}x${canvasHeight} = ${canvasWidth * canvasHeight} bricks...`);
+    console.log(`Dithering: ${generationSettings.dither} (${generationSettings.ditherStrength}%)`);
+    
+    const job = {
+        pixels: imageData.data, // Array of RGBA values
+        width: canvasWidth,
+        height: canvasHeight,
+        settings: { ...generationSettings },
+        transparency: { ...imageTransparency },
+        adjustments: { ...imageAdjustments },
+        colors: colors || legoColors.filter(color => color.enabled),
+        inventory: generationSettings.useInventory ? { ...brickInventory } : null
+    };
+    const startedWith = { projectLoads: projectLoadCount, paletteChanges: paletteChangeCount };
+    
+    runConversion(job, setGenerateProgress)
+        .then(result => applyGeneratedGrid(job, result, startedWith))
+        .catch(error => {
+            if (error.name === 'AbortError') {
+                console.log('🛑 Generation cancelled');
+                return;
+            }
+            console.error('❌ Error generating LEGO art:', error);
+            alert('Error generating LEGO art: ' + error.message);
+        })
+        .finally(finishGeneration);
+}
+
+/**
+ * Puts a finished conversion on the canvas
+ * @param {object} job - The job given to runConversion
+ * @param {object} result - { grid, idealGrid } from runConversionJob
+ * @param {object} startedWith - { projectLoads, paletteChanges } when the job started
+ */
+function applyGeneratedGrid(job, result, startedWith) {
+    // Another project may have been opened while the worker was busy
+    if (startedWith.projectLoads !== projectLoadCount) {
+        alert('Another project was opened while generating, so the result was dropped.');
+        return;
+    }
+    if (startedWith.paletteChanges !== paletteChangeCount) {
+        alert('The palette changed while generating. Please generate again.');
+        return;
+    }
+    
+    // The canvas may have been resized while the worker was busy
+    if (job.width !== canvasWidth || job.height !== canvasHeight) {
+        alert('The canvas size changed while generating. Please generate again.');
+        return;
+    }
+    
+    // With a limited inventory, compare against the unlimited result
+    // to see what we're missing
+    const shortageReport = result.idealGrid
+        ? buildShortageReport(result.idealGrid, result.grid, job.inventory)
+        : null;
+    
+    // Update our grid data (one undo step for the whole generation)
+    beginHistoryStep('Generate');
+    let processedCount = 0;
+    for (let row = 0; row < canvasHeight; row++) {
+        for (let col = 0; col < canvasWidth; col++) {
+            setCell(row, col, result.grid[row][col]);
+            processedCount++;
+        }
+    }
+    commitHistoryStep();
+    
+    console.log(`✅ Processed ${processedCount} bricks`);
+    console.log('Sample colors from grid:', legoGrid[0].slice(0, 5));
+    
+    onGridChanged();
+    
+    console.log('✅ LEGO art generated successfully!');
+    
+    showShortageReport(shortageReport);
+    
+    if (shortageReport && shortageReport.shortages.length > 0) {
+        alert('🧱 Your LEGO art has been generated, but your inventory is short on some colors. ' +
+            'See the shortage report for details.');
+    } else {
+        alert('🎉 Your LEGO art has been generated! You can now manually adjust any bricks you want.');
+    }
+}
+
+/**
+ * Finds the closest LEGO color to a given RGB color
+ * Uses the metric chosen in the "Color matching" control
+ * 
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @param {string} [metric] - Distance metric (defaults to generationSettings.matchMetric)
+ * @param {object} [stock] - Optional hex -> pieces left; colors at 0 are skipped
+ * @returns {string|null} Hex color code of closest LEGO color (null if out of stock)
+ */
+function findClosestLegoColor(r, g, b, metric = generationSettings.matchMetric, stock = null) {
+    const entry = findClosestLegoEntry(legoColorCache, r, g, b, metric, stock);
+    return entry ? entry.hex : null;
+}
+
+// ================================
+// 6.1 COLOR SCIENCE
+// The conversions themselves live in lego-core.js
+// ================================
+
+let legoColorCache = []; // Enabled palette colors with their RGB and CIELAB values
+
+/**
+ * Pre-converts every enabled palette color to RGB and CIELAB
+ * Call again whenever legoColors changes
+ */
+function buildLegoColorCache() {
+    legoColorCache = buildColorCache(legoColors.filter(color => color.enabled));
+}
+
+// ================================
+// 6.2 BRICK INVENTORY
+// Generate only with the bricks we actually own
+// ================================
+
+/**
+ * Compares what the image wants with what the inventory allowed
+ * @param {Array<Array<string|null>>} idealGrid - Result with unlimited bricks
+ * @param {Array<Array<string|null>>} limitedGrid - Result within the inventory
+ * @param {object} inventory - Hex -> pieces owned
+ * @returns {object} { shortages: [{ hex, name, needed, owned, missing }], emptyCells, substitutedCells }
+ */
+function buildShortageReport(idealGrid, limitedGrid, inventory) {
+    const needed = countColors(idealGrid);
+    let emptyCells = 0;
+    let substitutedCells = 0;
+    
+    limitedGrid.forEach((row, r) => {
+        row.forEach((color, c) => {
+            if (color === null) emptyCells++;
+            else if (color !== idealGrid[r][c]) substitutedCells++;
+        });
+    });
+    
+    const shortages = [];
+    Object.keys(needed).forEach(hex => {
+        const want = needed[hex];
+        const owned = inventory[hex] || 0;
+        if (want > owned) {
+            shortages.push({ hex, name: findColorInfo(hex).name, needed: want, owned, missing: want - owned });
+        }
+    });
+    
+    // Biggest shortfall first
+    shortages.sort((a, b) => b.missing - a.missing);
+    
+    return { shortages, emptyCells, substitutedCells };
+}
+
+/**
+ * Shows (or hides) the shortage report below the inventory controls
+ * @param {object|null} report - Result of buildShortageReport, or null to hide
+ */
+function showShortageReport(report) {
+    const container = document.getElementById('shortageReport');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    container.hidden = !report;
+    if (!report) return;
+    
+    const title = document.createElement('strong');
+    container.appendChild(title);
+    
+    if (report.shortages.length === 0) {
+        title.textContent = '✅ Buildable with your bricks';
+        return;
+    }
+    
+    const totalMissing = report.shortages.reduce((sum, s) => sum + s.missing, 0);
+    title.textContent = `⚠️ Short by ${totalMissing} bricks`;
+    
+    const list = document.createElement('ul');
+    report.shortages.forEach(shortage => {
+        const item = document.createElement('li');
+        item.textContent = `${shortage.name}: need ${shortage.needed}, have ${shortage.owned} (−${shortage.missing})`;
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+    
+    const summary = document.createElement('p');
+    summary.textContent = `${report.substitutedCells} bricks swapped for the next-best color` +
+        (report.emptyCells > 0 ? `, ${report.emptyCells} left empty.` : '.');
+    container.appendChild(summary);
+}
+
+/**
+ * Loads saved inventory counts from localStorage
+ */
+function loadInventory() {
+    try {
+        const saved = localStorage.getItem(INVENTORY_STORAGE_KEY);
+        brickInventory = saved ? JSON.parse(saved) : {};
+    } catch (error) {
+        console.error('❌ Could not read saved inventory:', error);
+        brickInventory = {};
+    }
+}
+
+/**
+ * Saves inventory counts to localStorage
+ */
+function saveInventory() {
+    localStorage.setItem(INVENTORY_STORAGE_KEY, JSON.stringify(brickInventory));
+}
+
+/**
+ * Fills the inventory dialog with one count field per LEGO color
+ */
+function renderInventoryTable() {
+    const table = document.getElementById('inventoryTable');
+    if (!table) return;
+    
+    table.innerHTML = '';
+    legoColors.forEach(color => {
+        const row = document.createElement('label');
+        row.className = 'inventory-row';
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'inventory-swatch';
+        swatch.style.backgroundColor = color.hex;
+        
+        const name = document.createElement('span');
+        name.className = 'inventory-name';
+        name.textContent = color.name;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.className = 'inventory-count';
+        input.value = brickInventory[color.hex] || '';
+        input.placeholder = '0';
+        input.addEventListener('change', () => {
+            const count = parseInt(input.value);
+            if (count > 0) {
+                brickInventory[color.hex] = count;
+            } else {
+                delete brickInventory[color.hex];
+                input.value = '';
+            }
+            saveInventory();
+        });
+        
+        row.append(swatch, name, input);
+        table.appendChild(row);
+    });
+}
+
+/**
+ * Parses an inventory CSV ("color,count" per line)
+ * The color may be a LEGO color name or a hex code; a header row is skipped
+ * @param {string} text - CSV file contents
+ * @returns {object} { inventory: hex -> count, unknown: [color labels not recognised] }
+ */
+function parseInventoryCsv(text) {
+    const inventory = {};
+    const unknown = [];
+    
+    text.split(/\r?\n/).forEach(line => {
+        if (!line.trim()) return;
+        
+        const [label, countText] = line.split(/[,;\t]/).map(part => part.trim().replace(/^"|"$/g, ''));
+        const count = parseInt(countText);
+        if (isNaN(count)) return; // Header or comment line
+        
+        const color = findLegoColorByLabel(label);
+        if (!color) {
+            unknown.push(label);
+            return;
+        }
+        inventory[color.hex] = (inventory[color.hex] || 0) + Math.max(0, count);
+    });
+    
+    return { inventory, unknown };
+}
+
+/**
+ * Looks up a LEGO color by name (case-insensitive) or hex code
+ * Checks the active palette first, then the full catalog
+ * @param {string} label - e.g. 'Dark Bluish Gray' or '#6C6E68'
+ * @returns {object|undefined} The color entry
+ */
+function findLegoColorByLabel(label) {
+    const wanted = (label || '').toLowerCase();
+    const wantedHex = wanted.startsWith('#') ? wanted : '#' + wanted;
+    const matches = color =>
+        color.name.toLowerCase() === wanted || color.hex.toLowerCase() === wantedHex;
+    
+    return legoColors.find(matches) || LEGO_COLOR_CATALOG.find(matches);
+}
+
+/**
+ * Handles an inventory CSV picked in the inventory dialog
+ */
+function handleInventoryCsvUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const { inventory, unknown } = parseInventoryCsv(e.target.result);
+        
+        if (Object.keys(inventory).length === 0) {
+            alert('No inventory rows found. Expected lines like "Dark Bluish Gray,200".');
+            return;
+        }
+        
+        brickInventory = inventory;
+        saveInventory();
+        renderInventoryTable();
+        console.log('📦 Inventory imported:', inventory);
+        
+        if (unknown.length > 0) {
+            alert('Some colors were not recognised and were skipped:\n' + unknown.join('\n'));
+        }
+    };
+    reader.readAsText(file);
+    event.target.value = ''; // Allow importing the same file again
+}
+
+// ================================
+// 6.3 CONVERSION WORKER
+// Matching runs in conversion-worker.js so the page never freezes
+// ================================
+
+let conversionWorker = null; // Reused between generations
+let workerUnavailable = false; // e.g. pages opened from disk in some browsers
+let activeConversion = null; // { reject } while a job is running
+let isGenerating = false; // From Generate until finishGeneration, image loading included
+
+/**
+ * Gets (or starts) the conversion worker
+ * @returns {Worker|null} null if workers can't be used here
+ */
+function getConversionWorker() {
+    if (conversionWorker || workerUnavailable) return conversionWorker;
+    
+    try {
+        conversionWorker = new Worker('conversion-worker.js');
+    } catch (error) {
+        console.warn('⚠️ Conversion worker unavailable, converting on the main thread:', error.message);
+        workerUnavailable = true;
+    }
+    return conversionWorker;
+}
+
+/**
+ * Converts pixels to bricks, in the worker when possible
+ * @param {object} job - { pixels, width, height, settings, transparency, adjustments, colors, inventory }
+ * @param {function} onProgress - Called with the finished fraction (0-1)
+ * @returns {Promise<object>} { grid, idealGrid }; rejects with an AbortError when cancelled
+ */
+function runConversion(job, onProgress) {
+    // The worker answers jobs in order, so a second job would get the first one's result
+    if (activeConversion) {
+        return Promise.reject(new Error('A generation is already running.'));
+    }
+    
+    return new Promise((resolve, reject) => {
+        activeConversion = { reject };
+        
+        const worker = typeof Worker !== 'undefined' ? getConversionWorker() : null;
+        if (!worker) {
+            // Let the button label repaint before the main thread gets busy
+            setTimeout(() => {
+                try {
+                    resolve(runConversionJob(job, onProgress));
+                } catch (error) {
+                    reject(error);
+                }
+            }, 20);
+            return;
+        }
+        
+        worker.onmessage = function(event) {
+            const message = event.data;
+            if (message.type === 'progress') {
+                onProgress(message.progress);
+            } else if (message.type === 'done') {
+                resolve(message);
+            } else {
+                reject(new Error(message.message));
+            }
+        };
+        
+        // The worker script failed to load: convert here instead
+        worker.onerror = function(event) {
+            event.preventDefault();
+            console.warn('⚠️ Conversion worker failed, converting on the main thread:', event.message);
+            worker.terminate();
+            conversionWorker = null;
+            workerUnavailable = true;
+            try {
+                resolve(runConversionJob(job, onProgress));
+            } catch (error) {
+                reject(error);
+            }
+        };
+        
+        // Transfer a copy of the pixels (no second copy is made on the way);
+        // the original stays usable for the main-thread fallback
+        const pixels = job.pixels.slice();
+        worker.postMessage({ ...job, pixels }, [pixels.buffer]);
+    });
+}
+
+/**
+ * Stops the running generation
+ * The worker is stopped outright and started again next time.
+ */
+function cancelGeneration() {
+    if (!activeConversion) return;
+    
+    if (conversionWorker) {
+        conversionWorker.terminate();
+        conversionWorker = null;
+    }
+    
+    const error = new Error('Generation cancelled');
+    error.name = 'AbortError';
+    activeConversion.reject(error);
+    activeConversion = null;
+}
+
+/**
+ * Shows generation progress on the Generate button
+ * @param {number} fraction - 0-1
+ */
+function setGenerateProgress(fraction) {
+    const generateBtn = document.getElementById('generateBtn');
+    if (generateBtn) {
+        generateBtn.textContent = `⚙️ Generating... ${Math.round(fraction * 100)}%`;
+    }
+}
+
+/**
+ * Puts the Generate/Cancel buttons back after generation (whatever the outcome)
+ */
+function finishGeneration() {
+    activeConversion = null;
+    isGenerating = false;
+    
+    const generateBtn = document.getElementById('generateBtn');
+    if (generateBtn) {
+        generateBtn.disabled = false;
+        generateBtn.textContent = '✨ Generate LEGO Art';
+    }
+    
+    const cancelBtn = document.getElementById('cancelGenerateBtn');
+    if (cancelBtn) cancelBtn.hidden = true;
+}
+
+// ================================
+// 7. SAVE FUNCTIONALITY
+// ================================
+
+// Browsers refuse to make canvases much larger than this
+const MAX_EXPORT_SIDE = 16384;
+
+/**
+ * Saves the creation as a PNG in the current render style
+ * The size comes from the export dialog's resolution setting.
+ */
+function saveCreation() {
+    const canvas = renderMosaicCanvas(legoGrid, renderStyle, getExportPixelsPerStud());
+    
+    // Download image
+    canvas.toBlob(blob => {
+        downloadBlob(blob, getProjectFileName('png'));
+    });
+}
+
+/**
+ * Draws a whole grid onto a new canvas with the same renderer as the live view
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @param {string} style - Key of RENDER_STYLES
+ * @param {number} pixelsPerStud - Size of each brick in pixels
+ * @returns {HTMLCanvasElement} The rendered mosaic
+ */
+function renderMosaicCanvas(grid, style, pixelsPerStud) {
+    const height = grid.length;
+    const width = height > 0 ? grid[0].length : 0;
+    const frameWidth = style === 'framed' ? getFrameWidth(pixelsPerStud) : 0;
+    const view = { cellSize: pixelsPerStud, offsetX: frameWidth, offsetY: frameWidth };
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width * pixelsPerStud + frameWidth * 2;
+    canvas.height = height * pixelsPerStud + frameWidth * 2;
+    const ctx = canvas.getContext('2d');
+    
+    drawBricks(ctx, (row, col) => grid[row][col], view, 0, 0, height - 1, width - 1, style);
+    if (style === 'framed') {
+        drawPlateGaps(ctx, view, 0, 0, height - 1, width - 1);
+        drawArtFrame(ctx, view, frameWidth);
+    }
+    
+    return canvas;
+}
+
+/**
+ * Pixels per stud for PNG export
+ * A DPI setting is turned into pixels for printing at real LEGO size (8 mm per stud).
+ * Limited so the image stays within what browsers can draw.
+ * @returns {number} Whole pixels per stud
+ */
+function getExportPixelsPerStud() {
+    const { resolution, resolutionUnit } = exportSettings;
+    const wanted = resolutionUnit === 'dpi' ? resolution * STUD_SIZE_MM / 25.4 : resolution;
+    const largest = Math.floor(MAX_EXPORT_SIDE / (Math.max(canvasWidth, canvasHeight) + 2));
+    
+    return Math.max(1, Math.min(largest, Math.round(wanted)));
+}
+
+/**
+ * Downloads a Blob as a file
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// ================================
+// 7.1 PARTS LIST (BILL OF MATERIALS)
+// ================================
+
+// Common 1x1 parts for mosaics (BrickLink part numbers)
+const MOSAIC_PARTS = [
+    { id: '98138', name: 'Tile Round 1 x 1' },
+    { id: '4073', name: 'Plate Round 1 x 1' },
+    { id: '3070b', name: 'Tile 1 x 1' },
+    { id: '3024', name: 'Plate 1 x 1' }
+];
+
+/**
+ * Updates the parts panel with the current brick counts
+ */
+function updatePartsList() {
+    const list = document.getElementById('partsList');
+    const total = document.getElementById('partsTotal');
+    if (!list) return;
+    
+    const parts = buildPartsList(legoGrid, legoColors);
+    list.innerHTML = '';
+    
+    parts.forEach(part => {
+        const item = document.createElement('li');
+        item.className = 'parts-row';
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'parts-swatch';
+        swatch.style.backgroundColor = part.hex;
+        
+        const name = document.createElement('span');
+        name.className = 'parts-name';
+        name.textContent = part.name;
+        
+        const count = document.createElement('span');
+        count.className = 'parts-count';
+        count.textContent = part.count;
+        
+        item.append(swatch, name, count);
+        list.appendChild(item);
+    });
+    
+    if (total) {
+        const totalCount = parts.reduce((sum, part) => sum + part.count, 0);
+        total.textContent = parts.length === 0
+            ? 'No bricks placed yet'
+            : `${totalCount} pieces in ${parts.length} colors`;
+    }
+}
+
+/**
+ * Builds a BrickLink wanted list (XML upload format)
+ * Colors without a BrickLink ID are left out
+ * @param {Array<object>} parts - Result of buildPartsList (or optimized parts with a partId)
+ * @param {string} partNumber - BrickLink part number for rows without a partId
+ * @returns {string} XML text
+ */
+function partsListToBricklinkXml(parts, partNumber) {
+    const items = parts
+        .filter(part => part.bricklinkId !== null)
+        .map(part => [
+            '  <ITEM>',
+            '    <ITEMTYPE>P</ITEMTYPE>',
+            `    <ITEMID>${escapeXml(part.partId || partNumber)}</ITEMID>`,
+            `    <COLOR>${part.bricklinkId}</COLOR>`,
+            `    <MINQTY>${part.count}</MINQTY>`,
+            '  </ITEM>'
+        ].join('\n'));
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<INVENTORY>\n${items.join('\n')}\n</INVENTORY>\n`;
+}
+
+/**
+ * Escapes text for use inside XML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Downloads the parts list as CSV
+ * While the part optimizer is on, the merged parts are exported
+ */
+function exportPartsCsv() {
+    const parts = partLayout ? partLayout.parts : buildPartsList(legoGrid, legoColors);
+    if (parts.length === 0) {
+        alert('Place some bricks first - the parts list is empty.');
+        return;
+    }
+    
+    const csv = partsListToCsv(parts, bomPartNumber);
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), getProjectFileName('parts.csv'));
+}
+
+/**
+ * Downloads the parts list as a BrickLink wanted list
+ * While the part optimizer is on, the merged parts are exported
+ */
+function exportBricklinkXml() {
+    const parts = partLayout ? partLayout.parts : buildPartsList(legoGrid, legoColors);
+    if (parts.length === 0) {
+        alert('Place some bricks first - the parts list is empty.');
+        return;
+    }
+    
+    const missing = parts.filter(part => part.bricklinkId === null);
+    if (missing.length > 0) {
+        const names = [...new Set(missing.map(p => p.name))];
+        alert('These colors have no BrickLink ID and were left out:\n' + names.join('\n'));
+    }
+    
+    const xml = partsListToBricklinkXml(parts, bomPartNumber);
+    downloadBlob(new Blob([xml], { type: 'application/xml' }), getProjectFileName('bricklink.xml'));
+}
+
+// ================================
+// 7.2 BUILD INSTRUCTIONS
+// One printable page per baseplate
+// ================================
+
+/**
+ * Splits a grid into baseplate-sized sections
+ * Plates on the right/bottom edge are smaller if the grid doesn't divide evenly
+ * @param {number} width - Grid width in studs
+ * @param {number} height - Grid height in studs
+ * @param {number} plateSize - Studs per baseplate side
+ * @returns {Array<object>} { plateRow, plateCol, top, left, rows, cols } (row-major)
+ */
+function splitIntoPlates(width, height, plateSize) {
+    const plates = [];
+    
+    for (let top = 0, plateRow = 0; top < height; top += plateSize, plateRow++) {
+        for (let left = 0, plateCol = 0; left < width; left += plateSize, plateCol++) {
+            plates.push({
+                plateRow,
+                plateCol,
+                top,
+                left,
+                rows: Math.min(plateSize, height - top),
+                cols: Math.min(plateSize, width - left)
+            });
+        }
+    }
+    
+    return plates;
+}
+
+/**
+ * Picks black or white text, whichever reads better on a color
+ * @param {string} hex - Background color
+ * @returns {string} '#000' or '#fff'
+ */
+function getContrastTextColor(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    // Perceived brightness (ITU-R BT.601 weights)
+    const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+    return brightness > 140 ? '#000' : '#fff';
+}
+
+/**
+ * Builds a self-contained, printable HTML instructions document
+ * Every color gets a number (most-used = 1) that stays the same on every page
+ * 
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @param {number} plateSize - Studs per baseplate side
+ * @param {string} title - Project title for the cover page
+ * @returns {string} HTML document
+ */
+function buildInstructionsHtml(grid, plateSize, title) {
+    const height = grid.length;
+    const width = height > 0 ? grid[0].length : 0;
+    const parts = buildPartsList(grid, legoColors);
+    const plates = splitIntoPlates(width, height, plateSize);
+    const plateRows = Math.ceil(height / plateSize);
+    const plateCols = Math.ceil(width / plateSize);
+    
+    // Color number lookup: hex -> 1, 2, 3...
+    const colorNumbers = {};
+    parts.forEach((part, index) => {
+        colorNumbers[part.hex] = index + 1;
+    });
+    
+    const legendHtml = (legendParts) => `
+        <table class="legend">
+            <tr><th>#</th><th>Color</th><th>Pieces</th></tr>
+            ${legendParts.map(part => `
+                <tr>
+                    <td><span class="key" style="background:${part.hex};color:${getContrastTextColor(part.hex)}">${colorNumbers[part.hex]}</span></td>
+                    <td>${escapeXml(part.name)}</td>
+                    <td>${part.count}</td>
+                </tr>`).join('')}
+        </table>`;
+    
+    // Small map of all plates, with one highlighted
+    const plateMapHtml = (current) => {
+        let rowsHtml = '';
+        for (let r = 0; r < plateRows; r++) {
+            let cellsHtml = '';
+            for (let c = 0; c < plateCols; c++) {
+                const isCurrent = current && current.plateRow === r && current.plateCol === c;
+                cellsHtml += `<td class="${isCurrent ? 'current' : ''}">${r + 1},${c + 1}</td>`;
+            }
+            rowsHtml += `<tr>${cellsHtml}</tr>`;
+        }
+        return `<table class="plate-map">${rowsHtml}</table>`;
+    };
+    
+    const platePages = plates.map((plate, index) => {
+        const plateGrid = grid
+            .slice(plate.top, plate.top + plate.rows)
+            .map(row => row.slice(plate.left, plate.left + plate.cols));
+        
+        let headerCells = '<th></th>';
+        for (let c = 0; c < plate.cols; c++) headerCells += `<th>${c + 1}</th>`;
+        
+        const rowsHtml = plateGrid.map((row, r) => {
+            const cells = row.map(color => color
+                ? `<td style="background:${color};color:${getContrastTextColor(color)}">${colorNumbers[color]}</td>`
+                : '<td class="empty"></td>'
+            ).join('');
+            return `<tr><th>${r + 1}</th>${cells}</tr>`;
+        }).join('');
+        
+        return `
+            <section class="page">
+                <header>
+                    <h2>Plate row ${plate.plateRow + 1}, col ${plate.plateCol + 1}</h2>
+                    <span>Page ${index + 2} of ${plates.length + 1}</span>
+                </header>
+                <div class="plate-layout">
+                    <table class="plate">
+                        <tr>${headerCells}</tr>
+                        ${rowsHtml}
+                    </table>
+                    <aside>
+                        ${plateMapHtml(plate)}
+                        ${legendHtml(buildPartsList(plateGrid, legoColors))}
+                    </aside>
+                </div>
+            </section>`;
+    }).join('');
+    
+    const safeTitle = escapeXml(title);
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${safeTitle} - Build Instructions</title>
+<style>
+    body { font-family: 'Courier New', monospace; margin: 0; color: #000; }
+    .page { padding: 15mm; page-break-after: always; break-after: page; }
+    .page:last-child { page-break-after: auto; break-after: auto; }
+    header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #000; margin-bottom: 8mm; }
+    h1, h2 { margin: 0 0 4mm; }
+    .plate-layout { display: flex; gap: 8mm; align-items: flex-start; }
+    table { border-collapse: collapse; }
+    .plate td, .plate th { width: 9mm; height: 9mm; text-align: center; font-size: 9pt; font-weight: bold; }
+    .plate td { border: 1px solid #555; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .plate td.empty { background: #fff; }
+    .plate th { font-size: 7pt; color: #666; font-weight: normal; }
+    .plate-map { margin-bottom: 6mm; }
+    .plate-map td { border: 1px solid #000; padding: 1mm 2mm; font-size: 8pt; text-align: center; }
+    .plate-map td.current { background: #000; color: #fff; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .legend td, .legend th { padding: 1mm 2mm; font-size: 9pt; text-align: left; }
+    .key { display: inline-block; min-width: 7mm; text-align: center; border: 1px solid #000; font-weight: bold; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .print-btn { position: fixed; top: 10px; right: 10px; padding: 10px 20px; font-family: inherit; font-weight: bold; border: 2px solid #000; background: #fff; cursor: pointer; }
+    @media print { .print-btn { display: none; } }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+<section class="page">
+    <header>
+        <h1>${safeTitle}</h1>
+        <span>Page 1 of ${plates.length + 1}</span>
+    </header>
+    <p>${width} x ${height} studs &middot; ${plates.length} plates of ${plateSize} x ${plateSize} &middot; ${parts.reduce((sum, part) => sum + part.count, 0)} pieces</p>
+    <h2>Plate layout</h2>
+    ${plateMapHtml(null)}
+    <h2>All colors</h2>
+    ${legendHtml(parts)}
+</section>
+${platePages}
+</body>
+</html>`;
+}
+
+/**
+ * Opens the printable instructions in a new tab
+ * Falls back to downloading the HTML file if pop-ups are blocked
+ */
+function exportInstructions() {
+    if (buildPartsList(legoGrid, legoColors).length === 0) {
+        alert('Place some bricks first - there is nothing to build yet.');
+        return;
+    }
+    
+    const plateSizeInput = document.getElementById('plateSize');
+    const plateSize = plateSizeInput ? parseInt(plateSizeInput.value) : 16;
+    if (!(plateSize >= 1)) {
+        alert('Please enter a plate size of at least 1 stud.');
+        return;
+    }
+    
+    const html = buildInstructionsHtml(legoGrid, plateSize, getProjectName());
+    const instructionsWindow = window.open('', '_blank');
+    
+    if (instructionsWindow) {
+        instructionsWindow.document.write(html);
+        instructionsWindow.document.close();
+    } else {
+        downloadBlob(new Blob([html], { type: 'text/html' }), getProjectFileName('instructions.html'));
+    }
+    
+    console.log(`📘 Instructions created (${plateSize}x${plateSize} plates)`);
+}
+
+// ================================
+// 7.3 PROJECT FILES
+// Save the whole project as JSON and open it again later
+// ================================
+
+/**
+ * Gets the project name from the name field
+ * @returns {string} The name, or 'Untitled' if the field is empty
+ */
+function getProjectName() {
+    const input = document.getElementById('projectName');
+    const name = input ? input.value.trim() : '';
+    return name || 'Untitled';
+}
+
+/**
+ * Builds a download file name from the project name
+ * @param {string} extension - e.g. 'png' or 'parts.csv'
+ * @returns {string} e.g. 'mona-lisa.png'
+ */
+function getProjectFileName(extension) {
+    const slug = getProjectName()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return `${slug || 'lego-art'}.${extension}`;
+}
+
+/**
+ * Captures the current project as a plain object (ready for JSON)
+ * Cells are stored as indexes into the palette; -1 means empty
+ * @returns {object} Project data
+ */
+function serializeProject() {
+    // Palette = the active palette, plus any other color found on the grid
+    return createProjectFile({
+        name: getProjectName(),
+        grid: legoGrid,
+        plateSize,
+        paletteName: activePaletteName,
+        palette: legoColors,
+        settings: { ...generationSettings },
+        framing: { ...imageFraming },
+        transparency: { ...imageTransparency },
+        referenceImage: getReferenceImageDataUrl()
+    });
+}
+
+/**
+ * Checks that parsed JSON is a project this version can open
+ * Throws an Error with a message meant for the user if it isn't
+ * @param {*} data - Parsed JSON
+ * @returns {object} The project, with a 2D grid of hex colors added as `grid`
+ */
+function validateProject(data) {
+    if (!data || typeof data !== 'object' || data.format !== PROJECT_FORMAT) {
+        throw new Error('This file is not a LEGO Art project.');
+    }
+    
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('The project file is corrupt: it has no valid format version.');
+    }
+    if (data.version > PROJECT_FORMAT_VERSION) {
+        throw new Error(
+            `This project was saved by a newer version of LEGO Art Creator (format v${data.version}). ` +
+            `This version can only open format v${PROJECT_FORMAT_VERSION} and older - please update the app.`
+        );
+    }
+    
+    const { width, height, palette, cells } = data;
+    if (!Number.isInteger(width) || !Number.isInteger(height) ||
+        width < 1 || height < 1 || width > MAX_GRID_SIZE || height > MAX_GRID_SIZE) {
+        throw new Error(`The project file is corrupt: invalid grid size ${width} x ${height}.`);
+    }
+    
+    if (data.plateSize !== undefined && (!Number.isInteger(data.plateSize) || data.plateSize < 1)) {
+        throw new Error(`The project file is corrupt: invalid plate size ${data.plateSize}.`);
+    }
+    
+    if (!Array.isArray(palette) || palette.length === 0) {
+        throw new Error('The project file is corrupt: the palette is missing.');
+    }
+    const normalizedPalette = palette.map((color, index) => {
+        try {
+            return normalizePaletteColor(color);
+        } catch (error) {
+            throw new Error(`The project file is corrupt: palette color ${index + 1} ${error.message}.`);
+        }
+    });
+    
+    if (!Array.isArray(cells) || cells.length !== width * height) {
+        throw new Error(`The project file is corrupt: expected ${width * height} cells.`);
+    }
+    const badCell = cells.findIndex(cell => !Number.isInteger(cell) || cell < -1 || cell >= palette.length);
+    if (badCell !== -1) {
+        throw new Error(`The project file is corrupt: cell ${badCell + 1} refers to a color that isn't in the palette.`);
+    }
+    
+    if (data.referenceImage !== undefined && data.referenceImage !== null &&
+        (typeof data.referenceImage !== 'string' || !data.referenceImage.startsWith('data:image/'))) {
+        throw new Error('The project file is corrupt: the reference image is not a valid image.');
+    }
+    
+    const grid = [];
+    for (let row = 0; row < height; row++) {
+        grid.push(cells.slice(row * width, (row + 1) * width).map(cell =>
+            cell === -1 ? null : normalizedPalette[cell].hex
+        ));
+    }
+    
+    return { ...data, palette: normalizedPalette, grid };
+}
+
+/**
+ * Copies known, valid generation settings from a project
+ * Unknown or invalid values fall back to the defaults
+ * @param {object} settings - Settings from a project file
+ */
+function applyGenerationSettings(settings) {
+    if (!settings || typeof settings !== 'object') return;
+    
+    const next = { ...DEFAULT_GENERATION_SETTINGS };
+    const { matchMetric, dither, ditherStrength, useInventory } = settings;
+    if (MATCH_METRICS.includes(matchMetric)) next.matchMetric = matchMetric;
+    if (DITHER_MODES.includes(dither)) next.dither = dither;
+    if (Number.isFinite(ditherStrength) && ditherStrength >= 0 && ditherStrength <= 100) {
+        next.ditherStrength = ditherStrength;
+    }
+    if (typeof useInventory === 'boolean') next.useInventory = useInventory;
+    
+    generationSettings = next;
+    syncGenerationControls();
+}
+
+/**
+ * Replaces the current project with a validated one
+ * @param {object} project - Result of validateProject
+ */
+function applyProject(project) {
+    isRestoringProject = true;
+    projectLoadCount++;
+    try {
+        const nameInput = document.getElementById('projectName');
+        if (nameInput) nameInput.value = project.name || '';
+        
+        canvasWidth = project.width;
+        canvasHeight = project.height;
+        plateSize = project.plateSize || Math.max(project.width, project.height);
+        syncCanvasSizeControls();
+        
+        initializeCanvas();
+        legoGrid = project.grid.map(row => [...row]);
+        clearHistory(); // History belongs to the previous project
+        redrawCanvas();
+        
+        setActivePalette(
+            typeof project.paletteName === 'string' ? project.paletteName : 'Project palette',
+            project.palette
+        );
+        applyGenerationSettings(project.settings);
+        applyImageFraming(project.framing);
+        applyImageTransparency(project.transparency);
+        
+        if (project.referenceImage) {
+            showReferenceImage(project.referenceImage);
+        } else {
+            clearReferenceImage();
+        }
+    } finally {
+        isRestoringProject = false;
+    }
+    
+    console.log(`📂 Project "${project.name}" opened (${project.width}x${project.height})`);
+}
+
+/**
+ * Downloads the current project as a JSON file
+ */
+function saveProject() {
+    const project = serializeProject();
+    const json = JSON.stringify(project);
+    downloadBlob(new Blob([json], { type: 'application/json' }), getProjectFileName('json'));
+    console.log(`💾 Project "${project.name}" saved`);
+}
+
+/**
+ * Handles a project file picked with "Open Project"
+ */
+function handleProjectFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = ''; // Allow opening the same file again
+    
+    const reader = new FileReader();
+    reader.onload = async function(e) {
+        let project;
+        try {
+            let data;
+            try {
+                data = JSON.parse(e.target.result);
+            } catch (parseError) {
+                throw new Error('This file is not valid JSON - it may be corrupt or not a project file.');
+            }
+            project = validateProject(data);
+        } catch (error) {
+            console.error('❌ Could not open project:', error);
+            alert(`Could not open "${file.name}":\n${error.message}`);
+            return;
+        }
+        
+        // The current project is autosaved, so it stays in the gallery
+        await flushAutosave();
+        
+        // An opened file becomes a new gallery entry
+        currentProjectId = null;
+        applyProject(project);
+        await autosaveProject();
+    };
+    reader.onerror = function() {
+        alert(`Could not read "${file.name}".`);
+    };
+    reader.readAsText(file);
+}
+
+// ================================
+// 7.4 AUTOSAVE & PROJECT GALLERY
+// Every change is saved to IndexedDB in the browser
+// ================================
+
+const PROJECT_DB_NAME = 'lego-art-creator';
+const PROJECT_DB_VERSION = 1;
+const PROJECT_STORE = 'projects';
+const LAST_PROJECT_STORAGE_KEY = 'legoArtCreator.lastProjectId';
+const AUTOSAVE_DELAY = 1000; // Wait for a pause in editing (ms)
+
+let projectDbPromise = null;
+
+/**
+ * Opens (and if needed creates) the project database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openProjectDatabase() {
+    if (!projectDbPromise) {
+        projectDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            
+            const request = indexedDB.open(PROJECT_DB_NAME, PROJECT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+                    db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // Let a later call try again if opening failed
+        projectDbPromise.catch(() => {
+            projectDbPromise = null;
+        });
+    }
+    return projectDbPromise;
+}
+
+/**
+ * Runs one request against the project store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+async function projectStoreRequest(mode, makeRequest) {
+    const db = await openProjectDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(PROJECT_STORE, mode);
+        const request = makeRequest(transaction.objectStore(PROJECT_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Saves (inserts or replaces) a gallery record
+ * @param {object} record - { id, name, updatedAt, width, height, thumbnail, project }
+ * @returns {Promise}
+ */
+function putProjectRecord(record) {
+    return projectStoreRequest('readwrite', store => store.put(record));
+}
+
+/**
+ * Loads one gallery record
+ * @param {string} id - Record id
+ * @returns {Promise<object|undefined>}
+ */
+function getProjectRecord(id) {
+    return projectStoreRequest('readonly', store => store.get(id));
+}
+
+/**
+ * Loads every gallery record
+ * @returns {Promise<Array<object>>}
+ */
+function getAllProjectRecords() {
+    return projectStoreRequest('readonly', store => store.getAll());
+}
+
+/**
+ * Deletes a gallery record
+ * @param {string} id - Record id
+ * @returns {Promise}
+ */
+function deleteProjectRecord(id) {
+    return projectStoreRequest('readwrite', store => store.delete(id));
+}
+
+/**
+ * Creates a unique id for a new gallery entry
+ * @returns {string}
+ */
+function createProjectId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Shows the autosave status next to the project name
+ * @param {string} text - e.g. 'Saved'
+ */
+function setSaveStatus(text) {
+    const status = document.getElementById('saveStatus');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Queues an autosave once editing pauses
+ */
+function scheduleAutosave() {
+    if (isRestoringProject || isViewingShare) return;
+    
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosaveProject, AUTOSAVE_DELAY);
+}
+
+/**
+ * Saves any queued autosave right away
+ * @returns {Promise<void>}
+ */
+async function flushAutosave() {
+    if (autosaveTimer === null) return;
+    
+    clearTimeout(autosaveTimer);
+    await autosaveProject();
+}
+
+/**
+ * Saves the current project to the gallery
+ * A blank, never-saved canvas is not worth keeping, so it's skipped
+ * @returns {Promise<void>}
+ */
+async function autosaveProject() {
+    autosaveTimer = null;
+    
+    const hasContent = legoGrid.some(row => row.some(cell => cell !== null));
+    if (!currentProjectId && !hasContent) return;
+    if (!currentProjectId) currentProjectId = createProjectId();
+    
+    const project = serializeProject();
+    const record = {
+        id: currentProjectId,
+        name: project.name,
+        updatedAt: Date.now(),
+        width: project.width,
+        height: project.height,
+        thumbnail: renderThumbnail(legoGrid),
+        project
+    };
+    
+    setSaveStatus('Saving...');
+    try {
+        await putProjectRecord(record);
+        localStorage.setItem(LAST_PROJECT_STORAGE_KEY, record.id);
+        setSaveStatus('Saved');
+    } catch (error) {
+        console.error('❌ Autosave failed:', error);
+        setSaveStatus('Autosave unavailable');
+    }
+}
+
+/**
+ * Draws a small preview image of a grid
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @returns {string} PNG data: URL
+ */
+function renderThumbnail(grid) {
+    const height = grid.length;
+    const width = height > 0 ? grid[0].length : 0;
+    const cellSize = Math.max(1, Math.floor(96 / Math.max(width, height, 1)));
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, width * cellSize);
+    canvas.height = Math.max(1, height * cellSize);
+    const ctx = canvas.getContext('2d');
+    
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    grid.forEach((row, r) => {
+        row.forEach((color, c) => {
+            if (!color) return;
+            ctx.fillStyle = color;
+            ctx.fillRect(c * cellSize, r * cellSize, cellSize, cellSize);
+        });
+    });
+    
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Loads a gallery entry into the editor
+ * @param {object} record - Stored gallery record
+ */
+function openProjectRecord(record) {
+    const project = validateProject(record.project);
+    
+    currentProjectId = record.id;
+    applyProject(project);
+    localStorage.setItem(LAST_PROJECT_STORAGE_KEY, record.id);
+    setSaveStatus('Saved');
+}
+
+/**
+ * Reopens the project that was open when the page was last closed
+ */
+async function restoreLastSession() {
+    const lastId = localStorage.getItem(LAST_PROJECT_STORAGE_KEY);
+    if (!lastId) return;
+    
+    try {
+        const record = await getProjectRecord(lastId);
+        if (!record) return;
+        
+        openProjectRecord(record);
+        console.log(`♻️ Restored last session: "${record.name}"`);
+    } catch (error) {
+        console.error('❌ Could not restore last session:', error);
+        setSaveStatus('Autosave unavailable');
+    }
+}
+
+/**
+ * Starts a fresh, empty project
+ * The current project is already autosaved, so it stays in the gallery
+ */
+async function startNewProject() {
+    if (!confirm('Start a new canvas? Your current project stays in the gallery.')) return;
+    
+    await flushAutosave();
+    
+    currentProjectId = null;
+    const nameInput = document.getElementById('projectName');
+    if (nameInput) nameInput.value = '';
+    
+    initializeCanvas();
+    clearHistory();
+    setSaveStatus('');
+}
+
+/**
+ * Fills the gallery dialog with every saved project, newest first
+ */
+async function renderGallery() {
+    const list = document.getElementById('galleryList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    let records;
+    try {
+        records = await getAllProjectRecords();
+    } catch (error) {
+        console.error('❌ Could not load gallery:', error);
+        list.textContent = 'The gallery is not available in this browser.';
+        return;
+    }
+    
+    if (records.length === 0) {
+        list.textContent = 'No saved projects yet - start building and your work is saved here automatically.';
+        return;
+    }
+    
+    records.sort((a, b) => b.updatedAt - a.updatedAt);
+    records.forEach(record => {
+        list.appendChild(createGalleryCard(record));
+    });
+}
+
+/**
+ * Creates one gallery card with Open / Duplicate / Delete actions
+ * @param {object} record - Stored gallery record
+ * @returns {HTMLElement}
+ */
+function createGalleryCard(record) {
+    const card = document.createElement('div');
+    card.className = 'gallery-card';
+    if (record.id === currentProjectId) card.classList.add('current');
+    
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'gallery-thumbnail';
+    thumbnail.src = record.thumbnail;
+    thumbnail.alt = '';
     
-    // Wait for image to be fully loaded
-    if (img.complete && img.naturalWidth > 0) {
-        console.log('✅ Image already loaded, processing now...');
-        processImageToLego(img);
+    const name = document.createElement('strong');
+    name.className = 'gallery-name';
+    name.textContent = record.name;
+    
+    const details = document.createElement('span');
+    details.className = 'gallery-details';
+    details.textContent = `${record.width}x${record.height} · ${new Date(record.updatedAt).toLocaleString()}`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'gallery-actions';
+    
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.className = 'project-btn';
+    openBtn.textContent = 'Open';
+    openBtn.addEventListener('click', async () => {
+        await flushAutosave();
+        try {
+            openProjectRecord(record);
+            document.getElementById('galleryDialog').close();
+        } catch (error) {
+            alert(`Could not open "${record.name}":\n${error.message}`);
+        }
+    });
+    
+    const duplicateBtn = document.createElement('button');
+    duplicateBtn.type = 'button';
+    duplicateBtn.className = 'project-btn';
+    duplicateBtn.textContent = 'Duplicate';
+    duplicateBtn.addEventListener('click', async () => {
+        const name = `${record.name} (copy)`;
+        try {
+            await putProjectRecord({
+                ...record,
+                id: createProjectId(),
+                name,
+                updatedAt: Date.now(),
+                project: { ...record.project, name }
+            });
+            await renderGallery();
+        } catch (error) {
+            alert(`Could not duplicate "${record.name}":\n${error.message}`);
+        }
+    });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'project-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+        if (!confirm(`Delete "${record.name}"? This cannot be undone.`)) return;
+        
+        try {
+            await deleteProjectRecord(record.id);
+            if (record.id === currentProjectId) {
+                // Keep what's on screen, but as a new, unsaved project
+                currentProjectId = null;
+                setSaveStatus('');
+            }
+            if (localStorage.getItem(LAST_PROJECT_STORAGE_KEY) === record.id) {
+                localStorage.removeItem(LAST_PROJECT_STORAGE_KEY);
+            }
+            await renderGallery();
+        } catch (error) {
+            alert(`Could not delete "${record.name}":\n${error.message}`);
+        }
+    });
+    
+    actions.append(openBtn, duplicateBtn, deleteBtn);
+    card.append(thumbnail, name, details, actions);
+    return card;
+}
+
+// ================================
+// 7.5 SVG & LDRAW EXPORT
+// Printable vector mosaics and 3D models
+// ================================
+
+const STUD_SIZE_MM = 8; // Distance between LEGO studs
+
+// Options of the export dialog
+let exportSettings = {
+    format: 'png', // 'png', 'svg' or 'ldr'
+    resolution: 20, // PNG: pixels per stud, or dots per inch at real size
+    resolutionUnit: 'pps', // 'pps' (pixels per stud) or 'dpi'
+    studSize: STUD_SIZE_MM, // SVG: millimeters per stud
+    studs: true, // SVG: draw a stud on every brick
+    gridLines: true, // SVG: lines between bricks and baseplates
+    legend: true, // SVG: color list under the mosaic
+    ldrawPart: '3024', // LDraw part for every cell: '3024' (Plate 1 x 1) or '98138' (Tile Round 1 x 1)
+    baseplates: true // LDraw: put the cells on plates
+};
+
+// LDraw units: 20 LDU per stud, a plate is 8 LDU high, -Y is up
+const LDU_PER_STUD = 20;
+const LDU_PER_PLATE = 8;
+
+// Square plates that fill each baseplate area, largest first
+const LDRAW_BASE_PLATES = [
+    { size: 16, part: '91405' }, // Plate 16 x 16
+    { size: 8, part: '41539' }, // Plate 8 x 8
+    { size: 4, part: '3031' }, // Plate 4 x 4
+    { size: 2, part: '3022' }, // Plate 2 x 2
+    { size: 1, part: '3024' } // Plate 1 x 1
+];
+const LDRAW_BASE_COLOR = 0; // Black, like the LEGO Art sets
+
+/**
+ * Exports the art in the format picked in the export dialog
+ */
+function exportArt() {
+    readExportControls();
+    
+    if (exportSettings.format === 'png') {
+        saveCreation();
+        return;
+    }
+    
+    if (!legoGrid.some(row => row.some(cell => cell !== null))) {
+        alert('Place some bricks first - there is nothing to export.');
+        return;
+    }
+    
+    if (exportSettings.format === 'svg') {
+        const svg = buildMosaicSvg(legoGrid, {
+            studSize: exportSettings.studSize,
+            studs: exportSettings.studs,
+            gridLines: exportSettings.gridLines,
+            legend: exportSettings.legend,
+            plateSize,
+            title: getProjectName()
+        });
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), getProjectFileName('svg'));
     } else {
-        console.log('⏳ Waiting for image to load...');
-        img.onload = function() {
-            console.log('✅ Image loaded via onload event');
-            processImageToLego(img);
-        };
-        // Add error handler
-        img.onerror = function() {
-            console.error('❌ Error loading image');
-            alert('Error loading image. Please try again.');
-            generateBtn.disabled = false;
-            generateBtn.textContent = '✨ Generate LEGO Art';
-        };
+        const fileName = getProjectFileName('ldr');
+        const model = buildLdrawModel(legoGrid, {
+            part: exportSettings.ldrawPart,
+            baseplates: exportSettings.baseplates,
+            plateSize,
+            title: getProjectName(),
+            fileName
+        });
+        downloadBlob(new Blob([model], { type: 'text/plain' }), fileName);
     }
+    
+    console.log(`📤 Exported ${exportSettings.format.toUpperCase()}`);
 }
 
 /**
- * Processes the image and converts it to LEGO bricks
- * @param {HTMLImageElement} img - The reference image
+ * Builds an SVG of the mosaic, one unit per stud
+ * The width and height are in millimeters, so it prints at the chosen size.
+ * 
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @param {object} options - { studSize, studs, gridLines, legend, plateSize, title }
+ * @returns {string} SVG document
  */
-function processImageToLego(img) {
-    console.log('🔧 processImageToLego called');
-    console.log('Image dimensions:', img.width, 'x', img.height);
-    console.log('Canvas size:', canvasSize);
+function buildMosaicSvg(grid, options) {
+    const height = grid.length;
+    const width = height > 0 ? grid[0].length : 0;
     
-    // Save state for undo
-    saveState();
+    // Legend: one line per color under the mosaic, in as many columns as fit
+    const legendParts = options.legend ? buildPartsList(grid, legoColors) : [];
+    const legendColumnWidth = 12;
+    const legendLineHeight = 1.5;
+    const legendColumns = Math.max(1, Math.floor(width / legendColumnWidth));
+    const legendHeight = legendParts.length > 0
+        ? 1 + Math.ceil(legendParts.length / legendColumns) * legendLineHeight
+        : 0;
     
-    // Create a temporary canvas to analyze the image
-    const tempCanvas = document.createElement('canvas');
-    const ctx = tempCanvas.getContext('2d');
+    const totalWidth = legendParts.length > 0 ? Math.max(width, legendColumnWidth) : width;
+    const totalHeight = height + legendHeight;
     
-    // Resize image to match our LEGO grid size
-    tempCanvas.width = canvasSize;
-    tempCanvas.height = canvasSize;
+    // Neighbouring bricks of the same color become one rectangle - much smaller files
+    const bricks = [];
+    const studs = [];
+    grid.forEach((row, y) => {
+        for (let x = 0; x < width; ) {
+            const color = row[x];
+            let end = x + 1;
+            while (end < width && row[end] === color) end++;
+            
+            if (color) {
+                bricks.push(`<rect x="${x}" y="${y}" width="${end - x}" height="1" fill="${color}"/>`);
+                studs.push(`<rect x="${x}" y="${y}" width="${end - x}" height="1"/>`);
+            }
+            x = end;
+        }
+    });
     
-    console.log('Temp canvas created:', tempCanvas.width, 'x', tempCanvas.height);
+    const svg = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth * options.studSize}mm" height="${totalHeight * options.studSize}mm" viewBox="0 0 ${totalWidth} ${totalHeight}">`,
+        `<title>${escapeXml(options.title)}</title>`,
+        '<defs>',
+        // A 4.8 mm stud on an 8 mm brick: radius 0.3 studs
+        '<pattern id="stud" width="1" height="1" patternUnits="userSpaceOnUse">',
+        '<circle cx="0.5" cy="0.5" r="0.3" fill="#fff" fill-opacity="0.3" stroke="#000" stroke-opacity="0.15" stroke-width="0.03"/>',
+        '</pattern>',
+        '</defs>',
+        `<g shape-rendering="crispEdges">${bricks.join('')}</g>`
+    ];
     
-    // Draw the image scaled down to grid size
-    // This automatically "pixelates" the image!
-    try {
-        ctx.drawImage(img, 0, 0, canvasSize, canvasSize);
-        console.log('✅ Image drawn to temp canvas');
-    } catch (error) {
-        console.error('❌ Error drawing image:', error);
-        alert('Error processing image: ' + error.message);
-        return;
+    if (options.studs) {
+        svg.push(`<g fill="url(#stud)">${studs.join('')}</g>`);
+    }
+    
+    if (options.gridLines) {
+        const cellLines = [];
+        const plateLines = [];
+        for (let x = 1; x < width; x++) {
+            (x % options.plateSize === 0 ? plateLines : cellLines).push(`M${x} 0V${height}`);
+        }
+        for (let y = 1; y < height; y++) {
+            (y % options.plateSize === 0 ? plateLines : cellLines).push(`M0 ${y}H${width}`);
+        }
+        
+        svg.push(`<path d="${cellLines.join('')}" stroke="#000" stroke-opacity="0.2" stroke-width="0.04" fill="none"/>`);
+        svg.push(`<path d="${plateLines.join('')}" stroke="${PLATE_LINE_COLOR}" stroke-width="0.1" fill="none"/>`);
+        svg.push(`<rect width="${width}" height="${height}" stroke="#000" stroke-width="0.1" fill="none"/>`);
     }
     
-    // Get pixel data from the scaled image
-    const imageData = ctx.getImageData(0, 0, canvasSize, canvasSize);
-    const pixels = imageData.data; // Array of RGBA values
+    legendParts.forEach((part, index) => {
+        const x = (index % legendColumns) * legendColumnWidth;
+        const y = height + 1 + Math.floor(index / legendColumns) * legendLineHeight;
+        const id = part.legoId !== null ? ` (${part.legoId})` : '';
+        
+        svg.push(`<rect x="${x}" y="${y}" width="1" height="1" fill="${part.hex}" stroke="#000" stroke-width="0.05"/>`);
+        svg.push(`<text x="${x + 1.4}" y="${y + 0.8}" font-family="Arial, sans-serif" font-size="0.7">${escapeXml(part.name + id)} × ${part.count}</text>`);
+    });
     
-    console.log(`📊 Processing ${canvasSize}x${canvasSize} = ${canvasSize * canvasSize} bricks...`);
-    console.log(`Pixel data length: ${pixels.length}`);
+    svg.push('</svg>');
+    return svg.join('\n') + '\n';
+}
+
+/**
+ * Finds the LDraw color code for a brick color
+ * Colors without a code use an LDraw "direct color" (0x2RRGGBB).
+ * @param {string} hex - Hex color code
+ * @returns {string} Color for an LDraw line
+ */
+function getLdrawColor(hex) {
+    const info = findColorInfo(hex);
+    const ldrawId = info.ldrawId ?? LEGO_COLOR_CATALOG.find(color => color.hex === hex)?.ldrawId;
     
-    // Process each pixel in the grid
-    let processedCount = 0;
-    for (let row = 0; row < canvasSize; row++) {
-        for (let col = 0; col < canvasSize; col++) {
-            // Calculate position in the pixel data array
-            // Each pixel has 4 values: Red, Green, Blue, Alpha
-            const pixelIndex = (row * canvasSize + col) * 4;
-            
-            // Extract RGB color values (0-255 for each)
-            const r = pixels[pixelIndex];     // Red
-            const g = pixels[pixelIndex + 1]; // Green
-            const b = pixels[pixelIndex + 2]; // Blue
-            // pixels[pixelIndex + 3] is Alpha (transparency) - we ignore it
+    return ldrawId !== undefined && ldrawId !== null
+        ? String(ldrawId)
+        : '0x2' + hex.replace('#', '').toUpperCase();
+}
+
+/**
+ * Builds an LDraw line that places one part, unrotated
+ * @param {string|number} color - LDraw color
+ * @param {number} x - X in LDU
+ * @param {number} y - Y in LDU (negative = up)
+ * @param {number} z - Z in LDU
+ * @param {string} part - LDraw part number (without .dat)
+ * @returns {string} Type 1 line
+ */
+function ldrawPartLine(color, x, y, z, part) {
+    return `1 ${color} ${x} ${y} ${z} 1 0 0 0 1 0 0 0 1 ${part}.dat`;
+}
+
+/**
+ * Covers a rectangle of studs with as few square plates as possible
+ * @param {number} rows - Height in studs
+ * @param {number} cols - Width in studs
+ * @returns {Array<object>} { top, left, size, part }
+ */
+function fillWithSquarePlates(rows, cols) {
+    const covered = Array.from({ length: rows }, () => new Array(cols).fill(false));
+    const plates = [];
+    
+    for (let top = 0; top < rows; top++) {
+        for (let left = 0; left < cols; left++) {
+            if (covered[top][left]) continue;
             
-            // Find the closest LEGO color to this pixel's color
-            const closestLegoColor = findClosestLegoColor(r, g, b);
+            // Scanning row by row, a column that is free in this row is
+            // free below it too, so only this row needs checking
+            const plate = LDRAW_BASE_PLATES.find(({ size }) =>
+                top + size <= rows && left + size <= cols &&
+                covered[top].slice(left, left + size).every(cell => !cell));
             
-            // Update our grid data
-            legoGrid[row][col] = closestLegoColor;
-            processedCount++;
+            for (let r = top; r < top + plate.size; r++) {
+                covered[r].fill(true, left, left + plate.size);
+            }
+            plates.push({ top, left, size: plate.size, part: plate.part });
         }
     }
     
-    console.log(`✅ Processed ${processedCount} bricks`);
-    console.log('Sample colors from grid:', legoGrid[0].slice(0, 5));
+    return plates;
+}
+
+/**
+ * Builds an LDraw model of the mosaic lying flat, one build step per baseplate
+ * Every brick is a 1x1 part on top of black plates; open it in Studio,
+ * LDView or LeoCAD for a 3D view.
+ * 
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @param {object} options - { part, baseplates, plateSize, title, fileName }
+ * @returns {string} Contents of the .ldr file
+ */
+function buildLdrawModel(grid, options) {
+    const height = grid.length;
+    const width = height > 0 ? grid[0].length : 0;
     
-    // Redraw the entire canvas with new colors
-    console.log('🎨 Calling redrawCanvas...');
-    redrawCanvas();
+    const lines = [
+        `0 ${options.title}`,
+        `0 Name: ${options.fileName}`,
+        '0 Author: LEGO Art Creator'
+    ];
     
-    // Re-enable button
-    const generateBtn = document.getElementById('generateBtn');
-    generateBtn.disabled = false;
-    generateBtn.textContent = '✨ Generate LEGO Art';
+    splitIntoPlates(width, height, options.plateSize).forEach(plate => {
+        lines.push(`0 // Baseplate row ${plate.plateRow + 1}, column ${plate.plateCol + 1}`);
+        
+        // Part positions are the center of the part, at its top
+        if (options.baseplates) {
+            fillWithSquarePlates(plate.rows, plate.cols).forEach(base => {
+                const x = (plate.left + base.left + base.size / 2) * LDU_PER_STUD;
+                const z = (plate.top + base.top + base.size / 2) * LDU_PER_STUD;
+                lines.push(ldrawPartLine(LDRAW_BASE_COLOR, x, 0, z, base.part));
+            });
+        }
+        
+        for (let row = plate.top; row < plate.top + plate.rows; row++) {
+            for (let col = plate.left; col < plate.left + plate.cols; col++) {
+                const color = grid[row][col];
+                if (!color) continue;
+                
+                const x = (col + 0.5) * LDU_PER_STUD;
+                const z = (row + 0.5) * LDU_PER_STUD;
+                lines.push(ldrawPartLine(getLdrawColor(color), x, -LDU_PER_PLATE, z, options.part));
+            }
+        }
+        
+        lines.push('0 STEP');
+    });
     
-    console.log('✅ LEGO art generated successfully!');
+    // LDraw files traditionally use DOS line endings
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Copies the export dialog's inputs into exportSettings
+ */
+function readExportControls() {
+    const value = id => document.getElementById(id);
     
-    // Check first few bricks to verify colors are applied
-    const firstBricks = document.querySelectorAll('.brick');
-    console.log('First 5 brick colors:', 
-        Array.from(firstBricks).slice(0, 5).map(b => b.style.backgroundColor)
-    );
+    if (value('exportFormat')) exportSettings.format = value('exportFormat').value;
+    if (value('pngResolution')) {
+        const resolution = parseFloat(value('pngResolution').value);
+        if (resolution > 0) exportSettings.resolution = resolution;
+    }
+    if (value('pngResolutionUnit')) exportSettings.resolutionUnit = value('pngResolutionUnit').value;
+    if (value('svgStudSize')) {
+        const studSize = parseFloat(value('svgStudSize').value);
+        if (studSize > 0) exportSettings.studSize = studSize;
+    }
+    if (value('svgStuds')) exportSettings.studs = value('svgStuds').checked;
+    if (value('svgGridLines')) exportSettings.gridLines = value('svgGridLines').checked;
+    if (value('svgLegend')) exportSettings.legend = value('svgLegend').checked;
+    if (value('ldrawPart')) exportSettings.ldrawPart = value('ldrawPart').value;
+    if (value('ldrawBaseplates')) exportSettings.baseplates = value('ldrawBaseplates').checked;
+}
+
+/**
+ * Shows only the export options of the chosen format
+ */
+function syncExportControls() {
+    const format = document.getElementById('exportFormat');
+    if (format) format.value = exportSettings.format;
     
-    alert('🎉 Your LEGO art has been generated! You can now manually adjust any bricks you want.');
+    document.querySelectorAll('.export-option[data-formats]').forEach(option => {
+        option.hidden = !option.dataset.formats.split(' ').includes(exportSettings.format);
+    });
+    
+    updateExportSizeHint();
 }
 
 /**
- * Finds the closest LEGO color to a given RGB color
- * Uses Euclidean distance in RGB color space
+ * Shows the pixel size the PNG will have (and its print size for DPI)
+ */
+function updateExportSizeHint() {
+    const hint = document.getElementById('pngSizeHint');
+    if (!hint) return;
+    
+    const pixelsPerStud = getExportPixelsPerStud();
+    const frameWidth = renderStyle === 'framed' ? getFrameWidth(pixelsPerStud) * 2 : 0;
+    let text = `${canvasWidth * pixelsPerStud + frameWidth} × ${canvasHeight * pixelsPerStud + frameWidth} px, ` +
+        `${RENDER_STYLES[renderStyle]} style`;
+    
+    if (exportSettings.resolutionUnit === 'dpi') {
+        const cm = value => (value * STUD_SIZE_MM / 10).toFixed(1);
+        text += ` - prints at ${cm(canvasWidth)} × ${cm(canvasHeight)} cm`;
+    }
+    hint.textContent = text;
+}
+
+// ================================
+// 7.6 PART OPTIMIZER
+// Same-colored cells merged into larger plates or tiles
+// ================================
+
+// Rectangular parts the optimizer may use (BrickLink part numbers, null = no such tile)
+// Costs are rough prices relative to a 1x1 plate - good enough to compare shapes
+const OPTIMIZER_PARTS = [
+    { size: '1x1', rows: 1, cols: 1, plate: '3024', tile: '3070b', plateCost: 1, tileCost: 1.2 },
+    { size: '1x2', rows: 1, cols: 2, plate: '3023', tile: '3069b', plateCost: 1.2, tileCost: 1.4 },
+    { size: '1x3', rows: 1, cols: 3, plate: '3623', tile: '63864', plateCost: 1.6, tileCost: 2.5 },
+    { size: '1x4', rows: 1, cols: 4, plate: '3710', tile: '2431', plateCost: 1.8, tileCost: 2.5 },
+    { size: '1x6', rows: 1, cols: 6, plate: '3666', tile: '6636', plateCost: 2.4, tileCost: 3.5 },
+    { size: '1x8', rows: 1, cols: 8, plate: '3460', tile: '4162', plateCost: 3, tileCost: 4.5 },
+    { size: '2x2', rows: 2, cols: 2, plate: '3022', tile: '3068b', plateCost: 1.6, tileCost: 2 },
+    { size: '2x3', rows: 2, cols: 3, plate: '3021', tile: '26603', plateCost: 2.2, tileCost: 5 },
+    { size: '2x4', rows: 2, cols: 4, plate: '3020', tile: '87079', plateCost: 2.4, tileCost: 4 },
+    { size: '2x6', rows: 2, cols: 6, plate: '3795', tile: '69729', plateCost: 3.5, tileCost: 8 },
+    { size: '2x8', rows: 2, cols: 8, plate: '3034', tile: null, plateCost: 4.5, tileCost: null },
+    { size: '4x4', rows: 4, cols: 4, plate: '3031', tile: '1751', plateCost: 5, tileCost: 12 },
+    { size: '4x6', rows: 4, cols: 6, plate: '3032', tile: null, plateCost: 7, tileCost: null },
+    { size: '4x8', rows: 4, cols: 8, plate: '3035', tile: null, plateCost: 9, tileCost: null },
+    { size: '6x6', rows: 6, cols: 6, plate: '3958', tile: '10202', plateCost: 10, tileCost: 20 }
+];
+
+// Optimizer options, remembered between visits
+let optimizerSettings = {
+    enabled: false, // Merge cells and show the parts on the canvas
+    family: 'plate', // 'plate' or 'tile'
+    goal: 'count', // 'count' (fewest parts) or 'cost' (cheapest)
+    sizes: ['1x2', '1x3', '1x4', '2x2', '2x4'] // Allowed sizes besides 1x1 (always allowed)
+};
+const OPTIMIZER_STORAGE_KEY = 'legoArtCreator.optimizer';
+
+// Result of optimizeParts for the current grid (null while the optimizer is off)
+let partLayout = null;
+
+/**
+ * Packs same-colored cells into larger parts
+ * Cells are visited row by row; the first free cell is always the top-left
+ * corner of its part, and gets the best allowed part that fits there
+ * (largest for 'count', cheapest per stud for 'cost').
  * 
- * @param {number} r - Red value (0-255)
- * @param {number} g - Green value (0-255)
- * @param {number} b - Blue value (0-255)
- * @returns {string} Hex color code of closest LEGO color
- */
-function findClosestLegoColor(r, g, b) {
-    let closestColor = legoColors[0].hex;
-    let smallestDistance = Infinity; // Start with a very large number
-    
-    // Check each LEGO color to find the closest match
-    legoColors.forEach(legoColor => {
-        // Convert hex to RGB for comparison
-        const legoRGB = hexToRgb(legoColor.hex);
-        
-        // Calculate "distance" between colors using Euclidean distance formula
-        // Think of it like measuring distance in 3D space (R, G, B are the axes)
-        // Formula: distance = √[(r1-r2)² + (g1-g2)² + (b1-b2)²]
-        const distance = Math.sqrt(
-            Math.pow(r - legoRGB.r, 2) +
-            Math.pow(g - legoRGB.g, 2) +
-            Math.pow(b - legoRGB.b, 2)
+ * @param {Array<Array<string|null>>} grid - 2D array of hex colors
+ * @param {object} settings - { family, goal, sizes } (see optimizerSettings)
+ * @returns {object} { placements: [{ row, col, rows, cols, hex, partId }], parts, cost }
+ */
+function optimizeParts(grid, settings) {
+    const height = grid.length;
+    const width = height > 0 ? grid[0].length : 0;
+    const covered = Array.from({ length: height }, () => new Array(width).fill(false));
+    
+    // Every allowed part in both orientations, best first
+    const shapes = [];
+    OPTIMIZER_PARTS
+        .filter(part => part[settings.family] && (part.size === '1x1' || settings.sizes.includes(part.size)))
+        .forEach(part => {
+            const shape = {
+                rows: part.rows,
+                cols: part.cols,
+                partId: part[settings.family],
+                cost: settings.family === 'tile' ? part.tileCost : part.plateCost
+            };
+            shapes.push(shape);
+            if (part.rows !== part.cols) {
+                shapes.push({ ...shape, rows: part.cols, cols: part.rows });
+            }
+        });
+    
+    const area = shape => shape.rows * shape.cols;
+    shapes.sort(settings.goal === 'cost'
+        ? (a, b) => a.cost / area(a) - b.cost / area(b) || area(b) - area(a)
+        : (a, b) => area(b) - area(a) || a.cost - b.cost);
+    
+    const fits = (shape, row, col, hex) => {
+        if (row + shape.rows > height || col + shape.cols > width) return false;
+        for (let r = row; r < row + shape.rows; r++) {
+            for (let c = col; c < col + shape.cols; c++) {
+                if (covered[r][c] || grid[r][c] !== hex) return false;
+            }
+        }
+        return true;
+    };
+    
+    const placements = [];
+    let cost = 0;
+    
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const hex = grid[row][col];
+            if (!hex || covered[row][col]) continue;
+            
+            // 1x1 always fits, so a shape is always found
+            const shape = shapes.find(candidate => fits(candidate, row, col, hex));
+            for (let r = row; r < row + shape.rows; r++) {
+                covered[r].fill(true, col, col + shape.cols);
+            }
+            
+            placements.push({ row, col, rows: shape.rows, cols: shape.cols, hex, partId: shape.partId });
+            cost += shape.cost;
+        }
+    }
+    
+    return { placements, parts: countOptimizedParts(placements, settings.family), cost };
+}
+
+/**
+ * Counts the parts of an optimized layout per part and color
+ * @param {Array<object>} placements - From optimizeParts
+ * @param {string} family - 'plate' or 'tile'
+ * @returns {Array<object>} Parts list rows, most-used first:
+ *   { partId, partName, name, hex, legoId, bricklinkId, count }
+ */
+function countOptimizedParts(placements, family) {
+    const rows = {};
+    
+    placements.forEach(placement => {
+        const key = placement.partId + placement.hex;
+        if (!rows[key]) {
+            const color = findColorInfo(placement.hex);
+            const shape = [placement.rows, placement.cols].sort((a, b) => a - b).join(' x ');
+            rows[key] = {
+                partId: placement.partId,
+                partName: `${family === 'tile' ? 'Tile' : 'Plate'} ${shape}`,
+                name: color.name,
+                hex: placement.hex,
+                legoId: color.legoId ?? null,
+                bricklinkId: color.bricklinkId ?? null,
+                count: 0
+            };
+        }
+        rows[key].count++;
+    });
+    
+    return Object.values(rows).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Re-runs the optimizer for the current grid and updates its panel and overlay
+ * Called whenever the grid or the optimizer options change.
+ */
+function updatePartOptimizer() {
+    const summary = document.getElementById('optimizerSummary');
+    const list = document.getElementById('optimizerList');
+    const hadLayout = partLayout !== null;
+    
+    partLayout = optimizerSettings.enabled ? optimizeParts(legoGrid, optimizerSettings) : null;
+    if (hadLayout || partLayout) markAllDirty();
+    
+    if (list) list.innerHTML = '';
+    if (!partLayout) {
+        if (summary) summary.textContent = '';
+        return;
+    }
+    
+    partLayout.parts.forEach(part => {
+        const item = document.createElement('li');
+        item.className = 'parts-row';
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'parts-swatch';
+        swatch.style.backgroundColor = part.hex;
+        
+        const name = document.createElement('span');
+        name.className = 'parts-name';
+        name.textContent = `${part.partName} ${part.name}`;
+        name.title = `Part ${part.partId}`;
+        
+        const count = document.createElement('span');
+        count.className = 'parts-count';
+        count.textContent = part.count;
+        
+        item.append(swatch, name, count);
+        if (list) list.appendChild(item);
+    });
+    
+    if (summary) {
+        const studs = countColors(legoGrid);
+        const studCount = Object.values(studs).reduce((sum, count) => sum + count, 0);
+        const partCount = partLayout.placements.length;
+        
+        if (studCount === 0) {
+            summary.textContent = 'No bricks placed yet';
+        } else {
+            const saved = Math.round((1 - partCount / studCount) * 100);
+            summary.textContent = `${partCount} parts instead of ${studCount} 1x1s (${saved}% fewer)`;
+            if (optimizerSettings.goal === 'cost') {
+                const singleCost = OPTIMIZER_PARTS[0][optimizerSettings.family === 'tile' ? 'tileCost' : 'plateCost'];
+                summary.textContent += `, about ${Math.round((1 - partLayout.cost / (studCount * singleCost)) * 100)}% cheaper`;
+            }
+        }
+    }
+}
+
+/**
+ * Draws the outline of every merged part that touches a block of cells
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} top - First row
+ * @param {number} left - First column
+ * @param {number} bottom - Last row
+ * @param {number} right - Last column
+ */
+function drawPartOutlines(ctx, top, left, bottom, right) {
+    const { cellSize, offsetX, offsetY } = canvasView;
+    const inset = cellSize >= GRID_MIN_CELL_SIZE ? 2 : 0.5;
+    
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.lineWidth = cellSize >= GRID_MIN_CELL_SIZE ? 2 : 1;
+    ctx.beginPath();
+    partLayout.placements.forEach(part => {
+        if (part.row > bottom || part.row + part.rows <= top) return;
+        if (part.col > right || part.col + part.cols <= left) return;
+        
+        ctx.rect(
+            offsetX + part.col * cellSize + inset,
+            offsetY + part.row * cellSize + inset,
+            part.cols * cellSize - inset * 2,
+            part.rows * cellSize - inset * 2
         );
+    });
+    ctx.stroke();
+}
+
+/**
+ * Creates a checkbox per part size for the optimizer panel
+ * Sizes that don't exist as tiles are disabled while tiles are picked.
+ */
+function renderOptimizerSizes() {
+    const container = document.getElementById('optimizerSizes');
+    if (!container) return;
+    container.innerHTML = '';
+    
+    OPTIMIZER_PARTS.forEach(part => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = part.size;
+        checkbox.checked = part.size === '1x1' || optimizerSettings.sizes.includes(part.size);
+        checkbox.disabled = part.size === '1x1' || !part[optimizerSettings.family];
+        checkbox.addEventListener('change', function() {
+            optimizerSettings.sizes = optimizerSettings.sizes.filter(size => size !== part.size);
+            if (checkbox.checked) optimizerSettings.sizes.push(part.size);
+            saveOptimizerSettings();
+            updatePartOptimizer();
+        });
+        
+        label.append(checkbox, ' ' + part.size.replace('x', ' x '));
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Updates the optimizer controls to show optimizerSettings
+ */
+function syncOptimizerControls() {
+    const enabled = document.getElementById('optimizeParts');
+    const family = document.getElementById('optimizerFamily');
+    const goal = document.getElementById('optimizerGoal');
+    const options = document.getElementById('optimizerOptions');
+    
+    if (enabled) enabled.checked = optimizerSettings.enabled;
+    if (family) family.value = optimizerSettings.family;
+    if (goal) goal.value = optimizerSettings.goal;
+    if (options) options.hidden = !optimizerSettings.enabled;
+    renderOptimizerSizes();
+}
+
+/**
+ * Loads the optimizer options used last time
+ */
+function loadOptimizerSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(OPTIMIZER_STORAGE_KEY));
+        if (!saved || typeof saved !== 'object') return;
         
-        // If this color is closer than previous best, save it
-        if (distance < smallestDistance) {
-            smallestDistance = distance;
-            closestColor = legoColor.hex;
+        if (typeof saved.enabled === 'boolean') optimizerSettings.enabled = saved.enabled;
+        if (['plate', 'tile'].includes(saved.family)) optimizerSettings.family = saved.family;
+        if (['count', 'cost'].includes(saved.goal)) optimizerSettings.goal = saved.goal;
+        if (Array.isArray(saved.sizes)) {
+            optimizerSettings.sizes = saved.sizes.filter(size => OPTIMIZER_PARTS.some(part => part.size === size));
         }
+    } catch (error) {
+        console.error('❌ Could not read optimizer settings:', error);
+    }
+}
+
+/**
+ * Remembers the optimizer options
+ */
+function saveOptimizerSettings() {
+    localStorage.setItem(OPTIMIZER_STORAGE_KEY, JSON.stringify(optimizerSettings));
+}
+
+// ================================
+// 7.7 SHARE LINKS
+// The whole design in the URL, opened read-only
+// ================================
+
+const SHARE_LINK_WARN_LENGTH = 8000; // Longer links may get cut off by chat and mail apps
+
+let isViewingShare = false; // A shared design is open read-only (nothing is autosaved)
+
+/**
+ * Builds a link that opens the current design
+ * @returns {string} Page URL with the design in the hash
+ */
+function getShareLink() {
+    const code = encodeShareCode({
+        name: getProjectName(),
+        grid: legoGrid,
+        plateSize,
+        colors: legoColors
     });
+    return `${location.origin}${location.pathname}${SHARE_LINK_PREFIX}${code}`;
+}
+
+/**
+ * Copy Share Link button: puts a link to the design on the clipboard
+ */
+async function copyShareLink() {
+    if (!legoGrid.some(row => row.some(cell => cell !== null))) {
+        alert('The canvas is empty - place some bricks first!');
+        return;
+    }
+    
+    const link = getShareLink();
+    if (link.length > SHARE_LINK_WARN_LENGTH) {
+        console.warn(`⚠️ The share link is ${link.length} characters long; some apps may cut it off`);
+    }
+    
+    try {
+        await navigator.clipboard.writeText(link);
+        setSaveStatus('Link copied');
+        console.log(`🔗 Share link copied (${link.length} characters)`);
+    } catch (error) {
+        // No clipboard access (e.g. over plain http): let the user copy it
+        prompt('Copy this link to share the design:', link);
+    }
+}
+
+/**
+ * Gets the share code from the page URL
+ * @returns {string|null} The code, or null if the URL has none
+ */
+function getShareCodeFromUrl() {
+    return location.hash.startsWith(SHARE_LINK_PREFIX)
+        ? location.hash.slice(SHARE_LINK_PREFIX.length)
+        : null;
+}
+
+/**
+ * Removes the share code from the URL, without reloading the page
+ */
+function clearShareCodeFromUrl() {
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
+/**
+ * Shows or hides the read-only banner and the editing controls
+ */
+function updateShareView() {
+    document.body.classList.toggle('share-view', isViewingShare);
     
-    return closestColor;
+    const banner = document.getElementById('shareBanner');
+    if (banner) banner.hidden = !isViewingShare;
+    
+    const name = document.getElementById('shareName');
+    if (name) name.textContent = getProjectName();
 }
 
 /**
- * Converts hex color to RGB object
- * @param {string} hex - Hex color code (e.g., '#FF0000')
- * @returns {object} Object with r, g, b properties
+ * Opens the design in the URL, if there is one, read-only
+ * A damaged link is reported and then ignored.
+ * @returns {Promise<boolean>} true if a shared design was opened
  */
-function hexToRgb(hex) {
-    // Remove the # if present
-    hex = hex.replace('#', '');
+async function openSharedDesign() {
+    const code = getShareCodeFromUrl();
+    if (code === null) return false;
     
-    // Parse hex string to integers
-    // For #FF0000: FF (255), 00 (0), 00 (0)
-    return {
-        r: parseInt(hex.substring(0, 2), 16), // First 2 characters
-        g: parseInt(hex.substring(2, 4), 16), // Middle 2 characters
-        b: parseInt(hex.substring(4, 6), 16)  // Last 2 characters
-    };
+    let project;
+    try {
+        project = validateProject(decodeShareCode(code));
+    } catch (error) {
+        console.error('❌ Could not open share link:', error);
+        alert(`Could not open the shared design:\n${error.message}`);
+        clearShareCodeFromUrl();
+        return false;
+    }
+    
+    // The current project is autosaved, so it stays in the gallery
+    await flushAutosave();
+    
+    currentProjectId = null;
+    isViewingShare = true;
+    applyProject(project);
+    setSaveStatus('');
+    updateShareView();
+    console.log(`🔗 Opened shared design "${project.name}" (read-only)`);
+    return true;
 }
 
-// ================================
-// 7. SAVE FUNCTIONALITY
-// ================================
-
 /**
- * Saves the creation as an image
+ * Make a Copy button: turns the shared design into an editable project
  */
-function saveCreation() {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+async function makeSharedCopy() {
+    isViewingShare = false;
+    clearShareCodeFromUrl();
     
-    // Set canvas size (each brick = 20px)
-    const brickSize = 20;
-    canvas.width = canvasSize * brickSize;
-    canvas.height = canvasSize * brickSize;
+    const nameInput = document.getElementById('projectName');
+    if (nameInput) nameInput.value = `${getProjectName()} (copy)`;
     
-    // Draw each brick
-    for (let row = 0; row < canvasSize; row++) {
-        for (let col = 0; col < canvasSize; col++) {
-            const color = legoGrid[row][col] || '#e0e0e0';
-            
-            // Draw brick
-            ctx.fillStyle = color;
-            ctx.fillRect(col * brickSize, row * brickSize, brickSize, brickSize);
-            
-            // Draw brick border
-            ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
-            ctx.lineWidth = 1;
-            ctx.strokeRect(col * brickSize, row * brickSize, brickSize, brickSize);
-            
-            // Draw stud (circle on top)
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-            ctx.beginPath();
-            ctx.arc(
-                col * brickSize + brickSize / 2,
-                row * brickSize + brickSize / 2,
-                brickSize / 4,
-                0,
-                2 * Math.PI
-            );
-            ctx.fill();
-        }
-    }
+    updateShareView();
+    saveActivePalette();
+    await autosaveProject(); // Becomes a new gallery entry
+    console.log(`📄 Copied shared design as "${getProjectName()}"`);
+}
+
+/**
+ * Close button: leaves the shared design and goes back to our own work
+ */
+async function closeSharedDesign() {
+    isViewingShare = false;
+    clearShareCodeFromUrl();
+    updateShareView();
     
-    // Download image
-    canvas.toBlob(blob => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'lego-art-creation.png';
-        a.click();
-        URL.revokeObjectURL(url);
-    });
+    const nameInput = document.getElementById('projectName');
+    if (nameInput) nameInput.value = '';
+    
+    loadActivePalette(); // The shared design's palette was never saved
+    initializeCanvas();
+    clearHistory();
+    setSaveStatus('');
+    await restoreLastSession();
 }
 
 // ================================
@@ -673,23 +6810,94 @@ function saveCreation() {
  */
 function setupEventListeners() {
     // Save button
+    // Export dialog (PNG, SVG, LDraw)
     const saveBtn = document.getElementById('saveBtn');
-    if (saveBtn) {
+    const exportDialog = document.getElementById('exportDialog');
+    if (saveBtn && exportDialog) {
+        saveBtn.addEventListener('click', function() {
+            syncExportControls();
+            exportDialog.showModal();
+        });
+    } else if (saveBtn) {
         saveBtn.addEventListener('click', saveCreation);
     }
     
+    const pngResolution = document.getElementById('pngResolution');
+    if (pngResolution) {
+        pngResolution.addEventListener('input', function() {
+            readExportControls();
+            updateExportSizeHint();
+        });
+    }
+    
+    const pngResolutionUnit = document.getElementById('pngResolutionUnit');
+    if (pngResolutionUnit && pngResolution) {
+        pngResolutionUnit.addEventListener('change', function(e) {
+            // Keep the same image size, shown in the new unit
+            const pixelsPerStud = getExportPixelsPerStud();
+            pngResolution.value = e.target.value === 'dpi'
+                ? Math.round(pixelsPerStud * 25.4 / STUD_SIZE_MM)
+                : pixelsPerStud;
+            readExportControls();
+            updateExportSizeHint();
+        });
+    }
+    
+    const exportFormat = document.getElementById('exportFormat');
+    if (exportFormat) {
+        exportFormat.addEventListener('change', function(e) {
+            exportSettings.format = e.target.value;
+            syncExportControls();
+        });
+    }
+    
+    const exportConfirmBtn = document.getElementById('exportConfirmBtn');
+    if (exportConfirmBtn) {
+        exportConfirmBtn.addEventListener('click', function() {
+            exportArt();
+            if (exportDialog) exportDialog.close();
+        });
+    }
+    
     // Canvas size selector
     const canvasSizeSelect = document.getElementById('canvasSize');
     if (canvasSizeSelect) {
+        CANVAS_PRESETS.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = getPresetValue(preset);
+            option.textContent = describePreset(preset);
+            canvasSizeSelect.appendChild(option);
+        });
+        const customOption = document.createElement('option');
+        customOption.value = 'custom';
+        customOption.textContent = 'Custom...';
+        canvasSizeSelect.appendChild(customOption);
+        
         canvasSizeSelect.addEventListener('change', function(e) {
-            const newSize = parseInt(e.target.value);
-            if (confirm('Changing canvas size will clear your current work. Continue?')) {
-                canvasSize = newSize;
-                initializeCanvas();
-            } else {
-                // Revert selection
-                e.target.value = canvasSize;
+            const customSize = document.getElementById('customSize');
+            if (e.target.value === 'custom') {
+                if (customSize) customSize.hidden = false;
+                return;
+            }
+            
+            const preset = CANVAS_PRESETS.find(p => getPresetValue(p) === e.target.value);
+            if (preset) {
+                resizeCanvas(preset.cols * preset.plateSize, preset.rows * preset.plateSize, preset.plateSize);
+            }
+        });
+    }
+    
+    const applyCustomSizeBtn = document.getElementById('applyCustomSizeBtn');
+    if (applyCustomSizeBtn) {
+        applyCustomSizeBtn.addEventListener('click', function() {
+            const width = parseInt(document.getElementById('customWidth').value);
+            const height = parseInt(document.getElementById('customHeight').value);
+            
+            if (!(width >= 1 && width <= MAX_GRID_SIZE && height >= 1 && height <= MAX_GRID_SIZE)) {
+                alert(`Width and height must be between 1 and ${MAX_GRID_SIZE} studs.`);
+                return;
             }
+            resizeCanvas(width, height, plateSize);
         });
     }
     
@@ -714,10 +6922,541 @@ function setupEventListeners() {
         console.error('❌ File input not found!');
     }
     
+    // Reference image framing
+    const framingCanvas = document.getElementById('framingCanvas');
+    if (framingCanvas) {
+        framingCanvas.addEventListener('pointerdown', handleFramingPointerDown);
+        framingCanvas.addEventListener('pointermove', handleFramingPointerMove);
+        framingCanvas.addEventListener('pointerup', handleFramingPointerUp);
+        framingCanvas.addEventListener('pointercancel', handleFramingPointerUp);
+        framingCanvas.addEventListener('wheel', handleFramingWheel, { passive: false });
+        window.addEventListener('resize', renderFramingPreview);
+    }
+    
+    const framingMode = document.getElementById('framingMode');
+    if (framingMode) {
+        framingMode.addEventListener('change', function(e) {
+            imageFraming.mode = e.target.value;
+            syncFramingControls();
+            renderFramingPreview();
+        });
+    }
+    
+    const framingZoom = document.getElementById('framingZoom');
+    if (framingZoom) {
+        framingZoom.max = FRAMING_MAX_ZOOM;
+        framingZoom.addEventListener('input', function(e) {
+            setFramingZoom(parseFloat(e.target.value));
+        });
+    }
+    
+    const framingBackground = document.getElementById('framingBackground');
+    if (framingBackground) {
+        renderFramingBackgroundOptions();
+        framingBackground.addEventListener('change', function(e) {
+            imageFraming.background = e.target.value;
+            renderFramingPreview();
+        });
+    }
+    
+    const resetFramingBtn = document.getElementById('resetFramingBtn');
+    if (resetFramingBtn) {
+        resetFramingBtn.addEventListener('click', resetImageFraming);
+    }
+    
     // Generate LEGO Art button
     const generateBtn = document.getElementById('generateBtn');
     if (generateBtn) {
-        generateBtn.addEventListener('click', generateLegoArt);
+        generateBtn.addEventListener('click', () => generateLegoArt());
+    }
+    
+    // Image adjustments
+    renderAdjustmentControls();
+    
+    const adjustPanel = document.getElementById('adjustPanel');
+    if (adjustPanel) {
+        adjustPanel.addEventListener('toggle', renderAdjustmentPreview);
+    }
+    
+    const adjustCompare = document.getElementById('adjustCompare');
+    if (adjustCompare) {
+        adjustCompare.addEventListener('input', renderAdjustmentPreview);
+    }
+    
+    const resetAdjustmentsBtn = document.getElementById('resetAdjustmentsBtn');
+    if (resetAdjustmentsBtn) {
+        resetAdjustmentsBtn.addEventListener('click', resetImageAdjustments);
+    }
+    
+    // Transparency & background removal
+    const alphaThreshold = document.getElementById('alphaThreshold');
+    if (alphaThreshold) {
+        alphaThreshold.addEventListener('input', function(e) {
+            setTransparencyOption('alphaThreshold', parseInt(e.target.value));
+        });
+    }
+    
+    const transparentFill = document.getElementById('transparentFill');
+    if (transparentFill) {
+        renderTransparentFillOptions();
+        transparentFill.addEventListener('change', function(e) {
+            setTransparencyOption('fill', e.target.value || null);
+        });
+    }
+    
+    const backgroundRemoval = document.getElementById('backgroundRemoval');
+    if (backgroundRemoval) {
+        backgroundRemoval.addEventListener('change', function(e) {
+            setTransparencyOption('removal', e.target.value);
+            console.log('✂️ Background removal:', imageTransparency.removal);
+        });
+    }
+    
+    const backgroundTolerance = document.getElementById('backgroundTolerance');
+    if (backgroundTolerance) {
+        backgroundTolerance.addEventListener('input', function(e) {
+            setTransparencyOption('tolerance', parseInt(e.target.value));
+        });
+    }
+    
+    const chromaKeyColor = document.getElementById('chromaKeyColor');
+    if (chromaKeyColor) {
+        chromaKeyColor.addEventListener('input', function(e) {
+            setTransparencyOption('keyColor', e.target.value.toUpperCase());
+        });
+    }
+    
+    // Reference overlay & tracing
+    [['overlayEnabled', 'enabled'], ['overlayOnionSkin', 'onionSkin'], ['overlayDiff', 'diff']].forEach(([id, key]) => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) {
+            checkbox.addEventListener('change', e => setReferenceOverlayOption(key, e.target.checked));
+        }
+    });
+    
+    const overlayOpacity = document.getElementById('overlayOpacity');
+    if (overlayOpacity) {
+        overlayOpacity.addEventListener('input', function(e) {
+            setReferenceOverlayOption('opacity', parseInt(e.target.value));
+        });
+    }
+    
+    const overlayDiffThreshold = document.getElementById('overlayDiffThreshold');
+    if (overlayDiffThreshold) {
+        overlayDiffThreshold.addEventListener('input', function(e) {
+            setReferenceOverlayOption('diffThreshold', parseInt(e.target.value));
+        });
+    }
+    
+    const cancelGenerateBtn = document.getElementById('cancelGenerateBtn');
+    if (cancelGenerateBtn) {
+        cancelGenerateBtn.addEventListener('click', cancelGeneration);
+    }
+    
+    // Color matching metric
+    const matchMetricSelect = document.getElementById('matchMetric');
+    if (matchMetricSelect) {
+        matchMetricSelect.addEventListener('change', function(e) {
+            generationSettings.matchMetric = e.target.value;
+            console.log('🎯 Color matching metric:', generationSettings.matchMetric);
+        });
+    }
+    
+    // Dithering mode and strength
+    const ditherSelect = document.getElementById('ditherMode');
+    const ditherStrength = document.getElementById('ditherStrength');
+    const ditherStrengthValue = document.getElementById('ditherStrengthValue');
+    if (ditherSelect && ditherStrength) {
+        ditherSelect.addEventListener('change', function(e) {
+            generationSettings.dither = e.target.value;
+            ditherStrength.disabled = generationSettings.dither === 'none';
+            console.log('🔀 Dithering:', generationSettings.dither);
+        });
+        
+        ditherStrength.addEventListener('input', function(e) {
+            generationSettings.ditherStrength = parseInt(e.target.value);
+            if (ditherStrengthValue) {
+                ditherStrengthValue.textContent = generationSettings.ditherStrength + '%';
+            }
+        });
+    }
+    
+    // Canvas view: zoom & pan (registered first so it can take over pointers)
+    const legoCanvas = document.getElementById('legoCanvas');
+    if (legoCanvas) {
+        legoCanvas.addEventListener('wheel', handleCanvasWheel, { passive: false });
+        legoCanvas.addEventListener('pointerdown', handleViewPointerDown);
+        legoCanvas.addEventListener('pointermove', handleViewPointerMove);
+        legoCanvas.addEventListener('pointerup', handleViewPointerUp);
+        legoCanvas.addEventListener('pointercancel', handleViewPointerUp);
+        legoCanvas.addEventListener('auxclick', e => e.preventDefault()); // No middle-click autoscroll
+        
+        if (window.ResizeObserver) {
+            new ResizeObserver(resizeCanvasToDisplay).observe(legoCanvas);
+        } else {
+            window.addEventListener('resize', resizeCanvasToDisplay);
+        }
+        resizeCanvasToDisplay();
+    }
+    document.addEventListener('keydown', handleSpaceKey);
+    document.addEventListener('keyup', handleSpaceKey);
+    
+    const zoomInBtn = document.getElementById('zoomInBtn');
+    if (zoomInBtn) {
+        zoomInBtn.addEventListener('click', () => setCanvasZoom(canvasView.cellSize * 1.25));
+    }
+    
+    const zoomOutBtn = document.getElementById('zoomOutBtn');
+    if (zoomOutBtn) {
+        zoomOutBtn.addEventListener('click', () => setCanvasZoom(canvasView.cellSize / 1.25));
+    }
+    
+    const zoomFitBtn = document.getElementById('zoomFitBtn');
+    if (zoomFitBtn) {
+        zoomFitBtn.addEventListener('click', fitCanvasToView);
+    }
+    
+    const showGridLines = document.getElementById('showGridLines');
+    if (showGridLines) {
+        showGridLines.checked = canvasView.showGrid;
+        showGridLines.addEventListener('change', function(e) {
+            canvasView.showGrid = e.target.checked;
+            markAllDirty();
+        });
+    }
+    
+    const renderStyleSelect = document.getElementById('renderStyle');
+    if (renderStyleSelect) {
+        Object.keys(RENDER_STYLES).forEach(style => {
+            const option = document.createElement('option');
+            option.value = style;
+            option.textContent = RENDER_STYLES[style];
+            renderStyleSelect.appendChild(option);
+        });
+        renderStyleSelect.value = renderStyle;
+        renderStyleSelect.addEventListener('change', function(e) {
+            setRenderStyle(e.target.value);
+            console.log('🧱 Render style:', RENDER_STYLES[renderStyle]);
+        });
+    }
+    
+    const showPlateLines = document.getElementById('showPlateLines');
+    if (showPlateLines) {
+        showPlateLines.checked = canvasView.showPlates;
+        showPlateLines.addEventListener('change', function(e) {
+            canvasView.showPlates = e.target.checked;
+            markAllDirty();
+        });
+    }
+    
+    const showSymbolsCheckbox = document.getElementById('showSymbols');
+    if (showSymbolsCheckbox) {
+        showSymbolsCheckbox.checked = showSymbols;
+        showSymbolsCheckbox.addEventListener('change', e => setShowSymbols(e.target.checked));
+    }
+    
+    // Drawing tools
+    if (legoCanvas) {
+        legoCanvas.addEventListener('pointerdown', handleCanvasPointerDown);
+        legoCanvas.addEventListener('pointermove', handleCanvasPointerMove);
+        legoCanvas.addEventListener('pointerup', handleCanvasPointerUp);
+        legoCanvas.addEventListener('pointercancel', handleCanvasPointerUp);
+    }
+    
+    document.querySelectorAll('.tool-btn[data-tool]').forEach(button => {
+        button.addEventListener('click', () => setTool(button.dataset.tool));
+    });
+    document.addEventListener('keydown', handleToolShortcut);
+    
+    // Keyboard editing: the grid cursor shows when the grid is tabbed to
+    if (legoCanvas) {
+        legoCanvas.addEventListener('keydown', handleGridKeyDown);
+        legoCanvas.addEventListener('focus', () => {
+            if (legoCanvas.matches(':focus-visible')) showGridCursor();
+        });
+        legoCanvas.addEventListener('blur', () => {
+            if (toolDrag && toolDrag.pointerId === KEYBOARD_POINTER) finishToolDrag(true);
+            hideGridCursor();
+        });
+    }
+    document.addEventListener('keydown', handleColorShortcut);
+    
+    // Selection & clipboard
+    document.addEventListener('keydown', handleSelectionShortcut);
+    document.addEventListener('copy', handleClipboardEvent);
+    document.addEventListener('cut', handleClipboardEvent);
+    document.addEventListener('paste', handleClipboardEvent);
+    
+    const selectionActions = {
+        copySelectionBtn: () => copySelection(false),
+        cutSelectionBtn: () => copySelection(true),
+        pasteSelectionBtn: pasteFromClipboard,
+        flipHorizontalBtn: () => flipSelection(true),
+        flipVerticalBtn: () => flipSelection(false),
+        rotateSelectionBtn: rotateSelection
+    };
+    Object.keys(selectionActions).forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.addEventListener('click', selectionActions[id]);
+    });
+    updateSelectionButtons();
+    
+    // Undo/redo
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    const undoBtn = document.getElementById('undoBtn');
+    if (undoBtn) {
+        undoBtn.addEventListener('click', undo);
+    }
+    
+    const redoBtn = document.getElementById('redoBtn');
+    if (redoBtn) {
+        redoBtn.addEventListener('click', redo);
+    }
+    
+    const historyDepthSelect = document.getElementById('historyDepth');
+    if (historyDepthSelect) {
+        historyDepthSelect.value = String(historyDepth);
+        historyDepthSelect.addEventListener('change', function(e) {
+            setHistoryDepth(parseInt(e.target.value));
+        });
+    }
+    
+    const shapeFilled = document.getElementById('shapeFilled');
+    if (shapeFilled) {
+        shapeFilled.checked = toolOptions.shapeFilled;
+        shapeFilled.addEventListener('change', function(e) {
+            toolOptions.shapeFilled = e.target.checked;
+        });
+    }
+    
+    const fillConnectivity = document.getElementById('fillConnectivity');
+    if (fillConnectivity) {
+        fillConnectivity.value = String(toolOptions.fillConnectivity);
+        fillConnectivity.addEventListener('change', function(e) {
+            toolOptions.fillConnectivity = parseInt(e.target.value);
+        });
+    }
+    
+    const eyedropperSource = document.getElementById('eyedropperSource');
+    if (eyedropperSource) {
+        eyedropperSource.value = toolOptions.eyedropperSource;
+        eyedropperSource.addEventListener('change', function(e) {
+            toolOptions.eyedropperSource = e.target.value;
+        });
+    }
+    
+    const clearBtn = document.getElementById('clearBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', clearCanvas);
+    }
+    
+    // Palette manager
+    const paletteBtn = document.getElementById('paletteBtn');
+    const paletteDialog = document.getElementById('paletteDialog');
+    if (paletteBtn && paletteDialog) {
+        paletteBtn.addEventListener('click', function() {
+            renderPaletteManager();
+            paletteDialog.showModal();
+        });
+    }
+    
+    const paletteSelect = document.getElementById('paletteSelect');
+    if (paletteSelect) {
+        paletteSelect.addEventListener('change', handlePaletteSelect);
+    }
+    
+    const addColorBtn = document.getElementById('addColorBtn');
+    if (addColorBtn) {
+        addColorBtn.addEventListener('click', addCustomPaletteColor);
+    }
+    
+    const savePaletteBtn = document.getElementById('savePaletteBtn');
+    if (savePaletteBtn) {
+        savePaletteBtn.addEventListener('click', saveNamedPalette);
+    }
+    
+    const deletePaletteBtn = document.getElementById('deletePaletteBtn');
+    if (deletePaletteBtn) {
+        deletePaletteBtn.addEventListener('click', deleteNamedPalette);
+    }
+    
+    const paletteFile = document.getElementById('paletteFile');
+    const importPaletteBtn = document.getElementById('importPaletteBtn');
+    if (paletteFile && importPaletteBtn) {
+        importPaletteBtn.addEventListener('click', () => paletteFile.click());
+        paletteFile.addEventListener('change', handlePaletteFileUpload);
+    }
+    
+    const exportPaletteJsonBtn = document.getElementById('exportPaletteJsonBtn');
+    if (exportPaletteJsonBtn) {
+        exportPaletteJsonBtn.addEventListener('click', () => exportPalette('json'));
+    }
+    
+    const exportPaletteCsvBtn = document.getElementById('exportPaletteCsvBtn');
+    if (exportPaletteCsvBtn) {
+        exportPaletteCsvBtn.addEventListener('click', () => exportPalette('csv'));
+    }
+    
+    // Inventory controls
+    const useInventory = document.getElementById('useInventory');
+    if (useInventory) {
+        useInventory.addEventListener('change', function(e) {
+            generationSettings.useInventory = e.target.checked;
+            if (!e.target.checked) showShortageReport(null);
+            
+            if (e.target.checked && Object.keys(brickInventory).length === 0) {
+                alert('Your inventory is empty. Click "Edit Inventory" to enter your brick counts.');
+            }
+        });
+    }
+    
+    const inventoryBtn = document.getElementById('inventoryBtn');
+    const inventoryDialog = document.getElementById('inventoryDialog');
+    if (inventoryBtn && inventoryDialog) {
+        inventoryBtn.addEventListener('click', function() {
+            renderInventoryTable();
+            inventoryDialog.showModal();
+        });
+    }
+    
+    const inventoryCsv = document.getElementById('inventoryCsv');
+    const importInventoryBtn = document.getElementById('importInventoryBtn');
+    if (inventoryCsv && importInventoryBtn) {
+        importInventoryBtn.addEventListener('click', () => inventoryCsv.click());
+        inventoryCsv.addEventListener('change', handleInventoryCsvUpload);
+    }
+    
+    const clearInventoryBtn = document.getElementById('clearInventoryBtn');
+    if (clearInventoryBtn) {
+        clearInventoryBtn.addEventListener('click', function() {
+            if (confirm('Remove all brick counts from your inventory?')) {
+                brickInventory = {};
+                saveInventory();
+                renderInventoryTable();
+            }
+        });
+    }
+    
+    // Parts list
+    const partNumberInput = document.getElementById('partNumber');
+    const partOptions = document.getElementById('partOptions');
+    if (partNumberInput) {
+        bomPartNumber = localStorage.getItem(PART_NUMBER_STORAGE_KEY) || bomPartNumber;
+        partNumberInput.value = bomPartNumber;
+        
+        if (partOptions) {
+            MOSAIC_PARTS.forEach(part => {
+                const option = document.createElement('option');
+                option.value = part.id;
+                option.textContent = part.name;
+                partOptions.appendChild(option);
+            });
+        }
+        
+        partNumberInput.addEventListener('change', function(e) {
+            const value = e.target.value.trim();
+            if (!value) {
+                e.target.value = bomPartNumber;
+                return;
+            }
+            bomPartNumber = value;
+            localStorage.setItem(PART_NUMBER_STORAGE_KEY, bomPartNumber);
+        });
+    }
+    
+    // Part optimizer
+    const optimizePartsCheckbox = document.getElementById('optimizeParts');
+    if (optimizePartsCheckbox) {
+        optimizePartsCheckbox.addEventListener('change', function(e) {
+            optimizerSettings.enabled = e.target.checked;
+            saveOptimizerSettings();
+            syncOptimizerControls();
+            updatePartOptimizer();
+        });
+    }
+    
+    const optimizerFamily = document.getElementById('optimizerFamily');
+    if (optimizerFamily) {
+        optimizerFamily.addEventListener('change', function(e) {
+            optimizerSettings.family = e.target.value;
+            saveOptimizerSettings();
+            syncOptimizerControls();
+            updatePartOptimizer();
+        });
+    }
+    
+    const optimizerGoal = document.getElementById('optimizerGoal');
+    if (optimizerGoal) {
+        optimizerGoal.addEventListener('change', function(e) {
+            optimizerSettings.goal = e.target.value;
+            saveOptimizerSettings();
+            updatePartOptimizer();
+        });
+    }
+    
+    const exportCsvBtn = document.getElementById('exportCsvBtn');
+    if (exportCsvBtn) {
+        exportCsvBtn.addEventListener('click', exportPartsCsv);
+    }
+    
+    const exportBricklinkBtn = document.getElementById('exportBricklinkBtn');
+    if (exportBricklinkBtn) {
+        exportBricklinkBtn.addEventListener('click', exportBricklinkXml);
+    }
+    
+    // Colors in use
+    const replaceColorBtn = document.getElementById('replaceColorBtn');
+    const replaceColorSelect = document.getElementById('replaceColorSelect');
+    if (replaceColorBtn && replaceColorSelect) {
+        replaceColorBtn.addEventListener('click', () => {
+            if (highlightedColor) replaceColor(highlightedColor, replaceColorSelect.value || null);
+        });
+    }
+    
+    const mergeColorsBtn = document.getElementById('mergeColorsBtn');
+    const mergeMinCount = document.getElementById('mergeMinCount');
+    if (mergeColorsBtn && mergeMinCount) {
+        mergeColorsBtn.addEventListener('click', () => {
+            const minCount = parseInt(mergeMinCount.value);
+            if (!Number.isInteger(minCount) || minCount < 2) {
+                alert('Please enter a brick count of 2 or more.');
+                return;
+            }
+            mergeRareColors(minCount);
+        });
+    }
+    
+    const limitColorsBtn = document.getElementById('limitColorsBtn');
+    const colorLimit = document.getElementById('colorLimit');
+    if (limitColorsBtn && colorLimit) {
+        limitColorsBtn.addEventListener('click', () => {
+            const count = parseInt(colorLimit.value);
+            if (!Number.isInteger(count) || count < 1) {
+                alert('Please enter a number of colors of 1 or more.');
+                return;
+            }
+            limitColors(count);
+        });
+    }
+    
+    // Project files
+    const saveProjectBtn = document.getElementById('saveProjectBtn');
+    if (saveProjectBtn) {
+        saveProjectBtn.addEventListener('click', saveProject);
+    }
+    
+    const openProjectBtn = document.getElementById('openProjectBtn');
+    const projectFile = document.getElementById('projectFile');
+    if (openProjectBtn && projectFile) {
+        openProjectBtn.addEventListener('click', () => projectFile.click());
+        projectFile.addEventListener('change', handleProjectFileUpload);
+    }
+    
+    // Build instructions
+    const instructionsBtn = document.getElementById('instructionsBtn');
+    if (instructionsBtn) {
+        instructionsBtn.addEventListener('click', exportInstructions);
     }
     
     // Change Image button
@@ -729,16 +7468,81 @@ function setupEventListeners() {
     // New Canvas button
     const newCanvasBtn = document.getElementById('newCanvasBtn');
     if (newCanvasBtn) {
-        newCanvasBtn.addEventListener('click', function() {
-            if (confirm('Start a new canvas? This will clear your current work.')) {
-                initializeCanvas();
-            }
+        newCanvasBtn.addEventListener('click', startNewProject);
+    }
+    
+    // Project name (renames the autosaved project)
+    const projectNameInput = document.getElementById('projectName');
+    if (projectNameInput) {
+        projectNameInput.addEventListener('input', scheduleAutosave);
+    }
+    
+    // Gallery
+    const galleryBtn = document.getElementById('galleryBtn');
+    const galleryDialog = document.getElementById('galleryDialog');
+    if (galleryBtn && galleryDialog) {
+        galleryBtn.addEventListener('click', async function() {
+            await flushAutosave(); // Show the latest version of this project too
+            await renderGallery();
+            galleryDialog.showModal();
         });
     }
     
+    // Share links
+    const shareLinkBtn = document.getElementById('shareLinkBtn');
+    if (shareLinkBtn) {
+        shareLinkBtn.addEventListener('click', copyShareLink);
+    }
+    
+    const makeCopyBtn = document.getElementById('makeCopyBtn');
+    if (makeCopyBtn) {
+        makeCopyBtn.addEventListener('click', makeSharedCopy);
+    }
+    
+    const closeShareBtn = document.getElementById('closeShareBtn');
+    if (closeShareBtn) {
+        closeShareBtn.addEventListener('click', closeSharedDesign);
+    }
+    
+    // A share link pasted into the address bar of an open tab
+    window.addEventListener('hashchange', openSharedDesign);
+    
+    // Save any pending edits when the tab is closed
+    window.addEventListener('pagehide', flushAutosave);
+    
+    syncGenerationControls();
+    syncCanvasSizeControls();
+    updateToolButtons();
+    renderHistoryPanel();
+    syncFramingControls();
+    syncTransparencyControls();
+    syncOverlayControls();
+    syncOptimizerControls();
+    
     console.log('✅ All event listeners set up!');
 }
 
+/**
+ * Updates the generation controls to show the values in generationSettings
+ */
+function syncGenerationControls() {
+    const matchMetricSelect = document.getElementById('matchMetric');
+    if (matchMetricSelect) matchMetricSelect.value = generationSettings.matchMetric;
+    
+    const ditherSelect = document.getElementById('ditherMode');
+    const ditherStrength = document.getElementById('ditherStrength');
+    const ditherStrengthValue = document.getElementById('ditherStrengthValue');
+    if (ditherSelect) ditherSelect.value = generationSettings.dither;
+    if (ditherStrength) {
+        ditherStrength.value = generationSettings.ditherStrength;
+        ditherStrength.disabled = generationSettings.dither === 'none';
+    }
+    if (ditherStrengthValue) ditherStrengthValue.textContent = generationSettings.ditherStrength + '%';
+    
+    const useInventory = document.getElementById('useInventory');
+    if (useInventory) useInventory.checked = generationSettings.useInventory;
+}
+
 // ================================
 // 9. HELPFUL CONSOLE MESSAGE
 // ================================